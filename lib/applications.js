@@ -0,0 +1,433 @@
+/**
+ * @file applications.js
+ * @description
+ * A personal application tracker tied to board postings. Someone marks a job
+ * as applied, then moves it through the stages in `APPLICATION_STAGES` with
+ * dates and notes on applications.html. A follow-up date (a week after
+ * applying unless they pick another) is emailed to them once it is due.
+ * Staff only see `buildFunnel`'s counts across everyone, never who applied where.
+ */
+
+const mongoose = require('mongoose');
+
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const { HttpError } = require('./errors');
+const { parseDateParam } = require('./jobQuery');
+const { escapeXml } = require('./jobFeed');
+const { sendMail } = require('./mailer');
+const { siteUrl } = require('./siteUrl');
+
+/**
+ * Days after applying that the follow-up reminder defaults to.
+ * @constant {number}
+ */
+const FOLLOW_UP_DAYS = 7;
+
+/**
+ * Stages an application moves forward through; `rejected` can happen after any of them.
+ * @constant {string[]}
+ */
+const PROGRESS_STAGES = Application.APPLICATION_STAGES.filter(stage => stage !== 'rejected');
+
+/**
+ * Smallest number of students a funnel breakdown may describe. Smaller
+ * groups are left out so the numbers can't point at one person.
+ * @constant {number}
+ */
+const FUNNEL_MIN_STUDENTS = 5;
+
+/**
+ * Job fields shown on an application's card.
+ * @constant {Object<string, number>}
+ */
+const JOB_FIELDS = { 'Job Title': 1, Employer: 1, Apply: 1, 'Deactivate?': 1 };
+
+/**
+ * Checks a stage name.
+ * @param {string} stage
+ * @returns {string}
+ * @throws {HttpError} 400 for an unknown stage.
+ */
+function toStage(stage) {
+  if (!Application.APPLICATION_STAGES.includes(stage)) {
+    throw new HttpError(400, `Invalid stage: ${stage}. Expected one of ${Application.APPLICATION_STAGES.join(', ')}`);
+  }
+  return stage;
+}
+
+/**
+ * Reads a date from the request body; `null` or `''` clears it.
+ * @param {*} value
+ * @param {string} name - Field name used in error messages.
+ * @returns {Date|null}
+ * @throws {QueryError} When the date is malformed.
+ */
+function toDate(value, name) {
+  if (value === null) return null;
+  return parseDateParam(value, name);
+}
+
+/**
+ * Public view of an application for its owner.
+ * @param {Object} application - `Application` document or lean object, with `job` optionally populated.
+ * @param {Date} [now=new Date()]
+ * @returns {Object}
+ */
+function serializeApplication(application, now = new Date()) {
+  // Populated job, or null when it wasn't populated or has been removed
+  const job = application.job && !(application.job instanceof mongoose.Types.ObjectId) ? application.job : null;
+  return {
+    id: String(application._id),
+    job: {
+      id: job ? String(job._id) : application.job ? String(application.job) : '',
+      title: (job && job['Job Title']) || application.jobTitle || '',
+      employer: (job && job.Employer) || application.employer || '',
+      apply: (job && job.Apply) || '',
+      // false once the posting is deactivated or removed
+      active: Boolean(job && !job['Deactivate?'])
+    },
+    stage: application.stage,
+    stages: (application.stages || []).map(({ stage, date }) => ({ stage, date })),
+    appliedAt: application.appliedAt,
+    notes: application.notes || '',
+    followUpAt: application.followUpAt || null,
+    followUpDue: Boolean(application.followUpAt && application.followUpAt <= now),
+    createdAt: application.createdAt,
+    updatedAt: application.updatedAt
+  };
+}
+
+/**
+ * The user's applications, most recently updated first.
+ * @param {string} userId
+ * @returns {Promise<Object[]>} Serialized applications.
+ */
+async function listApplications(userId) {
+  const applications = await Application.find({ user: userId })
+    .sort({ updatedAt: -1 })
+    .populate('job', JOB_FIELDS)
+    .lean();
+  const now = new Date();
+  return applications.map(application => serializeApplication(application, now));
+}
+
+/**
+ * Finds one of the user's applications.
+ * @param {string} userId
+ * @param {string} id
+ * @returns {Promise<Object>} `Application` document.
+ * @throws {HttpError} 400 for a malformed id, 404 when the user has no such application.
+ */
+async function findOwnApplication(userId, id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new HttpError(400, `Invalid application id: ${id}`);
+  }
+  const application = await Application.findOne({ _id: id, user: userId });
+  if (!application) throw new HttpError(404, 'Application not found');
+  return application;
+}
+
+/**
+ * Saves an application, reporting schema validation errors (e.g. notes
+ * that are too long) as a 400.
+ * @param {Object} application - `Application` document.
+ * @returns {Promise<void>}
+ * @throws {HttpError} 400 when the document is invalid.
+ */
+async function saveApplication(application) {
+  try {
+    await application.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') throw new HttpError(400, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Starts tracking an application to a board posting.
+ *
+ * @param {string} userId
+ * @param {Object} body - `{ jobId, stage?, appliedAt?, notes?, followUpAt? }`. `followUpAt`
+ *   defaults to `FOLLOW_UP_DAYS` after `appliedAt`; send `null` for no reminder.
+ * @returns {Promise<Object>} The serialized application.
+ * @throws {HttpError} 400 for bad input, 404 for an unknown job, 409 (with `application`)
+ *   when the job is already tracked.
+ */
+async function createApplication(userId, body = {}) {
+  const { jobId } = body;
+  if (!mongoose.isValidObjectId(jobId)) {
+    throw new HttpError(400, `Invalid job id: ${jobId}`);
+  }
+  const job = await Job.findOne({ _id: jobId, ...Job.PUBLISHED_FILTER }).lean();
+  if (!job) throw new HttpError(404, 'Job not found');
+
+  const existing = await Application.findOne({ user: userId, job: job._id }).populate('job', JOB_FIELDS).lean();
+  if (existing) {
+    throw new HttpError(409, 'You are already tracking this job', { application: serializeApplication(existing) });
+  }
+
+  const stage = body.stage === undefined ? 'applied' : toStage(body.stage);
+  const appliedAt = toDate(body.appliedAt, 'appliedAt') || new Date();
+  const followUpAt = body.followUpAt === undefined
+    ? new Date(appliedAt.getTime() + FOLLOW_UP_DAYS * 24 * 60 * 60 * 1000)
+    : toDate(body.followUpAt, 'followUpAt');
+
+  const application = new Application({
+    user: userId,
+    job: job._id,
+    jobTitle: job['Job Title'],
+    employer: job.Employer,
+    pathway: job.Pathway,
+    stage,
+    stages: [{ stage, date: appliedAt }],
+    appliedAt,
+    notes: body.notes,
+    followUpAt
+  });
+  await saveApplication(application);
+  return serializeApplication({ ...application.toObject(), job });
+}
+
+/**
+ * Moves an application to another stage and/or edits its dates and notes.
+ * A stage change is added to `stages`, dated `stageDate` (default now).
+ * Changing `followUpAt` re-arms its reminder.
+ *
+ * @param {string} userId
+ * @param {string} id
+ * @param {Object} body - Any of `{ stage, stageDate, appliedAt, notes, followUpAt }`.
+ * @returns {Promise<Object>} The serialized application.
+ * @throws {HttpError} 400 for bad input, 404 when the user has no such application.
+ */
+async function updateApplication(userId, id, body = {}) {
+  const application = await findOwnApplication(userId, id);
+
+  if (body.stage !== undefined && body.stage !== application.stage) {
+    const stage = toStage(body.stage);
+    application.stage = stage;
+    application.stages.push({ stage, date: toDate(body.stageDate, 'stageDate') || new Date() });
+  }
+  if (body.appliedAt !== undefined) {
+    const appliedAt = toDate(body.appliedAt, 'appliedAt');
+    if (!appliedAt) throw new HttpError(400, 'appliedAt cannot be cleared');
+    application.appliedAt = appliedAt;
+  }
+  if (body.notes !== undefined) {
+    application.notes = body.notes === null ? '' : String(body.notes);
+  }
+  if (body.followUpAt !== undefined) {
+    application.followUpAt = toDate(body.followUpAt, 'followUpAt');
+    application.reminderSentAt = null;
+  }
+
+  await saveApplication(application);
+  await application.populate('job', JOB_FIELDS);
+  return serializeApplication(application.toObject());
+}
+
+/**
+ * Stops tracking an application.
+ * @param {string} userId
+ * @param {string} id
+ * @returns {Promise<void>}
+ * @throws {HttpError} 400 for a malformed id, 404 when the user has no such application.
+ */
+async function deleteApplication(userId, id) {
+  const application = await findOwnApplication(userId, id);
+  await application.deleteOne();
+}
+
+/**
+ * `$group` fields counting applications, students and stages.
+ * An application has reached a stage when it got there or further
+ * (jumping straight to an interview still counts as applied).
+ * @param {*} _id - Group key.
+ * @returns {Object}
+ */
+function funnelGroup(_id) {
+  const group = {
+    _id,
+    applications: { $sum: 1 },
+    students: { $addToSet: '$user' },
+    reached_rejected: { $sum: { $cond: ['$rejected', 1, 0] } }
+  };
+  PROGRESS_STAGES.forEach((stage, index) => {
+    group[`reached_${stage}`] = { $sum: { $cond: [{ $gte: ['$progress', index] }, 1, 0] } };
+  });
+  Application.APPLICATION_STAGES.forEach(stage => {
+    group[`current_${stage}`] = { $sum: { $cond: [{ $eq: ['$stage', stage] }, 1, 0] } };
+  });
+  return group;
+}
+
+/**
+ * Turns a `funnelGroup` result into `{ applications, students, stages }`.
+ * @param {Object} group
+ * @returns {{applications: number, students: number, stages: Array<{stage: string, reached: number, current: number}>}}
+ */
+function toFunnel(group) {
+  return {
+    applications: group ? group.applications : 0,
+    students: group ? group.students.length : 0,
+    stages: Application.APPLICATION_STAGES.map(stage => ({
+      stage,
+      reached: group ? group[`reached_${stage}`] : 0,
+      current: group ? group[`current_${stage}`] : 0
+    }))
+  };
+}
+
+/**
+ * Anonymized funnel across everyone's applications: how many reached each
+ * stage and how many are in it now, overall and per pathway. No user ids,
+ * names or jobs are returned, and pathways with fewer than
+ * `FUNNEL_MIN_STUDENTS` students are left out.
+ *
+ * @param {Object} query - Express `req.query`: `from`/`to` limit `appliedAt`.
+ * @returns {Promise<Object>} `{ applications, students, stages, byPathway, minStudents }`.
+ * @throws {QueryError} When a date is malformed.
+ * @example
+ * await buildFunnel({ from: '2025-01-01' });
+ * // => { applications: 212, students: 48,
+ * //      stages: [{ stage: 'applied', reached: 212, current: 120 }, { stage: 'phone_screen', reached: 61, current: 18 }, ...],
+ * //      byPathway: [{ value: 'Web', applications: 90, students: 21, stages: [...] }, ...], minStudents: 5 }
+ */
+async function buildFunnel(query = {}) {
+  const appliedAt = {};
+  const from = parseDateParam(query.from, 'from');
+  const to = parseDateParam(query.to, 'to', true);
+  if (from) appliedAt.$gte = from;
+  if (to) appliedAt.$lte = to;
+
+  const [result] = await Application.aggregate([
+    { $match: Object.keys(appliedAt).length ? { appliedAt } : {} },
+    {
+      $addFields: {
+        // Furthest of PROGRESS_STAGES reached (-1 when only ever rejected)
+        progress: {
+          $max: {
+            $map: {
+              input: { $concatArrays: ['$stages.stage', ['$stage']] },
+              in: { $indexOfArray: [PROGRESS_STAGES, '$$this'] }
+            }
+          }
+        },
+        rejected: { $in: ['rejected', { $concatArrays: ['$stages.stage', ['$stage']] }] }
+      }
+    },
+    {
+      $facet: {
+        overall: [{ $group: funnelGroup(null) }],
+        byPathway: [{ $group: funnelGroup('$pathway') }]
+      }
+    }
+  ]);
+
+  const byPathway = result.byPathway
+    .filter(group => typeof group._id === 'string' && group._id.trim() && group.students.length >= FUNNEL_MIN_STUDENTS)
+    .map(group => ({ value: group._id, ...toFunnel(group) }))
+    .sort((a, b) => b.applications - a.applications || a.value.localeCompare(b.value));
+
+  return { ...toFunnel(result.overall[0]), byPathway, minStudents: FUNNEL_MIN_STUDENTS };
+}
+
+/**
+ * The follow-up reminder email.
+ * @param {Object} application - With `user` populated.
+ * @param {string} base - Site origin.
+ * @returns {Object} nodemailer message.
+ */
+function renderReminder(application, base) {
+  const url = `${base}/applications.html`;
+  const title = `${application.jobTitle} at ${application.employer}`;
+  const applied = application.appliedAt.toLocaleDateString('en-US');
+  const intro = `It's time to follow up on your application for ${title} (applied ${applied}).`;
+  const notes = application.notes ? `Your notes: ${application.notes}` : '';
+  const footer = 'You set this reminder on the CODE:You Job Board application tracker. Change or clear the follow-up date there to stop it.';
+
+  return {
+    to: application.user.email,
+    subject: `Follow up: ${title}`,
+    text: [intro, ...(notes ? ['', notes] : []), '', `Update your tracker: ${url}`, '', footer, ''].join('\n'),
+    html: [
+      `<p>${escapeXml(intro)}</p>`,
+      notes ? `<p>${escapeXml(notes)}</p>` : '',
+      `<p><a href="${escapeXml(url)}">Update your tracker</a></p>`,
+      `<p style="color:#586275;font-size:12px">${escapeXml(footer)}</p>`
+    ].join('\n')
+  };
+}
+
+/**
+ * Emails every follow-up reminder that is due and not yet sent. One whose
+ * email fails is tried again on the next run.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{checked: number, sent: number, failed: number}>}
+ */
+async function sendDueReminders(now = new Date()) {
+  const base = siteUrl();
+  const due = await Application.find({ followUpAt: { $lte: now }, reminderSentAt: null })
+    .populate('user', 'email');
+
+  const result = { checked: due.length, sent: 0, failed: 0 };
+  for (const application of due) {
+    try {
+      // The account was removed; nobody to remind
+      if (application.user) {
+        await sendMail(renderReminder(application, base));
+        result.sent++;
+      }
+      application.reminderSentAt = now;
+      await application.save();
+    } catch (error) {
+      result.failed++;
+      console.error(`❌ Failed to send follow-up reminder for application ${application._id}:`, error.message);
+    }
+  }
+  if (result.sent || result.failed) {
+    console.log(`⏰ Follow-up reminders: ${result.sent} sent, ${result.failed} failed of ${result.checked} due`);
+  }
+  return result;
+}
+
+/** @type {NodeJS.Timeout|null} */
+let timer = null;
+
+/**
+ * Checks for due follow-ups now and then every `REMINDER_INTERVAL_MINUTES`.
+ * Safe to call more than once.
+ * @returns {void}
+ */
+function startReminderTask() {
+  if (timer) return;
+  const run = () => sendDueReminders().catch(error => console.error('❌ Follow-up reminder task error:', error));
+  const minutes = Number(process.env.REMINDER_INTERVAL_MINUTES) || 60;
+  timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  run();
+}
+
+/**
+ * Stops the scheduled reminder task.
+ * @returns {void}
+ */
+function stopReminderTask() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  FOLLOW_UP_DAYS,
+  FUNNEL_MIN_STUDENTS,
+  serializeApplication,
+  listApplications,
+  createApplication,
+  updateApplication,
+  deleteApplication,
+  buildFunnel,
+  sendDueReminders,
+  startReminderTask,
+  stopReminderTask
+};
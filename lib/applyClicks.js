@@ -0,0 +1,180 @@
+/**
+ * @file applyClicks.js
+ * @description
+ * Apply-link click tracking. The board's "Apply Now" links point at
+ * `GET /go/:jobId`, which records an anonymous click (when, and from which
+ * page) and redirects to the employer's application page. `buildClickStats`
+ * counts the clicks per job, employer, pathway and referring page for the
+ * dashboard and for reports to employer partners.
+ */
+
+const ApplyClick = require('../models/ApplyClick');
+const { parseDateParam } = require('./jobQuery');
+const { describeApply } = require('../src/applyMethod');
+
+/**
+ * Most jobs and employers listed in the click counts, busiest first.
+ * @constant {number}
+ */
+const CLICK_LIMIT = 25;
+
+/**
+ * Most referring pages listed.
+ * @constant {number}
+ */
+const REFERRER_LIMIT = 10;
+
+/**
+ * User agents of crawlers and link previews, whose requests aren't clicks.
+ * @constant {RegExp}
+ */
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless/i;
+
+/**
+ * Sorts groups busiest first, then by name.
+ * @constant {Object}
+ */
+const BY_COUNT = { $sort: { count: -1, _id: 1 } };
+
+/**
+ * Where a click came from: the page path for this site's pages (without the
+ * query string), just the host for other sites, or "direct".
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function referringPage(req) {
+  const referer = req.get('referer');
+  if (!referer) return 'direct';
+  try {
+    const url = new URL(referer);
+    return url.host === req.get('host') ? url.pathname : url.host;
+  } catch (error) {
+    return 'direct';
+  }
+}
+
+/**
+ * Records a click on a job's apply link. Crawlers are skipped, and a failed
+ * write is only logged so the visitor is always sent on to the employer.
+ *
+ * @param {Object} job - Lean `Job`.
+ * @param {import('express').Request} req
+ * @returns {Promise<void>}
+ */
+async function recordClick(job, req) {
+  if (BOT_PATTERN.test(req.get('user-agent') || '')) return;
+  try {
+    await ApplyClick.create({
+      job: job._id,
+      jobTitle: job['Job Title'],
+      employer: job.Employer,
+      employerId: job.employerId,
+      pathway: job.Pathway,
+      referrer: referringPage(req)
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record apply click for job ${job._id}:`, error.message);
+  }
+}
+
+/**
+ * Where a job's apply link goes: its web address, or a `mailto:` link with
+ * the subject filled in for an email address.
+ * @param {Object} job - Lean `Job`.
+ * @returns {string|null} Null when the job only has instructions.
+ */
+function applyTarget(job) {
+  const method = describeApply(job);
+  return method ? method.href : null;
+}
+
+/**
+ * Turns `{ _id, count }` groups into `{ value, count }`, dropping blanks.
+ * @param {Object[]} groups
+ * @returns {Array<{value: string, count: number}>}
+ */
+function toCounts(groups) {
+  return groups
+    .filter(group => typeof group._id === 'string' && group._id.trim())
+    .map(({ _id, count }) => ({ value: _id, count }));
+}
+
+/**
+ * Counts apply clicks, overall and per job, employer, pathway and referring page.
+ *
+ * @param {Object} query - Express `req.query`: `from`/`to` limit when the click happened.
+ * @returns {Promise<Object>} `{ total, byJob, byEmployer, byPathway, byReferrer }`.
+ *   `byJob` is `[{ id, title, employer, count }]`; the others are `[{ value, count }]`.
+ *   All are busiest first; `byJob` and `byEmployer` hold the top 25, `byReferrer` the top 10.
+ * @throws {QueryError} When a date is malformed.
+ * @example
+ * await buildClickStats({ from: '2025-03-01', to: '2025-03-31' });
+ * // => { total: 184, byJob: [{ id: '66f1...', title: 'Junior Developer', employer: 'Acme', count: 31 }, ...],
+ * //      byEmployer: [{ value: 'Acme', count: 40 }, ...], byPathway: [{ value: 'Web', count: 77 }, ...],
+ * //      byReferrer: [{ value: '/jobBoard.html', count: 150 }, { value: 'direct', count: 20 }, ...] }
+ */
+async function buildClickStats(query = {}) {
+  const clickedAt = {};
+  const from = parseDateParam(query.from, 'from');
+  const to = parseDateParam(query.to, 'to', true);
+  if (from) clickedAt.$gte = from;
+  if (to) clickedAt.$lte = to;
+
+  const [result] = await ApplyClick.aggregate([
+    { $match: Object.keys(clickedAt).length ? { clickedAt } : {} },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        byJob: [
+          { $sort: { clickedAt: 1 } },
+          {
+            $group: {
+              _id: '$job',
+              count: { $sum: 1 },
+              // The newest click has the most recent title and employer
+              title: { $last: '$jobTitle' },
+              employer: { $last: '$employer' }
+            }
+          },
+          BY_COUNT,
+          { $limit: CLICK_LIMIT }
+        ],
+        byEmployer: [
+          { $group: { _id: '$employer', count: { $sum: 1 } } },
+          BY_COUNT,
+          { $limit: CLICK_LIMIT }
+        ],
+        byPathway: [
+          { $group: { _id: '$pathway', count: { $sum: 1 } } },
+          BY_COUNT
+        ],
+        byReferrer: [
+          { $group: { _id: '$referrer', count: { $sum: 1 } } },
+          BY_COUNT,
+          { $limit: REFERRER_LIMIT }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    total: result.total.length ? result.total[0].count : 0,
+    byJob: result.byJob.map(({ _id, count, title, employer }) => ({
+      id: String(_id),
+      title: title || '',
+      employer: employer || '',
+      count
+    })),
+    byEmployer: toCounts(result.byEmployer),
+    byPathway: toCounts(result.byPathway),
+    byReferrer: toCounts(result.byReferrer)
+  };
+}
+
+module.exports = {
+  CLICK_LIMIT,
+  referringPage,
+  recordClick,
+  applyTarget,
+  buildClickStats
+};
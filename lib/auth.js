@@ -0,0 +1,242 @@
+/**
+ * @file auth.js
+ * @description
+ * Password hashing, signed session tokens and the middleware that protects
+ * write routes and staff-only pages.
+ *
+ * Tokens are `<payload>.<signature>` where the payload is base64url JSON
+ * (`{ sub, email, name, role, exp }`) and the signature is an HMAC-SHA256 of
+ * the payload using `AUTH_SECRET`. They are sent to the browser as an
+ * httpOnly cookie, and API clients may also send them as a Bearer token.
+ *
+ * @requires crypto
+ */
+
+const crypto = require('crypto');
+
+/** @constant {string} */
+const COOKIE_NAME = 'cyjb_token';
+
+/**
+ * How long a login lasts, from `AUTH_TOKEN_TTL_HOURS` (default 12 hours).
+ * @constant {number}
+ */
+const TOKEN_TTL_MS = (Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+/**
+ * Secret used to sign tokens. Without `AUTH_SECRET` a random one is generated,
+ * which works but signs everyone out whenever the server restarts.
+ * @type {string}
+ */
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  console.warn('⚠️  AUTH_SECRET is not set; logins will not survive a server restart');
+}
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {string} password
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>` (hex encoded).
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 64, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${key.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Checks a password against a hash produced by `hashPassword`.
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return Promise.resolve(false);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 64, (err, key) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+    });
+  });
+}
+
+/**
+ * @param {string} payload
+ * @returns {string} base64url HMAC of the payload.
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Creates a signed token for a user.
+ * @param {{_id: *, email: string, name?: string, role: string}} user
+ * @returns {string}
+ */
+function createToken(user) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: String(user._id),
+    email: user.email,
+    name: user.name || '',
+    role: user.role,
+    exp: Date.now() + TOKEN_TTL_MS
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verifies a token's signature and expiry.
+ * @param {string} token
+ * @returns {{id: string, email: string, name: string, role: string}|null} The user, or null if invalid.
+ */
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.exp || data.exp < Date.now()) return null;
+    return { id: data.sub, email: data.email, name: data.name, role: data.role };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses the `Cookie` header into an object.
+ * @param {string} [header]
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const idx = part.indexOf('=');
+    if (idx < 0) return;
+    const name = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    if (!name) return;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      // Malformed encoding (e.g. "%E0%A4%A"): ignore that cookie rather than fail the request
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Middleware that sets `req.user` from the session cookie or a Bearer token.
+ * Never rejects a request; visitors without a valid token get `req.user = null`.
+ *
+ * @type {import('express').RequestHandler}
+ */
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const token = bearer || parseCookies(req.headers.cookie)[COOKIE_NAME];
+  req.user = verifyToken(token);
+  next();
+}
+
+/**
+ * Whether the request comes from a signed-in staff member or admin.
+ * @param {import('express').Request} req - Request that went through `authenticate`.
+ * @returns {boolean}
+ */
+function isStaff(req) {
+  return Boolean(req.user && STAFF_ROLES.includes(req.user.role));
+}
+
+/**
+ * Middleware factory for API routes: `401` when not signed in, `403` when
+ * signed in without one of the given roles.
+ *
+ * @param {...string} roles - Roles allowed through.
+ * @returns {import('express').RequestHandler}
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to do that' });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware factory for HTML pages: redirects visitors who are not signed in
+ * to the login page (returning them afterwards) and answers `403` for users
+ * without one of the given roles.
+ *
+ * @param {...string} roles - Roles allowed through.
+ * @returns {import('express').RequestHandler}
+ */
+function requirePageRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).send('You do not have permission to view this page.');
+    }
+    next();
+  };
+}
+
+/**
+ * Sets the session cookie on a response.
+ * @param {import('express').Response} res
+ * @param {string} token
+ */
+function setAuthCookie(res, token) {
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: TOKEN_TTL_MS
+  });
+}
+
+/**
+ * Clears the session cookie.
+ * @param {import('express').Response} res
+ */
+function clearAuthCookie(res) {
+  res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: 'lax' });
+}
+
+/**
+ * Roles that can moderate and edit jobs.
+ * @constant {string[]}
+ */
+const STAFF_ROLES = ['admin', 'staff'];
+
+module.exports = {
+  COOKIE_NAME,
+  STAFF_ROLES,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  parseCookies,
+  authenticate,
+  isStaff,
+  requireRole,
+  requirePageRole,
+  setAuthCookie,
+  clearAuthCookie
+};
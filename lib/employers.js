@@ -0,0 +1,137 @@
+/**
+ * @file employers.js
+ * @description
+ * Validation and serialization for `Employer` records (the employer partner
+ * list that used to live in a separate spreadsheet).
+ */
+
+const { HttpError } = require('./errors');
+const { PARTNER_STATUSES, employerKey } = require('../models/Employer');
+
+/**
+ * Fields staff can set, with their maximum lengths.
+ * @constant {Object<string, number>}
+ */
+const MAX_LENGTHS = {
+  name: 100,
+  website: 300,
+  industry: 80,
+  notes: 2000
+};
+
+/**
+ * Maximum lengths of the `primaryContact` sub-fields.
+ * @constant {Object<string, number>}
+ */
+const CONTACT_MAX_LENGTHS = {
+  name: 100,
+  email: 200,
+  phone: 40
+};
+
+/** @constant {RegExp} */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Checks that a website is an http(s) URL.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isWebsite(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates an employer create/update body and returns the fields to save.
+ *
+ * @param {Object} body - `{ name, website, partnerStatus, industry, primaryContact: { name, email, phone }, notes }`
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only check the fields that were sent (PATCH).
+ * @returns {Object} Cleaned fields for the `Employer` document.
+ * @throws {HttpError} 400 `{ error: 'Validation failed', fields: { ... } }`
+ */
+function toEmployerFields(body = {}, { partial = false } = {}) {
+  const errors = {};
+  const fields = {};
+  const allowed = [...Object.keys(MAX_LENGTHS), 'partnerStatus', 'primaryContact'];
+
+  Object.keys(body).forEach(key => {
+    if (!allowed.includes(key)) errors[key] = 'Unknown field';
+  });
+
+  Object.entries(MAX_LENGTHS).forEach(([field, max]) => {
+    if (!(field in body)) return;
+    const value = String(body[field] ?? '').trim();
+    if (value.length > max) errors[field] = `Must be at most ${max} characters`;
+    else fields[field] = value;
+  });
+
+  if (!partial || 'name' in body) {
+    if (!fields.name) errors.name = 'Name is required';
+    else if (!employerKey(fields.name)) errors.name = 'Name must include letters or numbers';
+  }
+  if (fields.website && !isWebsite(fields.website)) {
+    errors.website = 'Website must be a web address (https://...)';
+  }
+
+  if ('partnerStatus' in body) {
+    if (PARTNER_STATUSES.includes(body.partnerStatus)) fields.partnerStatus = body.partnerStatus;
+    else errors.partnerStatus = `Partner status must be one of ${PARTNER_STATUSES.join(', ')}`;
+  }
+
+  if ('primaryContact' in body) {
+    const contact = body.primaryContact || {};
+    fields.primaryContact = {};
+    Object.entries(CONTACT_MAX_LENGTHS).forEach(([field, max]) => {
+      const value = String(contact[field] ?? '').trim();
+      if (value.length > max) errors[`primaryContact.${field}`] = `Must be at most ${max} characters`;
+      fields.primaryContact[field] = value;
+    });
+    if (fields.primaryContact.email && !EMAIL_PATTERN.test(fields.primaryContact.email)) {
+      errors['primaryContact.email'] = 'Contact email must be an email address';
+    }
+  }
+
+  if (Object.keys(errors).length) {
+    throw new HttpError(400, 'Validation failed', { fields: errors });
+  }
+  return fields;
+}
+
+/**
+ * Serializes an employer. Contact details and notes are internal, so they
+ * are only included for staff.
+ *
+ * @param {Object} employer - Lean `Employer`.
+ * @param {Object} [options]
+ * @param {boolean} [options.staff=false] - Include the primary contact and notes.
+ * @returns {Object}
+ */
+function serializeEmployer(employer, { staff = false } = {}) {
+  const result = {
+    id: String(employer._id),
+    name: employer.name,
+    website: employer.website || '',
+    partnerStatus: employer.partnerStatus || 'none',
+    industry: employer.industry || ''
+  };
+  if (staff) {
+    result.primaryContact = {
+      name: employer.primaryContact?.name || '',
+      email: employer.primaryContact?.email || '',
+      phone: employer.primaryContact?.phone || ''
+    };
+    result.notes = employer.notes || '';
+  }
+  return result;
+}
+
+module.exports = {
+  toEmployerFields,
+  serializeEmployer
+};
@@ -0,0 +1,44 @@
+/**
+ * @file errors.js
+ * @description
+ * Error types shared by the API routes. Anything thrown with a `status`
+ * is reported to the client with that status and a JSON `{ error }` body;
+ * everything else is logged and reported as a `500`.
+ */
+
+/**
+ * An error that maps directly to an HTTP response.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with.
+   * @param {string} message - Message sent to the client as `error`.
+   * @param {Object} [details] - Extra fields merged into the JSON body.
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Sends an error as JSON. Errors with a `status` are client errors and are
+ * passed through; anything else is logged and hidden behind `fallbackMessage`.
+ *
+ * @param {import('express').Response} res - Express response object
+ * @param {Error} error - The error that was thrown.
+ * @param {string} fallbackMessage - Message used for unexpected errors.
+ * @returns {void}
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error && error.status) {
+    res.status(error.status).json({ error: error.message, ...(error.details || {}) });
+    return;
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+module.exports = { HttpError, sendError };
@@ -0,0 +1,309 @@
+/**
+ * @file jobAnalytics.js
+ * @description
+ * Dashboard statistics computed in Mongo: for the jobs matching a date range
+ * and filters, how many there are per pathway, location, language and
+ * employer, plus the spread of their annualized salaries and how many have no
+ * salary at all. The dashboard renders its charts from this so its numbers
+ * match the API and the other pages instead of whatever the browser loaded.
+ * `buildTrends` gives the same figures per week or month for the trend charts.
+ */
+
+const Job = require('../models/Job');
+const { QueryError, parseDateParam, buildJobFilter } = require('./jobQuery');
+const { LOCATION_VALUE } = require('./jobFacets');
+
+/**
+ * Most employers listed in `byEmployer`, busiest first.
+ * @constant {number}
+ */
+const EMPLOYER_LIMIT = 25;
+
+/**
+ * Salary percentiles reported, keyed by the name used in the response.
+ * @constant {Object<string, number>}
+ */
+const SALARY_PERCENTILES = { p10: 10, p25: 25, median: 50, p75: 75, p90: 90 };
+
+/**
+ * Path to a job's annualized salary (null when not disclosed).
+ * @constant {string}
+ */
+const SALARY_VALUE = '$Salary Range.annualized';
+
+/**
+ * Trend bucket sizes accepted by `buildTrends`.
+ * @constant {string[]}
+ */
+const TREND_BUCKETS = ['week', 'month'];
+
+/**
+ * How many of the most-posted languages get a trend line.
+ * @constant {number}
+ */
+const TREND_LANGUAGE_LIMIT = 6;
+
+/**
+ * Most buckets one trends request may cover: ten years of weeks.
+ * @constant {number}
+ */
+const MAX_TREND_PERIODS = 520;
+
+/**
+ * Sorts groups busiest first, then by name.
+ * @constant {Object}
+ */
+const BY_COUNT = { $sort: { count: -1, _id: 1 } };
+
+/**
+ * Reads a percentile from sorted values, interpolating between neighbours.
+ * @param {number[]} sorted - Ascending.
+ * @param {number} percentile - 0 to 100.
+ * @returns {number|null}
+ */
+function percentileOf(sorted, percentile) {
+  if (!sorted.length) return null;
+  const rank = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+}
+
+/**
+ * Summarizes the disclosed salaries.
+ * @param {number[]} sorted - Annualized salaries, ascending.
+ * @returns {{count: number, min: number|null, max: number|null, mean: number|null,
+ *   p10: number|null, p25: number|null, median: number|null, p75: number|null, p90: number|null}}
+ */
+function salaryStats(sorted) {
+  const stats = {
+    count: sorted.length,
+    min: sorted.length ? sorted[0] : null,
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+    mean: sorted.length ? Math.round(sorted.reduce((sum, n) => sum + n, 0) / sorted.length) : null
+  };
+  Object.entries(SALARY_PERCENTILES).forEach(([name, percentile]) => {
+    stats[name] = percentileOf(sorted, percentile);
+  });
+  return stats;
+}
+
+/**
+ * Turns `{ _id, count, ... }` groups into `{ value, count, ... }`, dropping blanks.
+ * @param {Object[]} groups
+ * @returns {Object[]}
+ */
+function toCounts(groups) {
+  return groups
+    .filter(group => typeof group._id === 'string' && group._id.trim() && group._id !== '-')
+    .map(({ _id, ...rest }) => ({ value: _id, ...rest }));
+}
+
+/**
+ * The start of the week (Monday) or month holding a date, in UTC like
+ * Mongo's `$dateTrunc`.
+ * @param {Date} date
+ * @param {string} bucket - One of `TREND_BUCKETS`.
+ * @returns {Date}
+ */
+function startOfBucket(date, bucket) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), bucket === 'month' ? 1 : date.getUTCDate()));
+  if (bucket === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Every bucket start from `first` to `last`, so weeks or months without
+ * postings still show on the charts.
+ * @param {Date} first
+ * @param {Date} last
+ * @param {string} bucket - One of `TREND_BUCKETS`.
+ * @returns {Date[]}
+ * @throws {QueryError} When the range has more than `MAX_TREND_PERIODS` buckets.
+ */
+function bucketRange(first, last, bucket) {
+  const periods = [];
+  const end = startOfBucket(last, bucket);
+  const period = startOfBucket(first, bucket);
+  while (period <= end) {
+    if (periods.length === MAX_TREND_PERIODS) {
+      const hint = bucket === 'week' ? 'narrow from/to or use bucket=month' : 'narrow from/to';
+      throw new QueryError(`Date range is too long: at most ${MAX_TREND_PERIODS} ${bucket}s; ${hint}`);
+    }
+    periods.push(new Date(period));
+    if (bucket === 'month') period.setUTCMonth(period.getUTCMonth() + 1);
+    else period.setUTCDate(period.getUTCDate() + 7);
+  }
+  return periods;
+}
+
+/**
+ * Builds the dashboard statistics for the given filters in one aggregation.
+ *
+ * @param {Object} query - Express `req.query`, with the same filters as `GET /api/jobs`
+ *   (from, to, pathway, location, languages, salaryMin, salaryMax, q).
+ * @returns {Promise<Object>} `{ total, byPathway, byLocation, byLanguage, byEmployer, salary, missingSalary }`.
+ *   Each `by*` list is `[{ value, count }]`, busiest first; `byLocation` also has
+ *   `salaryTotal` (sum of annualized salaries). `salary` is from `salaryStats`.
+ * @throws {QueryError} When a parameter is malformed.
+ * @example
+ * await buildAnalytics({ from: '2025-01-01', to: '2025-06-30', languages: 'Python' });
+ * // => { total: 18, byPathway: [{ value: 'Data', count: 11 }, ...], ...,
+ * //      salary: { count: 15, min: 41600, median: 72000, ..., max: 120000 }, missingSalary: 3 }
+ */
+async function buildAnalytics(query = {}) {
+  const [result] = await Job.aggregate([
+    { $match: buildJobFilter(query) },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        byPathway: [
+          { $group: { _id: '$Pathway', count: { $sum: 1 } } },
+          BY_COUNT
+        ],
+        byLocation: [
+          { $group: { _id: LOCATION_VALUE, count: { $sum: 1 }, salaryTotal: { $sum: { $ifNull: [SALARY_VALUE, 0] } } } },
+          BY_COUNT
+        ],
+        byLanguage: [
+          { $unwind: '$Language' },
+          { $group: { _id: { $trim: { input: '$Language' } }, count: { $sum: 1 } } },
+          BY_COUNT
+        ],
+        byEmployer: [
+          { $group: { _id: { $trim: { input: { $ifNull: ['$Employer', ''] } } }, count: { $sum: 1 } } },
+          BY_COUNT,
+          { $limit: EMPLOYER_LIMIT }
+        ],
+        salaries: [
+          { $match: { 'Salary Range.annualized': { $gt: 0 } } },
+          { $sort: { 'Salary Range.annualized': 1 } },
+          { $group: { _id: null, values: { $push: SALARY_VALUE } } }
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+  const salaries = result.salaries.length ? result.salaries[0].values : [];
+  return {
+    total,
+    byPathway: toCounts(result.byPathway),
+    byLocation: toCounts(result.byLocation),
+    byLanguage: toCounts(result.byLanguage),
+    byEmployer: toCounts(result.byEmployer),
+    salary: salaryStats(salaries),
+    missingSalary: total - salaries.length
+  };
+}
+
+/**
+ * Builds weekly or monthly trends for the given filters: postings per
+ * pathway, the share of postings naming each of the most-posted languages,
+ * and the median annualized salary.
+ *
+ * @param {Object} query - Express `req.query`: `bucket` (week|month, default week)
+ *   plus the same filters as `GET /api/jobs`. `from`/`to` set the first and last
+ *   bucket; without them the range runs from the oldest to the newest match.
+ * @returns {Promise<Object>} `{ bucket, periods, totals, pathways, languages, medianSalary }`.
+ *   `periods` are ISO dates of each bucket's first day (weeks start on Monday, UTC)
+ *   and every other array lines up with it. `pathways` is `[{ value, counts }]`,
+ *   `languages` is `[{ value, counts, shares }]` (shares are percentages of the
+ *   bucket's postings) and `medianSalary` has null for buckets without a salary.
+ * @throws {QueryError} When `bucket` or a filter is malformed, or the range spans
+ *   more than `MAX_TREND_PERIODS` buckets.
+ * @example
+ * await buildTrends({ bucket: 'month', from: '2025-01-01', to: '2025-03-31' });
+ * // => { bucket: 'month', periods: ['2025-01-01T00:00:00.000Z', ...], totals: [14, 9, 17],
+ * //      pathways: [{ value: 'Data', counts: [5, 2, 6] }, ...],
+ * //      languages: [{ value: 'Python', counts: [6, 3, 8], shares: [42.9, 33.3, 47.1] }, ...],
+ * //      medianSalary: [70000, null, 72500] }
+ */
+async function buildTrends(query = {}) {
+  const bucket = query.bucket === undefined || query.bucket === '' ? 'week' : String(query.bucket);
+  if (!TREND_BUCKETS.includes(bucket)) {
+    throw new QueryError(`Invalid bucket: ${query.bucket}. Expected one of ${TREND_BUCKETS.join(', ')}`);
+  }
+
+  const from = parseDateParam(query.from, 'from');
+  const to = parseDateParam(query.to, 'to', true);
+  // Reject a range that is too long before running the aggregation
+  if (from && to) bucketRange(from, to, bucket);
+
+  const [result] = await Job.aggregate([
+    { $match: buildJobFilter(query) },
+    { $addFields: { period: { $dateTrunc: { date: '$Date', unit: bucket, startOfWeek: 'monday' } } } },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: '$period', count: { $sum: 1 } } }
+        ],
+        pathways: [
+          { $group: { _id: { period: '$period', value: '$Pathway' }, count: { $sum: 1 } } }
+        ],
+        languages: [
+          { $unwind: '$Language' },
+          { $group: { _id: { period: '$period', value: { $trim: { input: '$Language' } } }, count: { $sum: 1 } } }
+        ],
+        salaries: [
+          { $match: { 'Salary Range.annualized': { $gt: 0 } } },
+          { $sort: { 'Salary Range.annualized': 1 } },
+          { $group: { _id: '$period', values: { $push: SALARY_VALUE } } }
+        ]
+      }
+    }
+  ]);
+
+  const found = result.totals.map(group => group._id).sort((a, b) => a - b);
+  const first = from || found[0];
+  const last = to || found[found.length - 1];
+  const periods = first && last ? bucketRange(first, last, bucket) : [];
+  const index = new Map(periods.map((period, i) => [period.getTime(), i]));
+  const zeros = () => periods.map(() => 0);
+
+  const totals = zeros();
+  result.totals.forEach(group => {
+    if (index.has(group._id.getTime())) totals[index.get(group._id.getTime())] = group.count;
+  });
+
+  // Per value, the count in each bucket
+  const series = groups => {
+    const byValue = new Map();
+    groups.forEach(({ _id, count }) => {
+      if (typeof _id.value !== 'string' || !_id.value.trim() || _id.value === '-') return;
+      if (!index.has(_id.period.getTime())) return;
+      if (!byValue.has(_id.value)) byValue.set(_id.value, zeros());
+      byValue.get(_id.value)[index.get(_id.period.getTime())] += count;
+    });
+    return [...byValue.entries()]
+      .map(([value, counts]) => ({ value, counts, total: counts.reduce((sum, n) => sum + n, 0) }))
+      .sort((a, b) => b.total - a.total || a.value.localeCompare(b.value));
+  };
+
+  const medianSalary = periods.map(() => null);
+  result.salaries.forEach(group => {
+    if (index.has(group._id.getTime())) medianSalary[index.get(group._id.getTime())] = percentileOf(group.values, 50);
+  });
+
+  return {
+    bucket,
+    periods: periods.map(period => period.toISOString()),
+    totals,
+    pathways: series(result.pathways).map(({ value, counts }) => ({ value, counts })),
+    languages: series(result.languages).slice(0, TREND_LANGUAGE_LIMIT).map(({ value, counts }) => ({
+      value,
+      counts,
+      shares: counts.map((count, i) => (totals[i] ? Math.round((count / totals[i]) * 1000) / 10 : 0))
+    })),
+    medianSalary
+  };
+}
+
+module.exports = {
+  SALARY_PERCENTILES,
+  TREND_BUCKETS,
+  MAX_TREND_PERIODS,
+  salaryStats,
+  buildAnalytics,
+  buildTrends
+};
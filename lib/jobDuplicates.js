@@ -0,0 +1,392 @@
+/**
+ * @file jobDuplicates.js
+ * @description
+ * Finds postings that are probably the same role entered twice (e.g. once
+ * from Slack and once from the sheet) even when the title casing, wording or
+ * location differ slightly.
+ *
+ * Two jobs are compared on:
+ *  - apply link: the same normalized URL is a strong match on its own; the same
+ *    email adds a little (one address often takes every role at a company) and
+ *    written instructions ("Send resume to Alli") are not compared at all
+ *  - employer: normalized name ("Acme, Inc." = "acme")
+ *  - title: word overlap after expanding abbreviations ("Sr. Dev" = "Senior Developer")
+ *  - location: normalized ("Central_KY" = "central ky")
+ * and only against jobs posted within `DUPLICATE_WINDOW_DAYS` of each other.
+ *
+ * Environment:
+ *  - DUPLICATE_WINDOW_DAYS: how far apart two postings can be and still match (default 60).
+ *  - DUPLICATE_REPORT_INTERVAL_HOURS: how often the server logs the duplicate report (default 24).
+ */
+
+const Job = require('../models/Job');
+const { employerKey } = require('../models/Employer');
+const { normalizeSalary } = require('../src/salary');
+const { applyTypeOf } = require('../src/applyMethod');
+
+/** @constant {number} */
+const DUPLICATE_WINDOW_DAYS = Number(process.env.DUPLICATE_WINDOW_DAYS) || 60;
+
+/**
+ * Minimum score for two jobs to be reported as likely duplicates.
+ * @constant {number}
+ */
+const MIN_SCORE = 0.7;
+
+/**
+ * Minimum title word overlap (0-1) for two titles to count as the same role.
+ * @constant {number}
+ */
+const TITLE_SIMILARITY = 0.6;
+
+/**
+ * What a matching apply value adds to the score, by apply type.
+ * @constant {Object<string, number>}
+ */
+const APPLY_SCORES = { url: 0.7, email: 0.3 };
+
+/** @constant {number} */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Title abbreviations expanded before comparing.
+ * @constant {Object<string, string>}
+ */
+const TITLE_WORDS = {
+  sr: 'senior',
+  jr: 'junior',
+  dev: 'developer',
+  eng: 'engineer',
+  engr: 'engineer',
+  mgr: 'manager',
+  i: '1',
+  ii: '2',
+  iii: '3'
+};
+
+/**
+ * Fields loaded when comparing jobs.
+ * @constant {Object<string, number>}
+ */
+const COMPARE_FIELDS = { Date: 1, Employer: 1, 'Job Title': 1, Location: 1, Apply: 1, applyType: 1, 'Deactivate?': 1 };
+
+/**
+ * Lowercases and reduces text to space-separated words.
+ * @param {string} str
+ * @returns {string[]}
+ */
+function words(str) {
+  return String(str || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+}
+
+/**
+ * "Acme, Inc." -> "acme" (the same key the `employers` collection matches on).
+ * @param {string} employer
+ * @returns {string}
+ */
+function normalizeEmployer(employer) {
+  return employerKey(employer);
+}
+
+/**
+ * "Sr. Software Dev" -> Set { 'senior', 'software', 'developer' }
+ * @param {string} title
+ * @returns {Set<string>}
+ */
+function titleWords(title) {
+  return new Set(words(title).map(word => TITLE_WORDS[word] || word));
+}
+
+/**
+ * "Central_KY" -> "central ky"
+ * @param {string} location
+ * @returns {string}
+ */
+function normalizeLocation(location) {
+  return words(location).join(' ');
+}
+
+/**
+ * Normalizes an apply value so http/https, "www.", trailing slashes, "#..."
+ * and case do not matter. The query string is kept, since applicant tracking
+ * systems tell postings apart by it (Greenhouse `?token=`, iCIMS `?id=`);
+ * only `utm_*` tracking parameters are dropped. Emails and instructions are
+ * lowercased with their whitespace collapsed.
+ * @param {string} apply
+ * @returns {string}
+ */
+function normalizeApply(apply) {
+  const value = String(apply || '').trim().toLowerCase();
+  if (!value) return '';
+  try {
+    const url = new URL(value);
+    [...url.searchParams.keys()]
+      .filter(key => key.startsWith('utm_'))
+      .forEach(key => url.searchParams.delete(key));
+    return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+  } catch (error) {
+    return value.replace(/^mailto:/, '').replace(/\s+/g, ' ');
+  }
+}
+
+/**
+ * Share of words two titles have in common (Jaccard index).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing in common) to 1 (same words).
+ */
+function titleSimilarity(a, b) {
+  const left = titleWords(a);
+  const right = titleWords(b);
+  if (!left.size || !right.size) return 0;
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Precomputes the normalized values used to compare a job.
+ * @param {Object} job - `Job` fields.
+ * @returns {Object}
+ */
+function toComparable(job) {
+  return {
+    job,
+    employer: normalizeEmployer(job.Employer),
+    location: normalizeLocation(job.Location),
+    applyType: applyTypeOf(job),
+    apply: normalizeApply(job.Apply),
+    time: job.Date ? new Date(job.Date).getTime() : Date.now()
+  };
+}
+
+/**
+ * Scores how likely two jobs are the same posting.
+ *
+ * @param {Object} a - Result of `toComparable`.
+ * @param {Object} b - Result of `toComparable`.
+ * @param {number} [windowDays=DUPLICATE_WINDOW_DAYS]
+ * @returns {{score: number, reasons: string[]}|null} `null` when they do not match.
+ */
+function compareJobs(a, b, windowDays = DUPLICATE_WINDOW_DAYS) {
+  if (Math.abs(a.time - b.time) > windowDays * MS_PER_DAY) return null;
+
+  const reasons = [];
+  let score = 0;
+
+  const applyScore = APPLY_SCORES[a.applyType] || 0;
+  if (applyScore && a.applyType === b.applyType && a.apply && a.apply === b.apply) {
+    reasons.push(a.applyType === 'email' ? 'Same apply email' : 'Same apply link');
+    score += applyScore;
+  }
+
+  if (a.employer && a.employer === b.employer) {
+    const similarity = titleSimilarity(a.job['Job Title'], b.job['Job Title']);
+    if (similarity >= TITLE_SIMILARITY) {
+      reasons.push(similarity === 1 ? 'Same employer and title' : 'Same employer, similar title');
+      score += 0.5 + 0.3 * similarity;
+      if (a.location && a.location === b.location) {
+        reasons.push('Same location');
+        score += 0.1;
+      }
+    }
+  }
+
+  score = Math.min(1, Math.round(score * 100) / 100);
+  return score >= MIN_SCORE ? { score, reasons } : null;
+}
+
+/**
+ * Summary of a matching job for API responses and reports.
+ * @param {Object} job - Lean `Job`.
+ * @returns {Object}
+ */
+function summarize(job) {
+  return {
+    id: String(job._id),
+    employer: job.Employer,
+    jobTitle: job['Job Title'],
+    location: job.Location || '',
+    apply: job.Apply || '',
+    date: job.Date,
+    active: !job['Deactivate?'],
+    url: `/jobs/${job._id}`
+  };
+}
+
+/**
+ * Compares one job against a list of existing jobs, best match first.
+ *
+ * @param {Object} job - `Job` fields of the new posting.
+ * @param {Object[]} existing - Lean `Job` documents to compare against.
+ * @returns {Array<Object>} `summarize(...)` of each match plus `score` and `reasons`.
+ */
+function matchDuplicates(job, existing) {
+  const target = toComparable(job);
+  return existing
+    .filter(other => !job._id || String(other._id) !== String(job._id))
+    .map(other => ({ other, match: compareJobs(target, toComparable(other)) }))
+    .filter(({ match }) => match)
+    .sort((x, y) => y.match.score - x.match.score)
+    .map(({ other, match }) => ({ ...summarize(other), ...match }));
+}
+
+/**
+ * Loads the jobs a posting dated `date` could be a duplicate of.
+ * @param {Date} [date=new Date()]
+ * @param {Object} [options]
+ * @param {boolean} [options.publishedOnly=false] - Leave out jobs still in moderation.
+ * @returns {Promise<Object[]>} Lean `Job` documents.
+ */
+function loadRecentJobs(date = new Date(), { publishedOnly = false } = {}) {
+  const time = new Date(date).getTime();
+  return Job.find(
+    {
+      Date: {
+        $gte: new Date(time - DUPLICATE_WINDOW_DAYS * MS_PER_DAY),
+        $lte: new Date(time + DUPLICATE_WINDOW_DAYS * MS_PER_DAY)
+      },
+      ...(publishedOnly && Job.PUBLISHED_FILTER)
+    },
+    COMPARE_FIELDS
+  ).lean();
+}
+
+/**
+ * Finds existing jobs that look like the same posting as `job`.
+ * @param {Object} job - `Job` fields (e.g. from `toNewJob`).
+ * @param {Object} [options] - See `loadRecentJobs`.
+ * @returns {Promise<Array<Object>>} See `matchDuplicates`.
+ */
+async function findDuplicates(job, options) {
+  return matchDuplicates(job, await loadRecentJobs(job.Date, options));
+}
+
+/**
+ * Groups every likely duplicate in the `jobs` collection, for cleaning up
+ * existing data. Jobs are grouped when any pair in the group matches.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false] - Also compare deactivated jobs.
+ * @returns {Promise<{generatedAt: Date, scanned: number, groups: Array<{jobs: Object[], pairs: Object[]}>}>}
+ */
+async function buildDuplicateReport({ includeInactive = false } = {}) {
+  const filter = includeInactive ? {} : { 'Deactivate?': { $ne: true }, status: { $ne: 'rejected' } };
+  const jobs = await Job.find(filter, COMPARE_FIELDS).sort({ Date: 1 }).lean();
+  const comparables = jobs.map(toComparable);
+
+  // Union-find so that A~B and B~C end up in one group
+  const parent = jobs.map((_, i) => i);
+  const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  const pairs = [];
+
+  comparables.forEach((a, i) => {
+    for (let j = i + 1; j < comparables.length; j++) {
+      const b = comparables[j];
+      // Sorted by date, so once b is outside the window so is everything after it
+      if (b.time - a.time > DUPLICATE_WINDOW_DAYS * MS_PER_DAY) break;
+      const match = compareJobs(a, b);
+      if (match) {
+        pairs.push({ a: i, b: j, ...match });
+        parent[root(j)] = root(i);
+      }
+    }
+  });
+
+  const groups = new Map();
+  pairs.forEach(pair => {
+    const key = root(pair.a);
+    if (!groups.has(key)) groups.set(key, { members: new Set(), pairs: [] });
+    const group = groups.get(key);
+    group.members.add(pair.a).add(pair.b);
+    group.pairs.push({ ids: [String(jobs[pair.a]._id), String(jobs[pair.b]._id)], score: pair.score, reasons: pair.reasons });
+  });
+
+  return {
+    generatedAt: new Date(),
+    scanned: jobs.length,
+    groups: [...groups.values()].map(group => ({
+      jobs: [...group.members].sort((x, y) => x - y).map(i => summarize(jobs[i])),
+      pairs: group.pairs
+    }))
+  };
+}
+
+/**
+ * Folds `duplicate` into `keep`: empty fields on `keep` are filled from the
+ * duplicate, and the duplicate is deactivated with reason "duplicate" and a
+ * `duplicateOf` pointer, so the merge can be undone by reactivating it.
+ * Neither document is saved here.
+ *
+ * @param {Object} keep - `Job` document that stays on the board.
+ * @param {Object} duplicate - `Job` document being merged away.
+ * @returns {string[]} The fields copied onto `keep`.
+ */
+function mergeDuplicate(keep, duplicate) {
+  const copied = [];
+  ['Employer', 'Job Title', 'Pathway', 'Contact Person', 'Location', 'Apply'].forEach(field => {
+    if (!keep[field] && duplicate[field]) {
+      keep[field] = duplicate[field];
+      copied.push(field);
+    }
+  });
+  if (!keep.Language?.length && duplicate.Language?.length) {
+    keep.Language = duplicate.Language;
+    copied.push('Language');
+  }
+  if (!normalizeSalary(keep['Salary Range']).disclosed && normalizeSalary(duplicate['Salary Range']).disclosed) {
+    keep['Salary Range'] = normalizeSalary(duplicate['Salary Range']);
+    copied.push('Salary Range');
+  }
+
+  duplicate['Deactivate?'] = true;
+  duplicate.deactivatedAt = new Date();
+  duplicate.deactivationReason = 'duplicate';
+  duplicate.duplicateOf = keep._id;
+  return copied;
+}
+
+/** @type {NodeJS.Timeout|null} */
+let timer = null;
+
+/**
+ * Logs a summary of the duplicate report now and then every
+ * `DUPLICATE_REPORT_INTERVAL_HOURS`. Safe to call more than once.
+ * @returns {void}
+ */
+function startDuplicateReportTask() {
+  if (timer) return;
+  const run = () => buildDuplicateReport()
+    .then(report => {
+      if (report.groups.length) {
+        console.warn(`⚠️  ${report.groups.length} group(s) of possible duplicate jobs; see GET /api/jobs/duplicates`);
+      }
+    })
+    .catch(error => console.error('❌ Duplicate report error:', error));
+  const hours = Number(process.env.DUPLICATE_REPORT_INTERVAL_HOURS) || 24;
+  timer = setInterval(run, hours * 60 * 60 * 1000);
+  timer.unref();
+  run();
+}
+
+/**
+ * Stops the scheduled duplicate report.
+ * @returns {void}
+ */
+function stopDuplicateReportTask() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_DAYS,
+  normalizeEmployer,
+  normalizeApply,
+  titleSimilarity,
+  matchDuplicates,
+  loadRecentJobs,
+  findDuplicates,
+  buildDuplicateReport,
+  mergeDuplicate,
+  startDuplicateReportTask,
+  stopDuplicateReportTask
+};
@@ -0,0 +1,130 @@
+/**
+ * @file jobExpiry.js
+ * @description
+ * Scheduled expiry of stale postings. Every active job has an `expiresOn`
+ * date (posted date + `JOB_MAX_AGE_DAYS` unless staff extended it); once it
+ * passes, the expiry task deactivates the job and records when and why.
+ *
+ * Environment:
+ *  - JOB_MAX_AGE_DAYS: default lifetime of a posting (default 30, read in `models/Job.js`).
+ *  - JOB_EXPIRY_INTERVAL_MINUTES: how often the task runs (default 60).
+ */
+
+const Job = require('../models/Job');
+const { enqueueSync } = require('./sheetSync');
+const { snapshotJob, recordHistory } = require('./jobHistory');
+
+/** @constant {string} */
+const EXPIRED_REASON = 'expired';
+
+/** @constant {number} */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The date a job expires on. Jobs saved before expiry existed have no
+ * `expiresOn`, so their default is worked out from the posted date.
+ * @param {Object} job - `Job` document or lean object.
+ * @returns {Date|null}
+ */
+function getExpiresOn(job) {
+  if (job.expiresOn) return new Date(job.expiresOn);
+  return job.Date ? Job.defaultExpiry(job.Date) : null;
+}
+
+/**
+ * Mongo filter for active, published jobs whose expiry date is on or before `now`.
+ * Pending submissions do not expire; their clock starts when they are approved.
+ * @param {Date} now
+ * @returns {Object}
+ */
+function expiredFilter(now) {
+  return {
+    'Deactivate?': { $ne: true },
+    ...Job.PUBLISHED_FILTER,
+    $or: [
+      { expiresOn: { $lte: now } },
+      { expiresOn: null, Date: { $lte: new Date(now.getTime() - Job.JOB_MAX_AGE_DAYS * MS_PER_DAY) } }
+    ]
+  };
+}
+
+/**
+ * Deactivates every active job past its expiry date, records it in the job's
+ * history and passes the change to `enqueueSync`.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} How many jobs were expired.
+ */
+async function expireStaleJobs(now = new Date()) {
+  const jobs = await Job.find(expiredFilter(now));
+  for (const job of jobs) {
+    const before = snapshotJob(job);
+    job.expiresOn = getExpiresOn(job);
+    job['Deactivate?'] = true;
+    job.deactivatedAt = now;
+    job.deactivationReason = EXPIRED_REASON;
+    await job.save();
+    await recordHistory(job, { action: 'expire', source: 'expiry', before });
+    await enqueueSync(job, 'deactivate');
+  }
+  if (jobs.length) console.log(`✅ Expired ${jobs.length} stale job posting(s)`);
+  return jobs.length;
+}
+
+/**
+ * Pushes a job's expiry date out by `days`, counting from today if it has
+ * already passed. A job that was deactivated only because it expired is put
+ * back on the board.
+ *
+ * @param {Object} job - `Job` document (not saved here).
+ * @param {number} days - Days to add.
+ * @param {Date} [now=new Date()]
+ * @returns {boolean} Whether the job was reactivated.
+ */
+function extendJob(job, days, now = new Date()) {
+  const current = getExpiresOn(job);
+  const from = current && current > now ? current : now;
+  job.expiresOn = new Date(from.getTime() + days * MS_PER_DAY);
+
+  if (job['Deactivate?'] && job.deactivationReason === EXPIRED_REASON) {
+    job['Deactivate?'] = false;
+    job.deactivatedAt = undefined;
+    job.deactivationReason = undefined;
+    return true;
+  }
+  return false;
+}
+
+/** @type {NodeJS.Timeout|null} */
+let timer = null;
+
+/**
+ * Runs the expiry task now and then every `JOB_EXPIRY_INTERVAL_MINUTES`.
+ * Safe to call more than once.
+ * @returns {void}
+ */
+function startExpiryTask() {
+  if (timer) return;
+  const run = () => expireStaleJobs().catch(error => console.error('❌ Job expiry task error:', error));
+  const minutes = Number(process.env.JOB_EXPIRY_INTERVAL_MINUTES) || 60;
+  timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  run();
+}
+
+/**
+ * Stops the scheduled expiry task.
+ * @returns {void}
+ */
+function stopExpiryTask() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  EXPIRED_REASON,
+  getExpiresOn,
+  expireStaleJobs,
+  extendJob,
+  startExpiryTask,
+  stopExpiryTask
+};
@@ -0,0 +1,120 @@
+/**
+ * @file jobExport.js
+ * @description
+ * Streams a list of jobs to an HTTP response as CSV or as an Excel (.xlsx)
+ * workbook, one job at a time, so large exports never sit in memory.
+ *
+ * @requires exceljs
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { formatSalary, normalizeSalary } = require('../src/salary');
+
+/**
+ * Formats a salary for a spreadsheet cell ("$70,000 - $90,000", "$25/hr").
+ * @param {Object} salary - The job's `'Salary Range'`.
+ * @returns {string}
+ */
+function formatSalaryCell(salary) {
+  return formatSalary(normalizeSalary(salary));
+}
+
+/**
+ * Exported columns, in order. `value` reads the cell from a lean `Job`.
+ * @constant {Array<{header: string, width: number, value: function(Object): *}>}
+ */
+const EXPORT_COLUMNS = [
+  { header: 'Date', width: 12, value: job => job.Date || null },
+  { header: 'Employer', width: 28, value: job => job.Employer || '' },
+  { header: 'Job Title', width: 32, value: job => job['Job Title'] || '' },
+  { header: 'Pathway', width: 12, value: job => job.Pathway || '' },
+  { header: 'Language', width: 28, value: job => (job.Language || []).join(', ') },
+  { header: 'Salary Range', width: 24, value: job => formatSalaryCell(job['Salary Range']) },
+  { header: 'Contact Person', width: 20, value: job => job['Contact Person'] || '' },
+  { header: 'Location', width: 18, value: job => job.Location || '' },
+  { header: 'Apply', width: 40, value: job => job.Apply || '' }
+];
+
+/**
+ * Escapes one CSV cell. Cells that a spreadsheet would read as a formula
+ * (starting with =, +, -, @, a tab or a carriage return) are prefixed with a quote so opening the
+ * export never runs anything.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  let str = value instanceof Date ? value.toLocaleDateString('en-US') : String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Builds a download file name like `codeyou-jobs-2025-06-23.csv`.
+ * @param {string} extension
+ * @returns {string}
+ */
+function exportFileName(extension) {
+  return `codeyou-jobs-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Streams jobs as CSV.
+ * @param {AsyncIterable<Object>} jobs - Lean `Job` documents (e.g. a Mongoose cursor).
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function streamCsv(jobs, res) {
+  res.attachment(exportFileName('csv'));
+  res.type('text/csv; charset=utf-8');
+  // BOM so Excel opens the file as UTF-8
+  res.write('\uFEFF' + EXPORT_COLUMNS.map(col => csvCell(col.header)).join(',') + '\r\n');
+
+  for await (const job of jobs) {
+    const line = EXPORT_COLUMNS.map(col => csvCell(col.value(job))).join(',') + '\r\n';
+    if (!res.write(line)) await once(res, 'drain');
+  }
+  res.end();
+}
+
+/**
+ * Streams jobs as an .xlsx workbook with a single "Jobs" sheet.
+ * @param {AsyncIterable<Object>} jobs - Lean `Job` documents (e.g. a Mongoose cursor).
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function streamXlsx(jobs, res) {
+  res.attachment(exportFileName('xlsx'));
+  res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Jobs', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = EXPORT_COLUMNS.map(({ header, width }) => ({ header, width }));
+  sheet.getColumn(1).numFmt = 'm/d/yyyy';
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const job of jobs) {
+    sheet.addRow(EXPORT_COLUMNS.map(col => col.value(job))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Export formats and their writers.
+ * @constant {Object<string, function(AsyncIterable<Object>, import('express').Response): Promise<void>>}
+ */
+const EXPORTERS = {
+  csv: streamCsv,
+  xlsx: streamXlsx
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORTERS,
+  csvCell,
+  streamCsv,
+  streamXlsx
+};
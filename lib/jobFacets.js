@@ -0,0 +1,148 @@
+/**
+ * @file jobFacets.js
+ * @description
+ * Builds the options for the board's filter dropdowns from the jobs
+ * themselves: every pathway, location, language and salary band among the
+ * active jobs, each with how many jobs would match if it were picked
+ * alongside the other filters currently applied.
+ */
+
+const Job = require('../models/Job');
+const { buildJobFilter } = require('./jobQuery');
+const { buildSearchFilter } = require('./jobSearch');
+
+/**
+ * Salary bands on the annualized salary. `value` is what the pages put in
+ * their `<select>`; `salaryMin`/`salaryMax` are the matching `/api/jobs` bounds.
+ * @constant {Array<{value: string, label: string, salaryMin?: number, salaryMax?: number}>}
+ */
+const SALARY_BUCKETS = [
+  { value: '0-50000', label: 'Under $50,000', salaryMax: 49999 },
+  { value: '50000-75000', label: '$50,000 - $75,000', salaryMin: 50000, salaryMax: 74999 },
+  { value: '75000-100000', label: '$75,000 - $100,000', salaryMin: 75000, salaryMax: 99999 },
+  { value: '100000-150000', label: '$100,000 - $150,000', salaryMin: 100000, salaryMax: 149999 },
+  { value: '150000+', label: '$150,000+', salaryMin: 150000 }
+];
+
+/**
+ * A job's location as shown in the filters. The sheet writes Central_KY;
+ * this counts it together with Central KY.
+ * @constant {Object}
+ */
+const LOCATION_VALUE = {
+  $trim: { input: { $replaceAll: { input: { $ifNull: ['$Location', ''] }, find: '_', replacement: ' ' } } }
+};
+
+/**
+ * Counts jobs per value. Each pipeline ends with `{ _id: value, count }`.
+ * @constant {Object<string, Object[]>}
+ */
+const COUNT_PIPELINES = {
+  pathway: [
+    { $group: { _id: '$Pathway', count: { $sum: 1 } } }
+  ],
+  location: [
+    { $group: { _id: LOCATION_VALUE, count: { $sum: 1 } } }
+  ],
+  languages: [
+    { $unwind: '$Language' },
+    { $group: { _id: { $trim: { input: '$Language' } }, count: { $sum: 1 } } }
+  ],
+  salary: [
+    {
+      $bucket: {
+        groupBy: '$Salary Range.annualized',
+        boundaries: [...SALARY_BUCKETS.map(bucket => bucket.salaryMin || 0), Number.MAX_SAFE_INTEGER],
+        default: 'undisclosed',
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ]
+};
+
+/**
+ * Query parameters that belong to each facet. They are left out when counting
+ * that facet, so picking "Remote" still shows how many jobs each other
+ * location has.
+ * @constant {Object<string, string[]>}
+ */
+const FACET_PARAMS = {
+  pathway: ['pathway'],
+  location: ['location'],
+  languages: ['languages', 'language'],
+  salary: ['salaryMin', 'salaryMax']
+};
+
+/**
+ * Copies a query without the given parameters.
+ * @param {Object} query
+ * @param {string[]} params
+ * @returns {Object}
+ */
+function omitParams(query, params) {
+  const result = { ...query };
+  params.forEach(param => delete result[param]);
+  return result;
+}
+
+/**
+ * Turns the grouped counts into the facet's values: every value found among
+ * the active jobs, with 0 for those the other filters rule out.
+ *
+ * @param {string} facet - Key of `COUNT_PIPELINES`.
+ * @param {Array<{_id: *, count: number}>} all - Counts over every active job.
+ * @param {Array<{_id: *, count: number}>} matching - Counts under the other filters.
+ * @returns {Array<{value: string, count: number}>}
+ */
+function toFacetValues(facet, all, matching) {
+  const counts = new Map(matching.map(group => [group._id, group.count]));
+
+  if (facet === 'salary') {
+    return SALARY_BUCKETS.map(bucket => ({ ...bucket, count: counts.get(bucket.salaryMin || 0) || 0 }));
+  }
+  return all
+    .filter(group => typeof group._id === 'string' && group._id.trim() && group._id !== '-')
+    .map(group => ({ value: group._id, count: counts.get(group._id) || 0 }))
+    .sort((a, b) => a.value.localeCompare(b.value));
+}
+
+/**
+ * Builds every facet for the given filters.
+ *
+ * @param {Object} query - Express `req.query`, with the same filters as `GET /api/jobs`
+ *   (`q` is matched like `GET /api/jobs/search`).
+ * @returns {Promise<{total: number, facets: Object<string, Object[]>}>}
+ *   `total` is the number of jobs matching all the filters.
+ * @throws {QueryError} When a parameter is malformed.
+ * @example
+ * await buildFacets({ location: 'Remote' });
+ * // => { total: 12, facets: { languages: [{ value: 'JavaScript', count: 7 }, ...],
+ * //      location: [{ value: 'Remote', count: 12 }, { value: 'Louisville', count: 20 }, ...], ... } }
+ */
+async function buildFacets(query = {}) {
+  const activeFilter = buildJobFilter({});
+  const facetNames = Object.keys(COUNT_PIPELINES);
+
+  // `q` goes through the text index as on /api/jobs/search. Mongo only allows
+  // $text in a pipeline's first $match, so `all` and `matching` run separately.
+  const [total, ...results] = await Promise.all([
+    Job.countDocuments(buildSearchFilter(query)),
+    ...facetNames.map(facet => Promise.all([
+      Job.aggregate([{ $match: activeFilter }, ...COUNT_PIPELINES[facet]]),
+      Job.aggregate([{ $match: buildSearchFilter(omitParams(query, FACET_PARAMS[facet])) }, ...COUNT_PIPELINES[facet]])
+    ]))
+  ]);
+
+  const facets = {};
+  facetNames.forEach((facet, i) => {
+    const [all, matching] = results[i];
+    facets[facet] = toFacetValues(facet, all, matching);
+  });
+  return { total, facets };
+}
+
+module.exports = {
+  SALARY_BUCKETS,
+  LOCATION_VALUE,
+  buildFacets
+};
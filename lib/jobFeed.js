@@ -0,0 +1,209 @@
+/**
+ * @file jobFeed.js
+ * @description
+ * RSS 2.0 and Atom feeds of active jobs, newest first, for feed readers and
+ * Slack's RSS app. A feed takes the same filters as `GET /api/jobs`, so
+ * `?languages=Python&location=Louisville` is a feed of just those jobs. Each
+ * item links to the job and lists the employer, salary and how to apply.
+ */
+
+const Job = require('../models/Job');
+const { HttpError } = require('./errors');
+const { buildJobFilter, toList } = require('./jobQuery');
+const { jobUrl, applyUrl } = require('./siteUrl');
+const { formatSalary, normalizeSalary } = require('../src/salary');
+const { describeApply } = require('../src/applyMethod');
+const { markdownToText } = require('./markdown');
+
+/**
+ * Most jobs in a feed.
+ * @constant {number}
+ */
+const FEED_LIMIT = 50;
+
+/**
+ * Feed name used in titles and the Atom author.
+ * @constant {string}
+ */
+const FEED_NAME = 'CODE:You Job Board';
+
+/**
+ * Escapes text for XML element content and attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Describes the filters in a feed's title, e.g. "Python jobs in Louisville".
+ * @param {Object} query - Express `req.query`.
+ * @returns {string}
+ */
+function describeFilters(query) {
+  const languages = toList(query.languages ?? query.language);
+  const pathways = toList(query.pathway);
+  const locations = toList(query.location);
+  const subject = [...languages, ...pathways].join(' / ');
+  let title = subject ? `${subject} jobs` : 'Jobs';
+  if (locations.length) title += ` in ${locations.join(' / ')}`;
+  return title;
+}
+
+/**
+ * The parts of a job shown in a feed item.
+ * @param {Object} job - Lean `Job`.
+ * @param {string} baseUrl - Site origin, e.g. "https://jobs.example.org".
+ * @returns {{id: string, title: string, link: string, apply: string|null, date: Date, categories: string[], html: string}}
+ */
+function feedItem(job, baseUrl) {
+  const link = jobUrl(baseUrl, job);
+  const method = describeApply(job);
+  // Through the tracked redirect, so feed readers' clicks count too
+  const apply = method && method.href ? applyUrl(baseUrl, job) : null;
+  const languages = (job.Language || []).filter(Boolean);
+  const details = [
+    ['Employer', escapeXml(job.Employer)],
+    ['Salary', escapeXml(formatSalary(normalizeSalary(job['Salary Range'])))],
+    ['Location', escapeXml(job.Location)],
+    ['Pathway', escapeXml(job.Pathway)],
+    ['Languages', escapeXml(languages.join(', '))],
+    ['Apply', apply ? `<a href="${escapeXml(apply)}">${escapeXml(method.label)}</a>` : escapeXml(method && method.text)],
+    ['About', escapeXml(markdownToText(job.description, 300))]
+  ].filter(([, value]) => value);
+
+  return {
+    id: String(job._id),
+    title: `${job['Job Title']} at ${job.Employer}`,
+    link,
+    apply,
+    date: job.Date ? new Date(job.Date) : new Date(),
+    categories: [job.Pathway, ...languages].filter(Boolean),
+    html: details.map(([label, value]) => `<p><strong>${label}:</strong> ${value}</p>`).join('')
+  };
+}
+
+/**
+ * Writes an RSS 2.0 document.
+ * @param {{title: string, selfUrl: string, siteUrl: string, items: Object[]}} feed
+ * @returns {string}
+ */
+function renderRss({ title, selfUrl, siteUrl, items }) {
+  const entries = items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.link)}</link>`,
+    `      <guid isPermaLink="false">job-${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${item.date.toUTCString()}</pubDate>`,
+    ...item.categories.map(category => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${escapeXml(item.html)}</description>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(siteUrl)}</link>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <description>${escapeXml(`New postings on the ${FEED_NAME}`)}</description>`,
+    '    <language>en-us</language>',
+    `    <lastBuildDate>${(items[0] ? items[0].date : new Date()).toUTCString()}</lastBuildDate>`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Writes an Atom 1.0 document.
+ * @param {{title: string, selfUrl: string, siteUrl: string, items: Object[]}} feed
+ * @returns {string}
+ */
+function renderAtom({ title, selfUrl, siteUrl, items }) {
+  const entries = items.map(item => [
+    '  <entry>',
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <id>${escapeXml(item.link)}</id>`,
+    `    <link rel="alternate" href="${escapeXml(item.link)}"/>`,
+    ...(item.apply ? [`    <link rel="related" title="Apply" href="${escapeXml(item.apply)}"/>`] : []),
+    `    <updated>${item.date.toISOString()}</updated>`,
+    ...item.categories.map(category => `    <category term="${escapeXml(category)}"/>`),
+    `    <content type="html">${escapeXml(item.html)}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <link rel="self" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(siteUrl)}"/>`,
+    `  <updated>${(items[0] ? items[0].date : new Date()).toISOString()}</updated>`,
+    `  <author><name>${escapeXml(FEED_NAME)}</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Feed formats with their content type and writer.
+ * @constant {Object<string, {contentType: string, render: function(Object): string}>}
+ */
+const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom }
+};
+
+/**
+ * Builds a feed of the newest active jobs matching the filters.
+ *
+ * @param {Object} query - Express `req.query`: `format` (rss|atom, default rss)
+ *   plus the same filters as `GET /api/jobs`.
+ * @param {string} baseUrl - Site origin used for links, without a trailing slash.
+ * @param {string} selfUrl - The feed's own URL.
+ * @returns {Promise<{contentType: string, body: string}>}
+ * @throws {HttpError} 400 for an unknown format or a malformed filter.
+ * @example
+ * await buildFeed({ format: 'atom', languages: 'Python', location: 'Louisville' },
+ *   'https://jobs.example.org', 'https://jobs.example.org/api/jobs/feed?format=atom&languages=Python');
+ * // => { contentType: 'application/atom+xml; charset=utf-8', body: '<?xml ...<title>Python jobs in Louisville ...' }
+ */
+async function buildFeed(query, baseUrl, selfUrl) {
+  const format = String(query.format || 'rss').toLowerCase();
+  const feedFormat = FEED_FORMATS[format];
+  if (!feedFormat) {
+    throw new HttpError(400, `Invalid format: ${query.format}. Expected ${Object.keys(FEED_FORMATS).join(' or ')}`);
+  }
+
+  const jobs = await Job.find(buildJobFilter(query))
+    .sort({ Date: -1, _id: -1 })
+    .limit(FEED_LIMIT)
+    .lean();
+
+  const body = feedFormat.render({
+    title: `${describeFilters(query)} | ${FEED_NAME}`,
+    selfUrl,
+    siteUrl: `${baseUrl}/jobBoard.html`,
+    items: jobs.map(job => feedItem(job, baseUrl))
+  });
+  return { contentType: feedFormat.contentType, body };
+}
+
+module.exports = {
+  FEED_FORMATS,
+  FEED_LIMIT,
+  escapeXml,
+  describeFilters,
+  buildFeed
+};
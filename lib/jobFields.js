@@ -0,0 +1,135 @@
+/**
+ * @file jobFields.js
+ * @description
+ * Maps the camelCase fields sent by `jobSubmission.html` (and accepted by the
+ * write routes) onto the `Job` schema's sheet-style field names, parsing
+ * salaries and language lists along the way.
+ */
+
+const { HttpError } = require('./errors');
+const { parseSalary, notDisclosed } = require('../src/salary');
+
+/**
+ * Request body fields and the `Job` schema paths they write to.
+ * @constant {Object<string, string>}
+ */
+const FIELD_MAP = {
+  employer: 'Employer',
+  jobTitle: 'Job Title',
+  pathway: 'Pathway',
+  language: 'Language',
+  salaryRange: 'Salary Range',
+  contactPerson: 'Contact Person',
+  location: 'Location',
+  apply: 'Apply',
+  applyType: 'applyType',
+  applySubject: 'applySubject',
+  description: 'description',
+  responsibilities: 'responsibilities',
+  requirements: 'requirements',
+  benefits: 'benefits'
+};
+
+/**
+ * Fields that cannot be cleared once a job exists.
+ * @constant {string[]}
+ */
+const REQUIRED_FIELDS = ['employer', 'jobTitle', 'pathway'];
+
+/**
+ * Parses salary text ("$70,000 - $90,000", "$25/hr", "80k-95k", "DOE", ...)
+ * into the structured `'Salary Range'`, with the same parser the dashboard
+ * and job board use (`src/salary.js`). Text that cannot be understood is
+ * stored as not disclosed; `validateJob` rejects it before it gets here.
+ * @param {string} salaryRange
+ * @returns {Object} `{ text, disclosed, period, currency, min, max, avg, annualized }`
+ */
+function parseSalaryRange(salaryRange) {
+  return parseSalary(salaryRange) || notDisclosed(String(salaryRange ?? '').trim());
+}
+
+/**
+ * Turns "Python, JavaScript" (or an array) into a trimmed list of languages.
+ * @param {string|string[]} language
+ * @returns {string[]}
+ */
+function parseLanguages(language) {
+  const parts = Array.isArray(language) ? language : String(language ?? '').split(',');
+  return parts
+    .map(l => String(l).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Converts a single body field to the value stored on the `Job` document.
+ * @param {string} field - camelCase body field.
+ * @param {*} value - Raw value from the request body.
+ * @returns {*}
+ */
+function toSchemaValue(field, value) {
+  switch (field) {
+    case 'language':
+      return parseLanguages(value);
+    case 'salaryRange':
+      return parseSalaryRange(value);
+    case 'applyType':
+      // Left out, the kind is worked out from `apply` when the job is saved
+      return value ? String(value).trim() : undefined;
+    default:
+      return value == null ? '' : String(value).trim();
+  }
+}
+
+/**
+ * Builds the `$set` document for a partial update from a request body.
+ * Only fields present in the body are touched.
+ *
+ * @param {Object} body - Request body using `FIELD_MAP` keys.
+ * @returns {Object} Update keyed by `Job` schema paths.
+ * @throws {HttpError} 400 when the body is empty, has unknown fields or clears a required field.
+ */
+function toJobUpdate(body = {}) {
+  const fields = Object.keys(body);
+  const unknown = fields.filter(field => !(field in FIELD_MAP));
+  if (unknown.length) {
+    throw new HttpError(400, `Unknown field(s): ${unknown.join(', ')}`);
+  }
+  if (!fields.length) {
+    throw new HttpError(400, 'No fields to update');
+  }
+
+  const update = {};
+  fields.forEach(field => {
+    const value = toSchemaValue(field, body[field]);
+    if (REQUIRED_FIELDS.includes(field) && !value) {
+      throw new HttpError(400, `${field} cannot be empty`);
+    }
+    update[FIELD_MAP[field]] = value;
+  });
+  return update;
+}
+
+/**
+ * Builds the fields for a brand new, active job from a submission body,
+ * converting each field with `toSchemaValue` as updates do.
+ * @param {Object} body - Request body using `FIELD_MAP` keys.
+ * @returns {Object} Document fields for `new Job(...)`.
+ */
+function toNewJob(body = {}) {
+  const job = {
+    Date: new Date(),                       // use "now" as posted date
+    'Deactivate?': false
+  };
+  Object.entries(FIELD_MAP).forEach(([field, path]) => {
+    job[path] = toSchemaValue(field, body[field]);
+  });
+  return job;
+}
+
+module.exports = {
+  FIELD_MAP,
+  parseSalaryRange,
+  parseLanguages,
+  toJobUpdate,
+  toNewJob
+};
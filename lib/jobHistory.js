@@ -0,0 +1,162 @@
+/**
+ * @file jobHistory.js
+ * @description
+ * Append-only change history for jobs. Callers take a `snapshotJob(job)`
+ * before changing a job and call `recordHistory` after saving it; the entry
+ * stores who did it, where the change came from, each changed field's
+ * before/after values and the full job afterwards, so any version can be
+ * restored with `restoreVersion`.
+ */
+
+const JobHistory = require('../models/JobHistory');
+const { normalizeSalary } = require('../src/salary');
+
+/**
+ * `Job` fields that are tracked and restorable. Moderation bookkeeping
+ * (`submittedBy`, `reviewedBy`, `reviewedAt`) is left out: it describes the
+ * history rather than the posting.
+ * @constant {string[]}
+ */
+const TRACKED_FIELDS = [
+  'Date', 'Employer', 'Job Title', 'Pathway', 'Language', 'Salary Range',
+  'Contact Person', 'Location', 'Deactivate?', 'Apply', 'applyType', 'applySubject',
+  'description', 'responsibilities', 'requirements', 'benefits',
+  'expiresOn', 'deactivatedAt', 'deactivationReason', 'duplicateOf', 'status', 'rejectionReason'
+];
+
+/**
+ * The tracked fields `restoreVersion` puts back: the posting itself. Its
+ * posting date, moderation status, expiry and whether it is active are left
+ * as they are, so a restore can't unpublish a job (leaving it in the Google
+ * Sheet) or bring back an expiry date that has already passed.
+ * @constant {string[]}
+ */
+const RESTORED_FIELDS = [
+  'Employer', 'Job Title', 'Pathway', 'Language', 'Salary Range',
+  'Contact Person', 'Location', 'Apply', 'applyType', 'applySubject',
+  'description', 'responsibilities', 'requirements', 'benefits'
+];
+
+/**
+ * Plain copy of a job's tracked fields.
+ * @param {Object|null} job - `Job` document, lean object, or null (for "did not exist").
+ * @returns {Object}
+ */
+function snapshotJob(job) {
+  if (!job) return {};
+  const fields = typeof job.toObject === 'function' ? job.toObject() : job;
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    const value = fields[field];
+    if (value === undefined || value === null) return;
+    if (field === 'Salary Range') {
+      snapshot[field] = normalizeSalary(value);
+    } else if (field === 'duplicateOf') {
+      snapshot[field] = String(value);
+    } else {
+      snapshot[field] = Array.isArray(value) ? [...value] : value;
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * Lists the tracked fields that differ between two snapshots.
+ * @param {Object} before - `snapshotJob` result.
+ * @param {Object} after - `snapshotJob` result.
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+function diffSnapshots(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+/**
+ * Appends a history entry for a job that was just saved (or deleted).
+ * Never throws: a failure is logged so the change itself still succeeds.
+ *
+ * @param {Object} job - The `Job` document as saved.
+ * @param {Object} entry
+ * @param {string} entry.action - One of `JobHistory.HISTORY_ACTIONS`.
+ * @param {string} entry.source - One of `JobHistory.HISTORY_SOURCES`.
+ * @param {Object} [entry.before] - `snapshotJob(job)` taken before the change; omit for new jobs.
+ * @param {{id: string, name?: string, email?: string}|null} [entry.actor] - `req.user`, or null for the system.
+ * @param {boolean} [entry.deleted=false] - The job was removed, so its "after" is empty.
+ * @param {string} [entry.restoredFrom] - History entry id a restore went back to.
+ * @returns {Promise<Object|null>} The history entry, or null if nothing changed or it could not be written.
+ */
+async function recordHistory(job, { action, source, before = {}, actor = null, deleted = false, restoredFrom } = {}) {
+  try {
+    const snapshot = deleted ? {} : snapshotJob(job);
+    const changes = diffSnapshots(before, snapshot);
+    if (!changes.length && action === 'update') return null;
+
+    return await JobHistory.create({
+      job: job._id,
+      action,
+      source,
+      actor: actor ? { id: actor.id, name: actor.name, email: actor.email } : undefined,
+      changes,
+      snapshot,
+      restoredFrom
+    });
+  } catch (error) {
+    console.error(`❌ Error recording ${action} in job history:`, error);
+    return null;
+  }
+}
+
+/**
+ * A job's history, newest first.
+ * @param {*} jobId
+ * @returns {Promise<Object[]>} Lean `JobHistory` entries.
+ */
+function getHistory(jobId) {
+  return JobHistory.find({ job: jobId }).sort({ createdAt: -1, _id: -1 }).lean();
+}
+
+/**
+ * Puts a job's posting (`RESTORED_FIELDS`) back to how it was in a history
+ * entry. Fields the old version did not have are cleared. The job is not saved here.
+ *
+ * @param {Object} job - `Job` document.
+ * @param {Object} entry - `JobHistory` entry for the same job.
+ * @returns {void}
+ */
+function restoreVersion(job, entry) {
+  const snapshot = entry.snapshot || {};
+  RESTORED_FIELDS.forEach(field => {
+    job.set(field, field in snapshot ? snapshot[field] : undefined);
+  });
+}
+
+/**
+ * Serializes a history entry for the API.
+ * @param {Object} entry - Lean `JobHistory` entry.
+ * @returns {Object}
+ */
+function serializeHistoryEntry(entry) {
+  return {
+    id: String(entry._id),
+    jobId: String(entry.job),
+    action: entry.action,
+    source: entry.source,
+    actor: entry.actor?.email ? { id: String(entry.actor.id), name: entry.actor.name || '', email: entry.actor.email } : null,
+    at: entry.createdAt,
+    changes: entry.changes || [],
+    restoredFrom: entry.restoredFrom ? String(entry.restoredFrom) : null,
+    restorable: Boolean(entry.snapshot && Object.keys(entry.snapshot).length)
+  };
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  RESTORED_FIELDS,
+  snapshotJob,
+  diffSnapshots,
+  recordHistory,
+  getHistory,
+  restoreVersion,
+  serializeHistoryEntry
+};
@@ -0,0 +1,308 @@
+/**
+ * @file jobImport.js
+ * @description
+ * Bulk import of jobs from the Google Sheet's CSV export (the same columns as
+ * `/api/sheet`: Date, Employer, Job Title, Pathway, Language, Salary Range,
+ * Contact Person, Location, Deactivate?, Apply).
+ *
+ * Each row is parsed and checked on its own, so one bad row is reported
+ * without stopping the rest. Rows that match a job already in Mongo (or an
+ * earlier row in the same file) are skipped, or merged into the existing job
+ * when `duplicates: 'merge'`. New rows that only look like an existing job
+ * (similar title, same employer, see `lib/jobDuplicates.js`) are still
+ * inserted but listed with `possibleDuplicates` so staff can review them.
+ * With `dryRun: true` nothing is written and the report shows what would happen.
+ *
+ * Imported jobs are not queued for the Google Sheet sync: they come from the
+ * sheet, and sending them back would create duplicate rows there.
+ *
+ * @requires csv-parser
+ */
+
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+
+const Job = require('../models/Job');
+const { parseLanguages } = require('./jobFields');
+const { PATHWAYS } = require('./validateJob');
+const { parseSalary } = require('../src/salary');
+const { APPLY_TYPES, detectApplyType, checkApply } = require('../src/applyMethod');
+const { matchDuplicates, normalizeApply } = require('./jobDuplicates');
+const { snapshotJob, recordHistory } = require('./jobHistory');
+
+/**
+ * Columns that must have a value on every row.
+ * @constant {string[]}
+ */
+const REQUIRED_COLUMNS = ['Date', 'Employer', 'Job Title', 'Pathway'];
+
+/**
+ * Parses CSV text into row objects keyed by (trimmed) header.
+ * @param {string|Buffer} input - CSV text.
+ * @returns {Promise<Array<Object<string, string>>>}
+ */
+function parseCsv(input) {
+  const text = String(input).replace(/^\uFEFF/, '');
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([text])
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Parses a sheet date: M/D/YYYY (as the sheet and `/api/sheet` write it) or YYYY-MM-DD.
+ * @param {string} str
+ * @returns {Date|null}
+ */
+function parseSheetDate(str) {
+  const value = String(str || '').trim();
+  let yyyy, mm, dd;
+  const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (us) {
+    [, mm, dd, yyyy] = us.map(Number);
+  } else if (iso) {
+    [, yyyy, mm, dd] = iso.map(Number);
+  } else {
+    return null;
+  }
+  const date = new Date(yyyy, mm - 1, dd);
+  // Reject dates like 2/30/2025 that roll over into the next month
+  if (date.getMonth() !== mm - 1 || date.getDate() !== dd) return null;
+  return date;
+}
+
+/**
+ * Turns a CSV row into `Job` fields. Pathway and Apply are checked as on the
+ * submission form (`lib/validateJob.js`).
+ *
+ * @param {Object<string, string>} row - Row keyed by sheet header.
+ * @returns {{job: Object|null, errors: string[]}} The job fields, or the reasons the row was rejected.
+ */
+function rowToJob(row) {
+  const cell = name => String(row[name] ?? '').trim();
+  const errors = [];
+
+  REQUIRED_COLUMNS.forEach(column => {
+    if (!cell(column)) errors.push(`${column} is required`);
+  });
+
+  // Matched without regard to case, stored as the form writes it
+  const pathway = PATHWAYS.find(name => name.toLowerCase() === cell('Pathway').toLowerCase());
+  if (cell('Pathway') && !pathway) {
+    errors.push(`Pathway "${cell('Pathway')}" must be one of ${PATHWAYS.join(', ')}`);
+  }
+
+  const date = cell('Date') ? parseSheetDate(cell('Date')) : null;
+  if (cell('Date') && !date) {
+    errors.push(`Date "${cell('Date')}" is not a valid M/D/YYYY date`);
+  }
+
+  // Blank, "Not provided", "DOE" and the like parse as not disclosed
+  const salary = parseSalary(cell('Salary Range'));
+  if (!salary) {
+    errors.push(`Salary Range "${cell('Salary Range')}" is not an amount, range or hourly rate`);
+  }
+
+  const deactivate = cell('Deactivate?').toLowerCase();
+  if (deactivate && !['true', 'false', 'yes', 'no'].includes(deactivate)) {
+    errors.push(`Deactivate? "${cell('Deactivate?')}" must be TRUE or FALSE`);
+  }
+
+  const applyType = detectApplyType(cell('Apply'));
+  const applyError = APPLY_TYPES.includes(applyType) ? checkApply(applyType, cell('Apply')) : null;
+  if (applyError) {
+    errors.push(`Apply "${cell('Apply')}": ${applyError}`);
+  }
+
+  if (errors.length) return { job: null, errors };
+
+  return {
+    job: {
+      Date: date,
+      Employer: cell('Employer'),
+      'Job Title': cell('Job Title'),
+      Pathway: pathway,
+      Language: parseLanguages(cell('Language')),
+      'Salary Range': salary,
+      'Contact Person': cell('Contact Person'),
+      // The sheet stores locations as Central_KY; the board shows Central KY
+      Location: cell('Location').replace(/_/g, ' ').replace(/\s+/g, ' '),
+      // A blank cell says nothing: new jobs get the default, merges keep the existing value
+      'Deactivate?': deactivate ? deactivate === 'true' || deactivate === 'yes' : undefined,
+      Apply: cell('Apply')
+    },
+    errors
+  };
+}
+
+/**
+ * Normalizes text for duplicate comparison: lowercase, single spaces.
+ * @param {string} str
+ * @returns {string}
+ */
+function normalize(str) {
+  return String(str || '').toLowerCase().replace(/[\s_]+/g, ' ').trim();
+}
+
+/**
+ * Key that identifies "the same posting": employer, title and apply link.
+ * @param {Object} job - `Job` fields.
+ * @returns {string}
+ */
+function duplicateKey(job) {
+  return [normalize(job.Employer), normalize(job['Job Title']), normalizeApply(job.Apply)].join('|');
+}
+
+/**
+ * Fields from an imported row that overwrite an existing job when merging.
+ * Empty cells never overwrite existing values.
+ * @param {Object} job - Imported `Job` fields.
+ * @returns {Object} Update for the existing job.
+ */
+function mergeFields(job) {
+  const update = {};
+  Object.entries(job).forEach(([key, value]) => {
+    if (key === 'Date') return; // keep the original posting date
+    if (value === '' || value == null) return;
+    if (Array.isArray(value) && !value.length) return;
+    if (key === 'Salary Range' && !value.disclosed) return;
+    update[key] = value;
+  });
+  return update;
+}
+
+/**
+ * Keeps the deactivation details in step when a merge flips `Deactivate?`,
+ * as the deactivate and reactivate routes do.
+ * @param {Object} doc - `Job` document with the merged fields set (not saved here).
+ * @param {Date} [now=new Date()]
+ */
+function syncDeactivation(doc, now = new Date()) {
+  if (!doc.isModified('Deactivate?')) return;
+  if (doc['Deactivate?']) {
+    doc.deactivatedAt = now;
+    doc.deactivationReason = 'manual';
+    return;
+  }
+  doc.deactivatedAt = undefined;
+  doc.deactivationReason = undefined;
+  doc.duplicateOf = undefined;
+  // Otherwise the expiry task would hide it again straight away
+  if (!doc.expiresOn || doc.expiresOn <= now) doc.expiresOn = Job.defaultExpiry(now);
+}
+
+/**
+ * Imports jobs from CSV text.
+ *
+ * @param {string|Buffer} input - CSV text in the sheet's column layout.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would happen without writing anything.
+ * @param {'skip'|'merge'} [options.duplicates='skip'] - What to do with rows that match an existing job.
+ * @param {Object|null} [options.actor=null] - Signed-in user running the import, for the change history.
+ * @returns {Promise<Object>} Report:
+ *   `{ dryRun, duplicates, totalRows, inserted, updated, skipped, failed, rows: [{ row, action, ... }] }`
+ *   where `row` is the spreadsheet row number (header is row 1) and `action` is
+ *   `insert`, `update`, `skip` or `error`. Inserted rows that resemble an existing
+ *   job carry `possibleDuplicates: [{ id, employer, jobTitle, score, reasons, ... }]`.
+ */
+async function importJobs(input, { dryRun = false, duplicates = 'skip', actor = null } = {}) {
+  if (!['skip', 'merge'].includes(duplicates)) {
+    throw new Error(`duplicates must be "skip" or "merge", got "${duplicates}"`);
+  }
+
+  const rows = await parseCsv(input);
+  const existing = await Job.find({}, { Date: 1, Employer: 1, 'Job Title': 1, Location: 1, Apply: 1, applyType: 1, 'Deactivate?': 1 }).lean();
+  const existingByKey = new Map(existing.map(job => [duplicateKey(job), job]));
+  const seenInFile = new Map();
+
+  const report = {
+    dryRun,
+    duplicates,
+    totalRows: rows.length,
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    rows: []
+  };
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + 2; // header is row 1
+    const { job, errors } = rowToJob(row);
+
+    if (!job) {
+      report.failed++;
+      report.rows.push({ row: rowNumber, action: 'error', errors });
+      continue;
+    }
+
+    const summary = { row: rowNumber, employer: job.Employer, jobTitle: job['Job Title'] };
+    const key = duplicateKey(job);
+
+    if (seenInFile.has(key)) {
+      report.skipped++;
+      report.rows.push({ ...summary, action: 'skip', reason: `Same job as row ${seenInFile.get(key)}` });
+      continue;
+    }
+    seenInFile.set(key, rowNumber);
+
+    const match = existingByKey.get(key);
+    if (match && duplicates === 'skip') {
+      report.skipped++;
+      report.rows.push({ ...summary, action: 'skip', reason: 'Already in the job board', existingId: String(match._id) });
+      continue;
+    }
+
+    try {
+      if (match) {
+        const update = mergeFields(job);
+        if (!dryRun) {
+          const doc = await Job.findById(match._id);
+          const before = snapshotJob(doc);
+          doc.set(update);
+          syncDeactivation(doc);
+          await doc.save();
+          await recordHistory(doc, { action: 'update', source: 'import', before, actor });
+        }
+        report.updated++;
+        report.rows.push({ ...summary, action: 'update', existingId: String(match._id), fields: Object.keys(update) });
+      } else {
+        const possibleDuplicates = matchDuplicates(job, existing);
+        const fields = { ...job };
+        // Rows marked deactivated get the details the deactivate route records
+        if (fields['Deactivate?']) {
+          fields.deactivatedAt = new Date();
+          fields.deactivationReason = 'manual';
+        }
+        let created = { ...fields, _id: `row ${rowNumber}` };
+        if (!dryRun) {
+          const doc = await Job.create(fields);
+          await recordHistory(doc, { action: 'create', source: 'import', actor });
+          created = doc.toObject();
+        }
+        // Later rows are compared against this one too
+        existing.push(created);
+        report.inserted++;
+        report.rows.push({ ...summary, action: 'insert', ...(possibleDuplicates.length && { possibleDuplicates }) });
+      }
+    } catch (error) {
+      report.failed++;
+      report.rows.push({ ...summary, action: 'error', errors: [error.message] });
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  parseCsv,
+  parseSheetDate,
+  rowToJob,
+  duplicateKey,
+  importJobs
+};
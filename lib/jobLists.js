@@ -0,0 +1,176 @@
+/**
+ * @file jobLists.js
+ * @description
+ * A signed-in user's saved (starred) and hidden jobs, stored on their `User`
+ * record so they follow them across devices. A job is in at most one list:
+ * saving a hidden job unhides it and hiding a saved job unsaves it. Visitors
+ * who are not signed in keep the same lists in localStorage (src/jobLists.js)
+ * and merge them in with `mergeLists` when they sign in.
+ */
+
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { HttpError } = require('./errors');
+
+/**
+ * List names and the `User` field holding each.
+ * @constant {Object<string, string>}
+ */
+const JOB_LISTS = {
+  saved: 'savedJobs',
+  hidden: 'hiddenJobs'
+};
+
+/**
+ * Most jobs one list can hold.
+ * @constant {number}
+ */
+const MAX_LIST_SIZE = 500;
+
+/**
+ * The `User` field for a list name.
+ * @param {string} list
+ * @returns {string}
+ * @throws {HttpError} 400 for an unknown list.
+ */
+function listField(list) {
+  const field = JOB_LISTS[list];
+  if (!field) {
+    throw new HttpError(400, `Invalid list: ${list}. Expected ${Object.keys(JOB_LISTS).join(' or ')}`);
+  }
+  return field;
+}
+
+/**
+ * The other list (a job can't be saved and hidden at once).
+ * @param {string} list
+ * @returns {string}
+ */
+function otherField(list) {
+  return list === 'saved' ? JOB_LISTS.hidden : JOB_LISTS.saved;
+}
+
+/**
+ * @param {Object|null} user - Lean `User` with the list fields.
+ * @returns {{saved: string[], hidden: string[]}}
+ * @throws {HttpError} 401 when the account no longer exists.
+ */
+function serializeLists(user) {
+  if (!user) throw new HttpError(401, 'Authentication required');
+  return {
+    saved: (user.savedJobs || []).map(String),
+    hidden: (user.hiddenJobs || []).map(String)
+  };
+}
+
+/**
+ * The user's lists.
+ * @param {string} userId
+ * @returns {Promise<{saved: string[], hidden: string[]}>}
+ */
+async function getLists(userId) {
+  const user = await User.findById(userId, { savedJobs: 1, hiddenJobs: 1 }).lean();
+  return serializeLists(user);
+}
+
+/**
+ * Adds a job to one list (and takes it off the other).
+ * @param {string} userId
+ * @param {string} list - "saved" or "hidden".
+ * @param {string} jobId
+ * @returns {Promise<{saved: string[], hidden: string[]}>}
+ * @throws {HttpError} 400 for a bad list or id, 404 for an unknown or unpublished job, 409 when the list is full.
+ */
+async function addToList(userId, list, jobId) {
+  const field = listField(list);
+  if (!mongoose.isValidObjectId(jobId)) {
+    throw new HttpError(400, `Invalid job id: ${jobId}`);
+  }
+  // Submissions still in moderation (or rejected) are reported as missing
+  if (!(await Job.exists({ _id: jobId, ...Job.PUBLISHED_FILTER }))) {
+    throw new HttpError(404, 'Job not found');
+  }
+
+  const user = await User.findOneAndUpdate(
+    // Only while there is room, unless the job is already there
+    { _id: userId, $or: [{ [field]: jobId }, { [`${field}.${MAX_LIST_SIZE - 1}`]: { $exists: false } }] },
+    { $addToSet: { [field]: jobId }, $pull: { [otherField(list)]: jobId } },
+    { new: true, projection: { savedJobs: 1, hiddenJobs: 1 } }
+  ).lean();
+  if (!user && (await User.exists({ _id: userId }))) {
+    throw new HttpError(409, `You can have at most ${MAX_LIST_SIZE} ${list} jobs`);
+  }
+  return serializeLists(user);
+}
+
+/**
+ * Takes a job off a list.
+ * @param {string} userId
+ * @param {string} list - "saved" or "hidden".
+ * @param {string} jobId
+ * @returns {Promise<{saved: string[], hidden: string[]}>}
+ * @throws {HttpError} 400 for a bad list or id.
+ */
+async function removeFromList(userId, list, jobId) {
+  const field = listField(list);
+  if (!mongoose.isValidObjectId(jobId)) {
+    throw new HttpError(400, `Invalid job id: ${jobId}`);
+  }
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $pull: { [field]: jobId } },
+    { new: true, projection: { savedJobs: 1, hiddenJobs: 1 } }
+  ).lean();
+  return serializeLists(user);
+}
+
+/**
+ * Merges lists kept in the browser before signing in. Ids that are malformed
+ * or whose jobs no longer exist (or are not published) are dropped; where the two disagree about a
+ * job, the account's list wins.
+ *
+ * @param {string} userId
+ * @param {{saved?: string[], hidden?: string[]}} lists
+ * @returns {Promise<{saved: string[], hidden: string[]}>}
+ */
+async function mergeLists(userId, lists = {}) {
+  const current = await getLists(userId);
+  const known = new Set([...current.saved, ...current.hidden]);
+
+  const candidates = {};
+  for (const list of Object.keys(JOB_LISTS)) {
+    const ids = Array.isArray(lists[list]) ? lists[list].map(String) : [];
+    candidates[list] = ids.filter(id => mongoose.isValidObjectId(id) && !known.has(id));
+  }
+  // In both browser lists: keep it saved
+  candidates.hidden = candidates.hidden.filter(id => !candidates.saved.includes(id));
+
+  const allIds = [...candidates.saved, ...candidates.hidden];
+  const existing = new Set((await Job.find({ _id: { $in: allIds }, ...Job.PUBLISHED_FILTER }, { _id: 1 }).lean()).map(job => String(job._id)));
+
+  const update = {};
+  for (const [list, field] of Object.entries(JOB_LISTS)) {
+    const room = Math.max(0, MAX_LIST_SIZE - current[list].length);
+    const ids = candidates[list].filter(id => existing.has(id)).slice(0, room);
+    if (ids.length) update[field] = { $each: ids };
+  }
+  if (!Object.keys(update).length) return current;
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $addToSet: update },
+    { new: true, projection: { savedJobs: 1, hiddenJobs: 1 } }
+  ).lean();
+  return serializeLists(user);
+}
+
+module.exports = {
+  JOB_LISTS,
+  MAX_LIST_SIZE,
+  getLists,
+  addToList,
+  removeFromList,
+  mergeLists
+};
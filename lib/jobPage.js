@@ -0,0 +1,91 @@
+/**
+ * @file jobPage.js
+ * @description
+ * The job detail page at `/jobs/:id`. The page itself is job.html, which
+ * loads the job from the API; the server only fills in its title and the
+ * Open Graph tags, so a permalink dropped into Slack (or anywhere else that
+ * unfurls links) previews the posting rather than a blank "Job Details".
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const { DETAIL_FIELDS } = require('../models/Job');
+const { renderMarkdown, markdownToText } = require('./markdown');
+const { escapeXml } = require('./jobFeed');
+const { jobUrl } = require('./siteUrl');
+const { formatSalary, normalizeSalary } = require('../src/salary');
+
+/**
+ * The page the server fills in.
+ * @constant {string}
+ */
+const PAGE_FILE = path.join(__dirname, '..', 'job.html');
+
+/** @type {Promise<string>|null} job.html, read once. */
+let pageTemplate = null;
+
+/**
+ * Renders a job's Markdown fields as sanitized HTML.
+ * @param {Object} job - `Job` (document or lean).
+ * @returns {Object<string, string>} One entry per `DETAIL_FIELDS` field; empty when not filled in.
+ */
+function renderJobDetails(job) {
+  return Object.fromEntries(DETAIL_FIELDS.map(field => [field, renderMarkdown(job[field])]));
+}
+
+/**
+ * One or two sentences about a job for link previews: the start of its
+ * description, or its salary, location and pathway when it has none.
+ * @param {Object} job - Lean `Job`.
+ * @returns {string}
+ */
+function jobSummary(job) {
+  const description = markdownToText(job.description);
+  if (description) return description;
+  const salary = formatSalary(normalizeSalary(job['Salary Range']));
+  return [salary, job.Location, job.Pathway && `${job.Pathway} pathway`]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * job.html with the job's title and link preview tags filled in.
+ *
+ * @param {Object|null} job - Lean `Job`, or null for a job that doesn't exist
+ *   (the page is sent as it is and shows "not found" itself).
+ * @param {string} base - From `siteUrl`.
+ * @returns {Promise<string>} HTML.
+ */
+async function renderJobPage(job, base) {
+  if (!pageTemplate) {
+    pageTemplate = fs.readFile(PAGE_FILE, 'utf8').catch(error => {
+      pageTemplate = null;
+      throw error;
+    });
+  }
+  const page = await pageTemplate;
+  if (!job) return page;
+
+  const title = `${job['Job Title']} at ${job.Employer}`;
+  const url = jobUrl(base, job);
+  const summary = escapeXml(jobSummary(job));
+  const meta = [
+    `<title>${escapeXml(title)} | CODE:You Job Board</title>`,
+    `<link rel="canonical" href="${escapeXml(url)}" />`,
+    `<meta name="description" content="${summary}" />`,
+    `<meta property="og:type" content="website" />`,
+    `<meta property="og:site_name" content="CODE:You Job Board" />`,
+    `<meta property="og:title" content="${escapeXml(title)}" />`,
+    `<meta property="og:description" content="${summary}" />`,
+    `<meta property="og:url" content="${escapeXml(url)}" />`
+  ].join('\n    ');
+  // A function, so "$&" and the like in a job title are left as they are
+  return page.replace('<title>Job Details</title>', () => meta);
+}
+
+module.exports = {
+  renderJobDetails,
+  jobSummary,
+  renderJobPage
+};
@@ -0,0 +1,342 @@
+/**
+ * @file jobQuery.js
+ * @description
+ * Translates job-listing query parameters (pathway, location, languages,
+ * salary bounds, date range, free text, sorting and paging) into a Mongo
+ * filter, sort and page window. This is the one place where the board's
+ * filter semantics live, so every listing endpoint should build its query
+ * through `buildJobQuery`.
+ */
+
+const mongoose = require('mongoose');
+
+const { PUBLISHED_FILTER } = require('../models/Job');
+const { HttpError } = require('./errors');
+const { getExpiresOn } = require('./jobExpiry');
+const { normalizeSalary } = require('../src/salary');
+const { applyTypeOf } = require('../src/applyMethod');
+
+/**
+ * Sort keys accepted by `?sort=`, mapped to the `Job` schema paths they sort on.
+ * @constant {Object<string, string>}
+ */
+const SORT_FIELDS = {
+  date: 'Date',
+  employer: 'Employer',
+  title: 'Job Title',
+  pathway: 'Pathway',
+  language: 'Language',
+  salary: 'Salary Range.annualized',
+  location: 'Location',
+  contact: 'Contact Person'
+};
+
+/** @constant {number} */
+const DEFAULT_PAGE_SIZE = 20;
+
+/** @constant {number} */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Most job ids accepted by `?ids=` or `?excludeIds=` (the size of a saved or hidden list).
+ * @constant {number}
+ */
+const MAX_IDS = 500;
+
+/**
+ * Error raised for query parameters that cannot be understood.
+ * Routes turn it into a `400` response.
+ */
+class QueryError extends HttpError {
+  constructor(message) {
+    super(400, message);
+    this.name = 'QueryError';
+  }
+}
+
+/**
+ * Escapes a string so it can be embedded in a RegExp literally.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Splits a comma separated query value (or repeated `?key=a&key=b`) into trimmed values.
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const parts = Array.isArray(value) ? value : [value];
+  return parts
+    .flatMap(part => String(part).split(','))
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds a case-insensitive, anchored regex for a location name that matches
+ * both the display form ("Central KY") and the sheet form ("Central_KY").
+ * @param {string} location
+ * @returns {RegExp}
+ */
+function locationRegex(location) {
+  const pattern = location
+    .split(/[\s_]+/)
+    .map(escapeRegex)
+    .join('[\\s_]+');
+  return new RegExp(`^\\s*${pattern}\\s*$`, 'i');
+}
+
+/**
+ * Builds a case-insensitive exact-match regex.
+ * @param {string} value
+ * @returns {RegExp}
+ */
+function exactRegex(value) {
+  return new RegExp(`^\\s*${escapeRegex(value)}\\s*$`, 'i');
+}
+
+/**
+ * Parses a numeric query value.
+ * @param {string|undefined} value - Raw query value, e.g. "50000" or "$50,000".
+ * @param {string} name - Parameter name used in error messages.
+ * @returns {number|null}
+ */
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return null;
+  const num = Number(String(value).replace(/[$,]/g, ''));
+  if (!Number.isFinite(num)) throw new QueryError(`Invalid ${name}: ${value}`);
+  return num;
+}
+
+/**
+ * Parses a date query value (YYYY-MM-DD or MM/DD/YYYY).
+ * @param {string|undefined} value
+ * @param {string} name - Parameter name used in error messages.
+ * @param {boolean} [endOfDay=false] - Whether a date-only value should cover the whole day.
+ * @returns {Date|null}
+ */
+function parseDateParam(value, name, endOfDay = false) {
+  if (value === undefined || value === '') return null;
+  const str = String(value).trim();
+  let date;
+  const us = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) {
+    date = new Date(Number(us[3]), Number(us[1]) - 1, Number(us[2]));
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    const [yyyy, mm, dd] = str.split('-').map(Number);
+    date = new Date(yyyy, mm - 1, dd);
+  } else {
+    date = new Date(str);
+    endOfDay = false;
+  }
+  if (isNaN(date.getTime())) throw new QueryError(`Invalid ${name}: ${value}`);
+  if (endOfDay) date.setHours(23, 59, 59, 999);
+  return date;
+}
+
+/**
+ * Parses a comma separated list of job ids.
+ * @param {string|string[]} value
+ * @param {string} name - Parameter name used in error messages.
+ * @returns {mongoose.Types.ObjectId[]} ObjectIds, so the filter also works in aggregations.
+ */
+function parseIdList(value, name) {
+  const ids = toList(value);
+  if (ids.length > MAX_IDS) {
+    throw new QueryError(`${name} must list at most ${MAX_IDS} ids`);
+  }
+  const invalid = ids.find(id => !/^[a-f\d]{24}$/i.test(id));
+  if (invalid) throw new QueryError(`Invalid ${name}: ${invalid}`);
+  return ids.map(id => new mongoose.Types.ObjectId(id));
+}
+
+/**
+ * Parses a positive integer query value.
+ * @param {string|undefined} value
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parsePositiveInt(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 1) throw new QueryError(`Invalid ${name}: ${value}`);
+  return num;
+}
+
+/**
+ * Builds the Mongo filter for a set of listing query parameters.
+ *
+ * @param {Object} query - Express `req.query`.
+ * @param {string} [query.pathway] - One or more pathways (comma separated), exact match.
+ * @param {string} [query.location] - One or more locations; "Central KY" also matches "Central_KY".
+ * @param {string} [query.languages] - One or more languages; a job matches if it lists any of them.
+ * @param {string} [query.salaryMin] - Lowest acceptable annualized salary (hourly pay x 2080).
+ * @param {string} [query.salaryMax] - Highest acceptable annualized salary.
+ * @param {string} [query.from] - Earliest posting date (inclusive).
+ * @param {string} [query.to] - Latest posting date (inclusive).
+ * @param {string} [query.q] - Free text matched against employer, title, languages, location and contact.
+ * @param {string} [query.ids] - Only these job ids (comma separated); present but empty matches nothing.
+ * @param {string} [query.excludeIds] - Leave out these job ids.
+ * @returns {Object} Mongo filter document.
+ */
+function buildJobFilter(query = {}) {
+  const conditions = [{ 'Deactivate?': { $ne: true } }, PUBLISHED_FILTER];
+
+  const pathways = toList(query.pathway);
+  if (pathways.length) {
+    conditions.push({ Pathway: { $in: pathways.map(exactRegex) } });
+  }
+
+  const locations = toList(query.location);
+  if (locations.length) {
+    conditions.push({ Location: { $in: locations.map(locationRegex) } });
+  }
+
+  const languages = toList(query.languages ?? query.language);
+  if (languages.length) {
+    conditions.push({ Language: { $in: languages.map(exactRegex) } });
+  }
+
+  const salaryMin = parseNumber(query.salaryMin, 'salaryMin');
+  const salaryMax = parseNumber(query.salaryMax, 'salaryMax');
+  if (salaryMin !== null && salaryMax !== null && salaryMin > salaryMax) {
+    throw new QueryError('salaryMin must not be greater than salaryMax');
+  }
+  if (salaryMin !== null || salaryMax !== null) {
+    const range = {};
+    if (salaryMin !== null) range.$gte = salaryMin;
+    if (salaryMax !== null) range.$lte = salaryMax;
+    conditions.push({ 'Salary Range.annualized': range });
+  }
+
+  const from = parseDateParam(query.from, 'from');
+  const to = parseDateParam(query.to, 'to', true);
+  if (from && to && from > to) {
+    throw new QueryError('from must not be after to');
+  }
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    conditions.push({ Date: range });
+  }
+
+  // A saved or hidden list on the board: an empty list shows no jobs
+  if (query.ids !== undefined) {
+    conditions.push({ _id: { $in: parseIdList(query.ids, 'ids') } });
+  }
+  const excludeIds = parseIdList(query.excludeIds, 'excludeIds');
+  if (excludeIds.length) {
+    conditions.push({ _id: { $nin: excludeIds } });
+  }
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    const regex = new RegExp(escapeRegex(q), 'i');
+    conditions.push({
+      $or: [
+        { Employer: regex },
+        { 'Job Title': regex },
+        { Language: regex },
+        { Location: regex },
+        { 'Contact Person': regex }
+      ]
+    });
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+/**
+ * Builds the Mongo sort document from `?sort=` and `?dir=`.
+ * Defaults to newest postings first. `_id` is always added as a tiebreaker
+ * so paging is stable.
+ *
+ * @param {Object} query - Express `req.query`.
+ * @returns {Object} Mongo sort document.
+ */
+function buildJobSort(query = {}) {
+  const key = query.sort ? String(query.sort).trim().toLowerCase() : 'date';
+  const field = SORT_FIELDS[key];
+  if (!field) {
+    throw new QueryError(`Invalid sort: ${query.sort}. Expected one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+
+  const dir = query.dir ? String(query.dir).trim().toLowerCase() : (key === 'date' ? 'desc' : 'asc');
+  if (dir !== 'asc' && dir !== 'desc') {
+    throw new QueryError(`Invalid dir: ${query.dir}. Expected asc or desc`);
+  }
+
+  const order = dir === 'asc' ? 1 : -1;
+  return { [field]: order, _id: order };
+}
+
+/**
+ * Builds the page window from `?page=` and `?pageSize=`.
+ * @param {Object} query - Express `req.query`.
+ * @returns {{page: number, pageSize: number, skip: number}}
+ */
+function buildPagination(query = {}) {
+  const page = parsePositiveInt(query.page, 'page', 1);
+  const pageSize = parsePositiveInt(query.pageSize, 'pageSize', DEFAULT_PAGE_SIZE);
+  if (pageSize > MAX_PAGE_SIZE) {
+    throw new QueryError(`pageSize must be at most ${MAX_PAGE_SIZE}`);
+  }
+  return { page, pageSize, skip: (page - 1) * pageSize };
+}
+
+/**
+ * Builds the complete listing query.
+ * @param {Object} query - Express `req.query`.
+ * @returns {{filter: Object, sort: Object, page: number, pageSize: number, skip: number}}
+ * @throws {QueryError} When a parameter is malformed.
+ */
+function buildJobQuery(query = {}) {
+  return {
+    filter: buildJobFilter(query),
+    sort: buildJobSort(query),
+    ...buildPagination(query)
+  };
+}
+
+/**
+ * Converts a lean `Job` document into the JSON shape returned by the API.
+ * Keeps the schema's field names so clients can share parsing code with `/api/sheet`.
+ *
+ * @param {Object} job - Lean `Job` document.
+ * @returns {Object} Serialized job.
+ */
+function serializeJob(job) {
+  const { _id, __v, ...fields } = job;
+  return {
+    id: String(_id),
+    ...fields,
+    Language: fields.Language || [],
+    'Salary Range': normalizeSalary(fields['Salary Range']),
+    'Deactivate?': Boolean(fields['Deactivate?']),
+    applyType: applyTypeOf(fields),
+    expiresOn: getExpiresOn(fields),
+    status: fields.status || 'approved'
+  };
+}
+
+module.exports = {
+  QueryError,
+  SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  escapeRegex,
+  toList,
+  parseDateParam,
+  buildJobFilter,
+  buildJobSort,
+  buildPagination,
+  buildJobQuery,
+  serializeJob
+};
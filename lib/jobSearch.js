@@ -0,0 +1,206 @@
+/**
+ * @file jobSearch.js
+ * @description
+ * Relevance-ranked job search backed by the `job_text_search` text index on
+ * the `Job` model (title, employer, languages, location and contact, weighted
+ * by `Job.TEXT_SEARCH_WEIGHTS`). Mongo stems English words, so "developers"
+ * finds "Developer", and every word counts toward the score. Results carry
+ * the character ranges that matched so the pages can highlight them.
+ */
+
+const Job = require('../models/Job');
+const { QueryError, escapeRegex, buildJobFilter, buildJobSort, buildPagination, serializeJob } = require('./jobQuery');
+
+/**
+ * Longest search text accepted.
+ * @constant {number}
+ */
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Words Mongo ignores in English text searches, so they are not highlighted either.
+ * @constant {Set<string>}
+ */
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+/**
+ * Suffixes trimmed from a search word before highlighting, so a search for
+ * "developers" also marks "Developer" (a rough stand-in for Mongo's stemming).
+ * @constant {RegExp}
+ */
+const SUFFIX_PATTERN = /(?:ies|es|s|ing|ed)$/;
+
+/**
+ * Splits the search text into the words and phrases to highlight.
+ * `"quoted phrases"` stay together and `-excluded` words are skipped, matching
+ * how Mongo reads `$search`.
+ *
+ * @param {string} q - Search text.
+ * @returns {string[]} Lowercased terms.
+ * @example
+ * searchTerms('"data analyst" python -senior');
+ * // => ['data analyst', 'python']
+ */
+function searchTerms(q) {
+  const terms = [];
+  const text = String(q).toLowerCase().replace(/"([^"]+)"/g, (_, phrase) => {
+    terms.push(phrase.trim());
+    return ' ';
+  });
+  text.split(/\s+/).forEach(word => {
+    if (!word || word.startsWith('-')) return;
+    const cleaned = word.replace(/^[^\w#+]+|[^\w#+]+$/g, '');
+    if (cleaned && !STOP_WORDS.has(cleaned)) terms.push(cleaned);
+  });
+  return terms.filter(Boolean);
+}
+
+/**
+ * Builds the regex that highlights one term in any of its word forms.
+ * @param {string} term - Lowercased word or phrase.
+ * @returns {RegExp}
+ */
+function termPattern(term) {
+  const stem = term.length > 4 ? term.replace(SUFFIX_PATTERN, '') : term;
+  return new RegExp(`(?<![\\w])${escapeRegex(stem)}[\\w]*`, 'gi');
+}
+
+/**
+ * Finds where the terms occur in a piece of text.
+ * @param {string} text
+ * @param {RegExp[]} patterns - From `termPattern`.
+ * @returns {Array<[number, number]>} Sorted, non-overlapping `[start, end)` ranges.
+ */
+function matchRanges(text, patterns) {
+  const ranges = [];
+  patterns.forEach(pattern => {
+    for (const match of text.matchAll(pattern)) {
+      if (match[0]) ranges.push([match.index, match.index + match[0].length]);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push(range);
+    return merged;
+  }, []);
+}
+
+/**
+ * Highlight ranges for each searched field of a job, keyed by field name.
+ * `Language` ranges index into the languages joined with ", ", the way the
+ * pages display them.
+ *
+ * @param {Object} job - Lean `Job`.
+ * @param {string[]} terms - From `searchTerms`.
+ * @returns {Object<string, Array<[number, number]>>} Only fields with a match.
+ */
+function highlightJob(job, terms) {
+  const patterns = terms.map(termPattern);
+  const highlights = {};
+  Object.keys(Job.TEXT_SEARCH_WEIGHTS).forEach(field => {
+    const value = field === 'Language' ? (job.Language || []).join(', ') : String(job[field] ?? '');
+    const ranges = matchRanges(value, patterns);
+    if (ranges.length) highlights[field] = ranges;
+  });
+  return highlights;
+}
+
+/**
+ * Sort for text search results: best match first, then newest.
+ * @constant {Object}
+ */
+const SEARCH_SORT = { score: { $meta: 'textScore' }, Date: -1, _id: -1 };
+
+/**
+ * Reads and checks `?q=`.
+ * @param {Object} query - Express `req.query`.
+ * @returns {string} Trimmed search text ('' when there is none).
+ * @throws {QueryError} When `q` is too long.
+ */
+function readSearchText(query) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new QueryError(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  return q;
+}
+
+/**
+ * Builds the Mongo filter for `/api/jobs` parameters with `q` matched through
+ * the text index, the way `/api/jobs/search` matches it, so every page that
+ * searches agrees on which jobs match. Without `q` it is `buildJobFilter(query)`.
+ *
+ * @param {Object} query - Express `req.query`.
+ * @returns {Object} Mongo filter.
+ * @throws {QueryError} When a parameter is malformed.
+ */
+function buildSearchFilter(query = {}) {
+  const q = readSearchText(query);
+  // The other filters work as on /api/jobs; `q` is handled by the text index instead of regexes
+  const filter = buildJobFilter({ ...query, q: undefined });
+  return q ? { ...filter, $text: { $search: q } } : filter;
+}
+
+/**
+ * Builds the sort for a `buildSearchFilter` query: relevance when searching
+ * without an explicit `?sort=`, otherwise `buildJobSort(query)`.
+ *
+ * @param {Object} query - Express `req.query`.
+ * @returns {Object} Mongo sort document.
+ * @throws {QueryError} When `sort` or `dir` is invalid.
+ */
+function buildSearchSort(query = {}) {
+  return readSearchText(query) && !query.sort ? SEARCH_SORT : buildJobSort(query);
+}
+
+/**
+ * Runs a text search over the active, published jobs.
+ *
+ * @param {Object} query - Express `req.query`: `q` plus any `/api/jobs` filter
+ *   (pathway, location, languages, salaryMin, salaryMax, from, to) and `page`/`pageSize`.
+ * @returns {Promise<{jobs: Object[], total: number, page: number, pageSize: number, totalPages: number}>}
+ *   Jobs best match first, each with `score` and `highlights`.
+ * @throws {QueryError} When `q` is missing or a parameter is malformed.
+ */
+async function searchJobs(query = {}) {
+  const q = readSearchText(query);
+  if (!q) {
+    throw new QueryError('q is required');
+  }
+
+  const filter = buildSearchFilter(query);
+  const { page, pageSize, skip } = buildPagination(query);
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter, { score: { $meta: 'textScore' } })
+      .sort(SEARCH_SORT)
+      .skip(skip)
+      .limit(pageSize)
+      .lean(),
+    Job.countDocuments(filter)
+  ]);
+
+  const terms = searchTerms(q);
+  return {
+    jobs: jobs.map(job => ({
+      ...serializeJob(job),
+      score: Math.round(job.score * 1000) / 1000,
+      highlights: highlightJob(job, terms)
+    })),
+    total,
+    page,
+    pageSize,
+    totalPages: Math.ceil(total / pageSize)
+  };
+}
+
+module.exports = {
+  searchTerms,
+  highlightJob,
+  buildSearchFilter,
+  buildSearchSort,
+  searchJobs
+};
@@ -0,0 +1,328 @@
+/**
+ * @file linkCheck.js
+ * @description
+ * Apply-link health checker. A background task requests every active job's
+ * Apply URL (a few at a time, each with a timeout), follows its redirects and
+ * records the outcome on the job as `linkCheck`. Links that end on another
+ * site, answer 404/410, or keep failing are flagged for staff in
+ * `GET /api/jobs/links`; with `LINK_CHECK_AUTO_DEACTIVATE=true` flagged jobs
+ * are also taken off the board. `checkLink` needs no database, so the checker
+ * can be tried against the local stub in `scripts/applyLinkStub.js`.
+ *
+ * Environment:
+ *  - LINK_CHECK_INTERVAL_MINUTES: how often every link is checked (default 720).
+ *  - LINK_CHECK_TIMEOUT_MS: how long to wait for each request (default 10000).
+ *  - LINK_CHECK_CONCURRENCY: links checked at once (default 4).
+ *  - LINK_CHECK_AUTO_DEACTIVATE: "true" to deactivate flagged jobs (default off).
+ *
+ * @requires axios
+ * @requires tldts
+ */
+
+const axios = require('axios');
+const { getDomain } = require('tldts');
+
+const Job = require('../models/Job');
+const { enqueueSync } = require('./sheetSync');
+const { snapshotJob, recordHistory } = require('./jobHistory');
+
+/**
+ * `deactivationReason` for jobs the checker takes down.
+ * @constant {string}
+ */
+const BROKEN_LINK_REASON = 'broken_link';
+
+/**
+ * Most redirects followed before a link counts as broken.
+ * @constant {number}
+ */
+const MAX_REDIRECTS = 5;
+
+/**
+ * Broken or unreachable checks in a row before a link is flagged. 404 and
+ * 410 are flagged at once; errors that may pass (500s, timeouts) need a second look.
+ * @constant {number}
+ */
+const FAILURE_THRESHOLD = 2;
+
+/**
+ * Statuses that mean the page is gone for good.
+ * @constant {number[]}
+ */
+const GONE_STATUSES = [404, 410];
+
+/**
+ * Statuses sites use to turn away automated requests; the link may well work.
+ * @constant {number[]}
+ */
+const BLOCKED_STATUSES = [401, 403, 429];
+
+/**
+ * @returns {number} Milliseconds to wait for each request.
+ */
+function requestTimeout() {
+  return Number(process.env.LINK_CHECK_TIMEOUT_MS) || 10 * 1000;
+}
+
+/**
+ * @returns {number} Links checked at once.
+ */
+function concurrency() {
+  return Math.max(1, Number(process.env.LINK_CHECK_CONCURRENCY) || 4);
+}
+
+/**
+ * The registered domain that identifies a site, from the public suffix list:
+ * "careers.acme.com" and "www.acme.com" are both "acme.com", while
+ * "acme.co.uk" and "globex.co.uk" (or "acme.github.io" and "globex.github.io")
+ * stay apart. IP addresses and "localhost" are kept whole.
+ * @param {string} hostname
+ * @returns {string}
+ */
+function siteOf(hostname) {
+  const host = hostname.toLowerCase();
+  return getDomain(host, { allowPrivateDomains: true }) || host;
+}
+
+/**
+ * Makes one request without following redirects and without reading the body.
+ * @param {string} url
+ * @param {string} method - "HEAD" or "GET".
+ * @returns {Promise<{status: number, location: string|undefined}>}
+ */
+async function requestOnce(url, method) {
+  const response = await axios({
+    url,
+    method,
+    maxRedirects: 0,
+    timeout: requestTimeout(),
+    responseType: 'stream',
+    validateStatus: () => true,
+    headers: {
+      'User-Agent': 'CODE:You Job Board link checker',
+      Accept: 'text/html,application/xhtml+xml,*/*'
+    }
+  });
+  if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+  return { status: response.status, location: response.headers.location };
+}
+
+/**
+ * Requests a link and follows its redirects. Each hop is tried with HEAD and,
+ * when that fails (many ATS pages don't support it), again with GET.
+ *
+ * @param {string} url - An http(s) address.
+ * @returns {Promise<{status: string, httpStatus: number|null, finalUrl: string, error: string|null}>}
+ *   `status` is one of `Job.LINK_STATUSES`.
+ * @example
+ * await checkLink('http://localhost:4002/offsite');
+ * // => { status: 'redirected', httpStatus: 200, finalUrl: 'http://127.0.0.1:4002/careers', error: null }
+ */
+async function checkLink(url) {
+  let current = url;
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      let response = await requestOnce(current, 'HEAD');
+      if (response.status >= 400) response = await requestOnce(current, 'GET');
+
+      if (response.status >= 300 && response.status < 400 && response.location) {
+        current = new URL(response.location, current).href;
+        continue;
+      }
+
+      const httpStatus = response.status;
+      let status = 'ok';
+      if (BLOCKED_STATUSES.includes(httpStatus)) status = 'blocked';
+      else if (httpStatus >= 400) status = 'broken';
+      else if (siteOf(new URL(current).hostname) !== siteOf(new URL(url).hostname)) status = 'redirected';
+      return { status, httpStatus, finalUrl: current, error: null };
+    }
+    return { status: 'broken', httpStatus: null, finalUrl: current, error: `More than ${MAX_REDIRECTS} redirects` };
+  } catch (error) {
+    return { status: 'unreachable', httpStatus: null, finalUrl: current, error: error.code || error.message };
+  }
+}
+
+/**
+ * Checks a job's apply link and works out whether to flag it, counting
+ * failures on from the job's last check of the same link.
+ *
+ * @param {Object} job - `Job` (document or lean) whose `Apply` is a web address.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object>} The job's new `linkCheck`.
+ */
+async function checkJobLink(job, now = new Date()) {
+  const result = await checkLink(job.Apply);
+  const previous = job.linkCheck && job.linkCheck.url === job.Apply ? job.linkCheck : null;
+  const failed = result.status === 'broken' || result.status === 'unreachable';
+  const failures = failed ? ((previous && previous.failures) || 0) + 1 : 0;
+
+  return {
+    url: job.Apply,
+    ...result,
+    failures,
+    flagged: result.status === 'redirected'
+      || (failed && (GONE_STATUSES.includes(result.httpStatus) || failures >= FAILURE_THRESHOLD)),
+    checkedAt: now
+  };
+}
+
+/**
+ * Saves a job's check result without touching its change history.
+ * @param {Object} job
+ * @param {Object} linkCheck - From `checkJobLink`.
+ * @returns {Promise<void>}
+ */
+async function saveLinkCheck(job, linkCheck) {
+  await Job.updateOne({ _id: job._id }, { $set: { linkCheck } });
+}
+
+/**
+ * Takes a job with a flagged link off the board, records it in the job's
+ * history and passes the change to `enqueueSync`.
+ * @param {string} jobId
+ * @param {Date} now
+ * @returns {Promise<boolean>} Whether the job was deactivated.
+ */
+async function deactivateBrokenJob(jobId, now) {
+  const job = await Job.findOne({ _id: jobId, 'Deactivate?': { $ne: true } });
+  if (!job) return false;
+  const before = snapshotJob(job);
+  job['Deactivate?'] = true;
+  job.deactivatedAt = now;
+  job.deactivationReason = BROKEN_LINK_REASON;
+  await job.save();
+  await recordHistory(job, { action: 'deactivate', source: 'linkCheck', before });
+  await enqueueSync(job, 'deactivate');
+  return true;
+}
+
+/**
+ * Runs `worker` over `items`, at most `limit` at a time.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function(*): Promise<void>} worker
+ * @returns {Promise<void>}
+ */
+async function runLimited(items, limit, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+/**
+ * Checks the apply link of every active, published job that has one, saves
+ * each result and, when asked, deactivates the jobs whose links are flagged.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.autoDeactivate] - Defaults to `LINK_CHECK_AUTO_DEACTIVATE`.
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<{checked: number, flagged: number, deactivated: number, byStatus: Object<string, number>}>}
+ */
+async function checkActiveLinks({
+  autoDeactivate = process.env.LINK_CHECK_AUTO_DEACTIVATE === 'true',
+  now = new Date()
+} = {}) {
+  const jobs = await Job.find(
+    // Jobs saved before applyType existed have none; the pattern picks out their web addresses
+    { 'Deactivate?': { $ne: true }, ...Job.PUBLISHED_FILTER, applyType: { $in: ['url', null] }, Apply: /^\s*https?:\/\//i },
+    { Apply: 1, linkCheck: 1 }
+  ).lean();
+
+  const summary = { checked: 0, flagged: 0, deactivated: 0, byStatus: {} };
+  await runLimited(jobs, concurrency(), async job => {
+    try {
+      job.Apply = job.Apply.trim();
+      const linkCheck = await checkJobLink(job, now);
+      await saveLinkCheck(job, linkCheck);
+      summary.checked++;
+      summary.byStatus[linkCheck.status] = (summary.byStatus[linkCheck.status] || 0) + 1;
+      if (!linkCheck.flagged) return;
+      summary.flagged++;
+      if (autoDeactivate && (await deactivateBrokenJob(job._id, now))) summary.deactivated++;
+    } catch (error) {
+      console.error(`❌ Link check failed for job ${job._id}:`, error.message);
+    }
+  });
+
+  console.log(`🔗 Checked ${summary.checked} apply link(s): ${summary.flagged} flagged`
+    + (summary.deactivated ? `, ${summary.deactivated} job(s) deactivated` : ''));
+  return summary;
+}
+
+/**
+ * Staff report of jobs whose apply links are flagged: active ones, plus ones
+ * the checker deactivated. Newest check first.
+ * @returns {Promise<{generatedAt: Date, jobs: Object[]}>}
+ */
+async function buildLinkReport() {
+  const jobs = await Job.find({
+    'linkCheck.flagged': true,
+    ...Job.PUBLISHED_FILTER,
+    $or: [{ 'Deactivate?': { $ne: true } }, { deactivationReason: BROKEN_LINK_REASON }]
+  }, { 'Job Title': 1, Employer: 1, Apply: 1, 'Deactivate?': 1, deactivationReason: 1, linkCheck: 1 })
+    .sort({ 'linkCheck.checkedAt': -1 })
+    .lean();
+
+  return {
+    generatedAt: new Date(),
+    jobs: jobs.map(job => ({
+      id: String(job._id),
+      title: job['Job Title'],
+      employer: job.Employer,
+      apply: job.Apply,
+      active: !job['Deactivate?'],
+      linkCheck: job.linkCheck
+    }))
+  };
+}
+
+/** @type {NodeJS.Timeout|null} */
+let timer = null;
+
+/** Whether a run is still going, so a slow run isn't overlapped by the next. */
+let running = false;
+
+/**
+ * Checks every apply link now and then every `LINK_CHECK_INTERVAL_MINUTES`.
+ * Safe to call more than once.
+ * @returns {void}
+ */
+function startLinkCheckTask() {
+  if (timer) return;
+  const run = () => {
+    if (running) return;
+    running = true;
+    checkActiveLinks()
+      .catch(error => console.error('❌ Link check task error:', error))
+      .finally(() => { running = false; });
+  };
+  const minutes = Number(process.env.LINK_CHECK_INTERVAL_MINUTES) || 720;
+  timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  run();
+}
+
+/**
+ * Stops the scheduled link check task.
+ * @returns {void}
+ */
+function stopLinkCheckTask() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  BROKEN_LINK_REASON,
+  checkLink,
+  checkJobLink,
+  saveLinkCheck,
+  checkActiveLinks,
+  buildLinkReport,
+  startLinkCheckTask,
+  stopLinkCheckTask
+};
@@ -0,0 +1,115 @@
+/**
+ * @file mailer.js
+ * @description
+ * Sends email through one of two transports, picked by `MAIL_TRANSPORT`:
+ *  - smtp: a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *  - capture: nothing is sent; each message is written as an .eml file to
+ *    MAIL_CAPTURE_DIR (default codeyou-jobboard-mail in the system temp
+ *    folder) for development. The files hold confirmation and unsubscribe
+ *    links, so capture is refused when NODE_ENV=production.
+ * Without `MAIL_TRANSPORT`, smtp is used when SMTP_HOST is set and capture otherwise.
+ * Messages come from MAIL_FROM.
+ *
+ * @requires nodemailer
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Transports accepted in `MAIL_TRANSPORT`.
+ * @constant {string[]}
+ */
+const MAIL_TRANSPORTS = ['smtp', 'capture'];
+
+/**
+ * Sender when `MAIL_FROM` is not set.
+ * @constant {string}
+ */
+const DEFAULT_FROM = '"CODE:You Job Board" <no-reply@localhost>';
+
+/**
+ * Where captured messages go when `MAIL_CAPTURE_DIR` is not set: outside the
+ * repo, so they can never be served with the site's files.
+ * @constant {string}
+ */
+const DEFAULT_CAPTURE_DIR = path.join(os.tmpdir(), 'codeyou-jobboard-mail');
+
+/** @type {{name: string, transport: import('nodemailer').Transporter}|null} */
+let current = null;
+
+/**
+ * The transport chosen by the environment.
+ * @returns {string}
+ * @throws {Error} For an unknown transport, or capture in production.
+ */
+function transportName() {
+  const name = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'capture')).toLowerCase();
+  if (!MAIL_TRANSPORTS.includes(name)) {
+    throw new Error(`Invalid MAIL_TRANSPORT: ${name}. Expected ${MAIL_TRANSPORTS.join(' or ')}`);
+  }
+  if (name === 'capture' && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT=capture is for development only; set SMTP_HOST to send email in production');
+  }
+  return name;
+}
+
+/**
+ * Creates the transport on first use.
+ * @returns {{name: string, transport: import('nodemailer').Transporter}}
+ */
+function getTransport() {
+  if (current) return current;
+  const name = transportName();
+  const transport = name === 'smtp'
+    ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+    : nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  current = { name, transport };
+  return current;
+}
+
+/**
+ * Writes a captured message to MAIL_CAPTURE_DIR.
+ * @param {Buffer} raw - The full message.
+ * @param {string} to
+ * @returns {Promise<string>} The file written.
+ */
+async function captureMessage(raw, to) {
+  const dir = path.resolve(process.env.MAIL_CAPTURE_DIR || DEFAULT_CAPTURE_DIR);
+  await fs.mkdir(dir, { recursive: true });
+  const safeTo = String(to).replace(/[^a-z0-9@._-]+/gi, '_');
+  const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeTo}.eml`);
+  await fs.writeFile(file, raw);
+  return file;
+}
+
+/**
+ * Sends one email.
+ *
+ * @param {Object} message - nodemailer message: `to`, `subject`, `text`, `html`, `headers`...
+ * @returns {Promise<{transport: string, messageId: string, file?: string}>}
+ *   `file` is the .eml written by the capture transport.
+ * @throws {Error} When the transport rejects the message.
+ */
+async function sendMail(message) {
+  const { name, transport } = getTransport();
+  const info = await transport.sendMail({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+  if (name === 'capture') {
+    const file = await captureMessage(info.message, message.to);
+    console.log(`📧 Captured email to ${message.to}: ${file}`);
+    return { transport: name, messageId: info.messageId, file };
+  }
+  return { transport: name, messageId: info.messageId };
+}
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  sendMail
+};
@@ -0,0 +1,75 @@
+/**
+ * @file markdown.js
+ * @description
+ * Renders the Markdown staff write in a job's description, responsibilities,
+ * requirements and benefits. Input is whatever was typed into the form, so
+ * the HTML is always sanitized: only basic formatting, lists and links survive,
+ * and links may only point at web pages or email addresses.
+ *
+ * @requires marked
+ * @requires sanitize-html
+ */
+
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * Markdown parser: GitHub-flavoured, with single line breaks kept since
+ * postings are usually pasted from emails.
+ */
+const markdown = new Marked({ gfm: true, breaks: true });
+
+/**
+ * What may be left in rendered Markdown. Headings start at h3 because the
+ * detail page already uses h1 for the title and h2 for each section.
+ * @constant {Object}
+ */
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'blockquote', 'hr',
+    'ul', 'ol', 'li', 'a', 'h3', 'h4', 'h5', 'h6'
+  ],
+  allowedAttributes: { a: ['href', 'rel', 'target'], ol: ['start'] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    h1: 'h3',
+    h2: 'h4',
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer', target: '_blank' })
+  }
+};
+
+/**
+ * Turns Markdown into safe HTML.
+ *
+ * @param {string} [text] - Markdown source.
+ * @returns {string} Sanitized HTML; empty for blank input.
+ * @example
+ * renderMarkdown('**Python** and <script>alert(1)</script>[SQL](javascript:alert(1))');
+ * // => '<p><strong>Python</strong> and <a rel="nofollow noopener noreferrer" target="_blank">SQL</a></p>'
+ */
+function renderMarkdown(text) {
+  const source = String(text ?? '').trim();
+  if (!source) return '';
+  return sanitizeHtml(markdown.parse(source), SANITIZE_OPTIONS).trim();
+}
+
+/**
+ * Plain text of some Markdown, for link previews and feeds' summaries.
+ * @param {string} [text] - Markdown source.
+ * @param {number} [maxLength=200]
+ * @returns {string} Whitespace collapsed, cut at a word with "…" when too long.
+ */
+function markdownToText(text, maxLength = 200) {
+  const plain = sanitizeHtml(markdown.parse(String(text ?? '')), { allowedTags: [], allowedAttributes: {} })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&') // last, so "&amp;lt;" becomes "&lt;" and not "<"
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (plain.length <= maxLength) return plain;
+  return plain.slice(0, maxLength).replace(/\s+\S*$/, '') + '…';
+}
+
+module.exports = { renderMarkdown, markdownToText };
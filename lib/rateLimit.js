@@ -0,0 +1,56 @@
+/**
+ * @file rateLimit.js
+ * @description
+ * A small in-memory rate limiter for routes anyone can call that cause
+ * something to happen outside the app (e.g. an email being sent). Counts are
+ * kept per client IP in fixed windows and reset when the server restarts,
+ * which is enough to stop one client from hammering a route.
+ */
+
+const { HttpError, sendError } = require('./errors');
+
+/**
+ * Creates middleware that allows each client IP `max` requests per `windowMs`.
+ * Further requests get `429 { error: message }` with a `Retry-After` header.
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Length of a window in milliseconds.
+ * @param {number} options.max - Requests allowed per window.
+ * @param {string} [options.message='Too many requests. Please try again later.']
+ * @param {function(import('express').Request): boolean} [options.skip] - Requests it returns
+ *   true for are not counted (e.g. staff).
+ * @returns {import('express').RequestHandler}
+ * @example
+ * router.post('/', rateLimit({ windowMs: 15 * 60 * 1000, max: 5 }), handler);
+ */
+function rateLimit({ windowMs, max, message = 'Too many requests. Please try again later.', skip = () => false }) {
+  /** @type {Map<string, {count: number, resetAt: number}>} */
+  const hits = new Map();
+
+  // Forget finished windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => entry.resetAt <= now && hits.delete(key));
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    if (skip(req)) return next();
+    const now = Date.now();
+    const key = req.ip || 'unknown';
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      sendError(res, new HttpError(429, message));
+      return;
+    }
+    next();
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,389 @@
+/**
+ * @file savedSearches.js
+ * @description
+ * Saved job board searches and their email digests. Someone saves the
+ * board's filters with an email address and a frequency, and the address is
+ * sent a link to confirm it; once confirmed, the digest task emails the active
+ * jobs posted since their last digest that match, daily or weekly, and skips
+ * the email when nothing new matched. Every email carries an unsubscribe link
+ * (and a one-click List-Unsubscribe header).
+ */
+
+const crypto = require('crypto');
+
+const SavedSearch = require('../models/SavedSearch');
+const Job = require('../models/Job');
+const { HttpError } = require('./errors');
+const { buildJobFilter } = require('./jobQuery');
+const { describeFilters, escapeXml } = require('./jobFeed');
+const { sendMail } = require('./mailer');
+const { siteUrl, jobUrl } = require('./siteUrl');
+const { formatSalary, normalizeSalary } = require('../src/salary');
+
+/**
+ * Most searches one email address may save.
+ * @constant {number}
+ */
+const MAX_SEARCHES_PER_EMAIL = 10;
+
+/**
+ * Longest text a search criterion may hold (the search box, pathway, ...).
+ * Criteria end up in email subjects, so they are kept short.
+ * @constant {number}
+ */
+const MAX_CRITERION_LENGTH = 100;
+
+/**
+ * Longest label, cut with "…" beyond this.
+ * @constant {number}
+ */
+const MAX_LABEL_LENGTH = 120;
+
+/**
+ * Most jobs listed in one digest; the rest are summed up in a count.
+ * @constant {number}
+ */
+const DIGEST_JOB_LIMIT = 25;
+
+/**
+ * Time between digests for each frequency.
+ * @constant {Object<string, number>}
+ */
+const DIGEST_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * A digest counts as due this long before its period is up, so an hourly
+ * check doesn't push each digest an hour later than the last.
+ * @constant {number}
+ */
+const DUE_SLACK_MS = 60 * 60 * 1000;
+
+/**
+ * Rough email address check.
+ * @constant {RegExp}
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Describes a search for people, e.g. `Python jobs in Louisville matching "junior", $50,000 - $74,999`.
+ * @param {Object} criteria - Saved criteria (`GET /api/jobs` parameter names).
+ * @returns {string}
+ */
+function describeCriteria(criteria = {}) {
+  let label = describeFilters(criteria);
+  if (criteria.q) label += ` matching "${criteria.q}"`;
+  const { salaryMin, salaryMax } = criteria;
+  if (salaryMin != null || salaryMax != null) {
+    label += `, ${formatSalary({ min: salaryMin ?? null, max: salaryMax ?? null, period: 'annual', currency: 'USD' })}`;
+  }
+  return label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1).trimEnd()}…` : label;
+}
+
+/**
+ * Checks a new saved search from the request body.
+ *
+ * @param {Object} body - `{ email, frequency, criteria: { q, pathway, location, languages, salaryMin, salaryMax } }`.
+ * @returns {{email: string, frequency: string, criteria: Object, label: string}}
+ * @throws {HttpError} 400 when the email, frequency or a criterion is invalid or too long.
+ */
+function toSavedSearch(body = {}) {
+  const email = String(body.email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new HttpError(400, 'A valid email address is required');
+  }
+
+  const frequency = body.frequency || 'weekly';
+  if (!SavedSearch.DIGEST_FREQUENCIES.includes(frequency)) {
+    throw new HttpError(400, `Invalid frequency: ${frequency}. Expected ${SavedSearch.DIGEST_FREQUENCIES.join(' or ')}`);
+  }
+
+  const criteria = {};
+  const given = body.criteria || {};
+  SavedSearch.SEARCH_CRITERIA.forEach(key => {
+    const value = given[key];
+    if (value === undefined || value === null || String(value).trim() === '') return;
+    if (String(value).trim().length > MAX_CRITERION_LENGTH) {
+      throw new HttpError(400, `criteria.${key} must be at most ${MAX_CRITERION_LENGTH} characters`);
+    }
+    criteria[key] = key === 'salaryMin' || key === 'salaryMax' ? Number(value) : String(value).trim();
+  });
+  buildJobFilter(criteria); // throws a QueryError for malformed criteria
+
+  return { email, frequency, criteria, label: describeCriteria(criteria) };
+}
+
+/**
+ * Saves a search and emails the address a link to confirm it. No digests are
+ * sent until it is confirmed, so nobody can sign up an address that isn't
+ * theirs; unconfirmed searches are deleted after `CONFIRM_WITHIN_DAYS`.
+ *
+ * @param {Object} body - See `toSavedSearch`.
+ * @param {import('express').Request} [req] - Used for links when PUBLIC_URL is unset.
+ * @returns {Promise<Object>} The `SavedSearch` document.
+ * @throws {HttpError} 400 for invalid input or when the address already has too many searches.
+ */
+async function createSavedSearch(body, req) {
+  const fields = toSavedSearch(body);
+  const existing = await SavedSearch.countDocuments({ email: fields.email });
+  if (existing >= MAX_SEARCHES_PER_EMAIL) {
+    throw new HttpError(400, `An email address can have at most ${MAX_SEARCHES_PER_EMAIL} saved searches`);
+  }
+
+  const search = await SavedSearch.create({ ...fields, confirmToken: crypto.randomBytes(24).toString('base64url') });
+  const base = siteUrl(req);
+  sendMail(renderConfirmation(search, base)).catch(error => {
+    console.error(`❌ Failed to email confirmation for saved search ${search._id}:`, error.message);
+  });
+  return search;
+}
+
+/**
+ * Confirms the saved search with this confirmation token, which starts its
+ * digests. Jobs posted before now are not sent.
+ * @param {string} token
+ * @returns {Promise<Object|null>} The confirmed search, or null when there was none
+ *   (already confirmed, expired or never existed).
+ */
+function confirmSavedSearch(token) {
+  const now = new Date();
+  return SavedSearch.findOneAndUpdate(
+    { confirmToken: String(token) },
+    { $unset: { confirmToken: 1 }, $set: { confirmedAt: now, lastSentAt: now } },
+    { new: true }
+  );
+}
+
+/**
+ * The public fields of a saved search (never its tokens).
+ * @param {Object} search - `SavedSearch` document.
+ * @returns {{id: string, email: string, frequency: string, label: string, criteria: Object,
+ *   confirmed: boolean, lastSentAt: Date, createdAt: Date}}
+ */
+function serializeSavedSearch(search) {
+  const plain = typeof search.toObject === 'function' ? search.toObject() : search;
+  const criteria = { ...plain.criteria };
+  Object.keys(criteria).forEach(key => criteria[key] == null && delete criteria[key]);
+  return {
+    id: String(search._id),
+    email: search.email,
+    frequency: search.frequency,
+    label: search.label,
+    criteria,
+    confirmed: !search.confirmToken,
+    lastSentAt: search.lastSentAt,
+    createdAt: search.createdAt
+  };
+}
+
+/**
+ * Link that opens the unsubscribe page for a search.
+ * @param {Object} search
+ * @param {string} base - From `siteUrl`.
+ * @returns {string}
+ */
+function unsubscribePageUrl(search, base) {
+  return `${base}/unsubscribe.html?token=${encodeURIComponent(search.unsubscribeToken)}`;
+}
+
+/**
+ * Headers that let mail clients offer their own one-click unsubscribe (RFC 8058).
+ * @param {Object} search
+ * @param {string} base
+ * @returns {Object<string, string>}
+ */
+function unsubscribeHeaders(search, base) {
+  return {
+    'List-Unsubscribe': `<${base}/api/saved-searches/unsubscribe/${encodeURIComponent(search.unsubscribeToken)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+/**
+ * Plain text and HTML footers with the unsubscribe link.
+ * @param {Object} search
+ * @param {string} base
+ * @returns {{text: string, html: string}}
+ */
+function renderFooter(search, base) {
+  const url = unsubscribePageUrl(search, base);
+  const kind = search.confirmToken ? 'this' : `this ${search.frequency}`;
+  return {
+    text: `You get ${kind} email because ${search.email} saved the search "${search.label}" on the CODE:You Job Board.\nUnsubscribe: ${url}`,
+    html: `<p style="color:#586275;font-size:12px">You get ${kind} email because ${escapeXml(search.email)} saved the search `
+      + `"${escapeXml(search.label)}" on the CODE:You Job Board. <a href="${escapeXml(url)}">Unsubscribe</a></p>`
+  };
+}
+
+/**
+ * The "confirm your job alert" email.
+ * @param {Object} search - Unconfirmed `SavedSearch`.
+ * @param {string} base
+ * @returns {Object} nodemailer message.
+ */
+function renderConfirmation(search, base) {
+  const footer = renderFooter(search, base);
+  const url = `${base}/confirmAlert.html?token=${encodeURIComponent(search.confirmToken)}`;
+  const intro = `Confirm this address to get an email ${search.frequency === 'daily' ? 'each day' : 'each week'} when new jobs match "${search.label}".`;
+  const ignore = `If you didn't ask for this, ignore this email: nothing more will be sent and the alert is deleted in ${SavedSearch.CONFIRM_WITHIN_DAYS} days.`;
+  return {
+    to: search.email,
+    subject: 'Confirm your CODE:You Job Board alert',
+    text: `${intro}\nConfirm: ${url}\n\n${ignore}\n\n${footer.text}\n`,
+    html: `<p>${escapeXml(intro)}</p><p><a href="${escapeXml(url)}">Confirm job alert</a></p>`
+      + `<p>${escapeXml(ignore)}</p>${footer.html}`,
+    headers: unsubscribeHeaders(search, base)
+  };
+}
+
+/**
+ * The digest email for a search.
+ * @param {Object} search
+ * @param {Object[]} jobs - Lean `Job`s, newest first.
+ * @param {number} total - How many jobs matched (may exceed `jobs.length`).
+ * @param {string} base
+ * @returns {Object} nodemailer message.
+ */
+function renderDigest(search, jobs, total, base) {
+  const footer = renderFooter(search, base);
+  const lines = jobs.map(job => ({
+    title: `${job['Job Title']} at ${job.Employer}`,
+    details: [formatSalary(normalizeSalary(job['Salary Range'])), job.Location].filter(Boolean).join(' · '),
+    url: jobUrl(base, job)
+  }));
+  const more = total > jobs.length ? `…and ${total - jobs.length} more on the job board: ${base}/jobBoard.html` : '';
+
+  return {
+    to: search.email,
+    subject: `${total} new job${total === 1 ? '' : 's'}: ${search.label}`,
+    text: [
+      `New jobs matching "${search.label}":`,
+      '',
+      ...lines.map(line => `- ${line.title}\n  ${line.details}\n  ${line.url}`),
+      ...(more ? ['', more] : []),
+      '',
+      footer.text,
+      ''
+    ].join('\n'),
+    html: [
+      `<p>New jobs matching "${escapeXml(search.label)}":</p>`,
+      '<ul>',
+      ...lines.map(line => `<li><a href="${escapeXml(line.url)}">${escapeXml(line.title)}</a><br>${escapeXml(line.details)}</li>`),
+      '</ul>',
+      more ? `<p>…and ${total - jobs.length} more on the <a href="${escapeXml(`${base}/jobBoard.html`)}">job board</a>.</p>` : '',
+      footer.html
+    ].join('\n'),
+    headers: unsubscribeHeaders(search, base)
+  };
+}
+
+/**
+ * Active jobs matching a search that were posted after its last digest.
+ * @param {Object} search
+ * @param {Date} until - Jobs posted after this wait for the next digest.
+ * @returns {Promise<{jobs: Object[], total: number}>}
+ */
+async function findNewJobs(search, until) {
+  const filter = {
+    $and: [
+      buildJobFilter(serializeSavedSearch(search).criteria),
+      { Date: { $gt: search.lastSentAt, $lte: until } }
+    ]
+  };
+  const [jobs, total] = await Promise.all([
+    Job.find(filter).sort({ Date: -1, _id: -1 }).limit(DIGEST_JOB_LIMIT).lean(),
+    Job.countDocuments(filter)
+  ]);
+  return { jobs, total };
+}
+
+/**
+ * Emails every digest that is due (for confirmed searches only). A search with nothing new just moves on
+ * to the next period; one whose email fails keeps its `lastSentAt` and is
+ * tried again on the next run.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{checked: number, sent: number, failed: number}>}
+ */
+async function sendDueDigests(now = new Date()) {
+  const base = siteUrl();
+  const due = await SavedSearch.find({
+    confirmToken: { $exists: false },
+    $or: SavedSearch.DIGEST_FREQUENCIES.map(frequency => ({
+      frequency,
+      lastSentAt: { $lte: new Date(now.getTime() - DIGEST_PERIOD_MS[frequency] + DUE_SLACK_MS) }
+    }))
+  });
+
+  const result = { checked: due.length, sent: 0, failed: 0 };
+  for (const search of due) {
+    try {
+      const { jobs, total } = await findNewJobs(search, now);
+      if (total > 0) {
+        await sendMail(renderDigest(search, jobs, total, base));
+        result.sent++;
+      }
+      search.lastSentAt = now;
+      await search.save();
+    } catch (error) {
+      result.failed++;
+      console.error(`❌ Failed to send job digest for saved search ${search._id}:`, error.message);
+    }
+  }
+  if (result.sent || result.failed) {
+    console.log(`📧 Job digests: ${result.sent} sent, ${result.failed} failed of ${result.checked} due`);
+  }
+  return result;
+}
+
+/**
+ * Deletes the saved search with this unsubscribe token.
+ * @param {string} token
+ * @returns {Promise<Object|null>} The deleted search, or null when there was none.
+ */
+function unsubscribe(token) {
+  return SavedSearch.findOneAndDelete({ unsubscribeToken: String(token) });
+}
+
+/** @type {NodeJS.Timeout|null} */
+let timer = null;
+
+/**
+ * Checks for due digests now and then every `DIGEST_INTERVAL_MINUTES`.
+ * Safe to call more than once.
+ * @returns {void}
+ */
+function startDigestTask() {
+  if (timer) return;
+  const run = () => sendDueDigests().catch(error => console.error('❌ Job digest task error:', error));
+  const minutes = Number(process.env.DIGEST_INTERVAL_MINUTES) || 60;
+  timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  run();
+}
+
+/**
+ * Stops the scheduled digest task.
+ * @returns {void}
+ */
+function stopDigestTask() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  MAX_SEARCHES_PER_EMAIL,
+  MAX_CRITERION_LENGTH,
+  describeCriteria,
+  toSavedSearch,
+  createSavedSearch,
+  confirmSavedSearch,
+  serializeSavedSearch,
+  renderDigest,
+  sendDueDigests,
+  unsubscribe,
+  startDigestTask,
+  stopDigestTask
+};
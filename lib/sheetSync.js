@@ -0,0 +1,246 @@
+/**
+ * @file sheetSync.js
+ * @description
+ * Outbox for mirroring job changes to the Google Sheet.
+ *
+ * Routes call `enqueueSync(job, action)` after saving a job. A background
+ * worker (`startSyncWorker`) delivers pending events in order to the Apps
+ * Script web app at `SHEET_SYNC_URL`, retrying failures with exponential
+ * backoff. Only new jobs are sent (see `SYNCED_ACTIONS`). Events that keep failing are marked `failed` and stay in the
+ * `syncEvents` collection for staff to inspect and retry.
+ *
+ * Environment:
+ *  - SHEET_SYNC_URL: Apps Script (or local stub) URL. Without it nothing is delivered
+ *    and events wait as `pending`.
+ *  - SHEET_SYNC_INTERVAL_MS: how often the worker polls (default 15000).
+ *  - SHEET_SYNC_MAX_ATTEMPTS: attempts before an event is marked failed (default 8).
+ *
+ * @requires axios
+ */
+
+const axios = require('axios');
+
+const Job = require('../models/Job');
+const SyncEvent = require('../models/SyncEvent');
+const { formatSalary, normalizeSalary } = require('../src/salary');
+
+/**
+ * Actions sent to the sheet. The Apps Script appends a row for every request
+ * and the sheet's rows carry no job id, so an update, deactivation or delete
+ * would add a duplicate row instead of changing the job's row. Until the
+ * script can find rows by id, only new jobs are sent.
+ * @constant {string[]}
+ */
+const SYNCED_ACTIONS = ['create'];
+
+/** @constant {number} */
+const BASE_DELAY_MS = 30 * 1000;
+
+/** @constant {number} */
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+/** @constant {number} */
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * @returns {number} Attempts before an event is marked failed.
+ */
+function maxAttempts() {
+  return Number(process.env.SHEET_SYNC_MAX_ATTEMPTS) || 8;
+}
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m ... capped at one hour.
+ * @param {number} attempts - Attempts made so far (at least 1).
+ * @returns {number} Milliseconds to wait.
+ */
+function backoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+}
+
+/**
+ * Formats a job's salary the way `/api/sheet` does ("$70,000 - $90,000",
+ * "$25/hr", "Not Disclosed").
+ * @param {Object} salary - The job's `'Salary Range'`.
+ * @returns {string}
+ */
+function formatSheetSalary(salary) {
+  return formatSalary(normalizeSalary(salary));
+}
+
+/**
+ * Snapshot of a job in the form-encoded field names the Apps Script expects.
+ * @param {Object} job - `Job` document.
+ * @param {string} action - What happened to the job.
+ * @returns {Object<string, string>}
+ */
+function toSheetPayload(job, action) {
+  return {
+    action,
+    id: String(job._id),
+    date: job.Date ? job.Date.toLocaleDateString('en-US') : '',
+    employer: job.Employer || '',
+    jobTitle: job['Job Title'] || '',
+    pathway: job.Pathway || '',
+    language: (job.Language || []).join(', '),
+    salaryRange: formatSheetSalary(job['Salary Range']),
+    contactPerson: job['Contact Person'] || '',
+    location: job.Location || '',
+    deactivate: job['Deactivate?'] ? 'TRUE' : 'FALSE',
+    apply: job.Apply || ''
+  };
+}
+
+/** @type {NodeJS.Timeout|null} */
+let timer = null;
+
+/** @type {boolean} */
+let running = false;
+
+/**
+ * Records a change that has to reach the sheet and nudges the worker.
+ * Changes to jobs that are not published, and actions not in `SYNCED_ACTIONS`,
+ * are ignored. Never throws: a failure to enqueue is logged so the user's save still succeeds.
+ *
+ * @param {Object} job - The `Job` document as saved.
+ * @param {'create'|'update'|'deactivate'|'reactivate'|'delete'} action
+ * @returns {Promise<Object|null>} The outbox event, or null if nothing was queued.
+ */
+async function enqueueSync(job, action) {
+  // Pending and rejected submissions never reach the sheet; approval sends a 'create'
+  if (!Job.isPublished(job) || !SYNCED_ACTIONS.includes(action)) return null;
+  try {
+    const event = await SyncEvent.create({
+      job: job._id,
+      action,
+      payload: toSheetPayload(job, action)
+    });
+    if (timer) setImmediate(() => deliverDue().catch(() => {}));
+    return event;
+  } catch (error) {
+    console.error(`❌ Error queueing ${action} for Google Sheets sync:`, error);
+    return null;
+  }
+}
+
+/**
+ * Sends one event to the sheet and records the outcome.
+ * @param {Object} event - `SyncEvent` document.
+ * @param {string} url - Target URL.
+ * @returns {Promise<boolean>} Whether it was delivered.
+ */
+async function deliver(event, url) {
+  event.attempts += 1;
+  try {
+    await axios.post(url, new URLSearchParams(event.payload).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    event.status = 'delivered';
+    event.deliveredAt = new Date();
+    event.lastError = undefined;
+    await event.save();
+    return true;
+  } catch (error) {
+    event.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+    if (event.attempts >= maxAttempts()) {
+      event.status = 'failed';
+      console.error(`❌ Giving up on sheet sync ${event._id} after ${event.attempts} attempts: ${event.lastError}`);
+    } else {
+      event.nextAttemptAt = new Date(Date.now() + backoffDelay(event.attempts));
+    }
+    await event.save();
+    return false;
+  }
+}
+
+/**
+ * Delivers every pending event that is due, oldest first. Changes to the same
+ * job are delivered in order: once one of a job's events is waiting or fails,
+ * that job's later events wait too.
+ *
+ * @returns {Promise<{delivered: number, failed: number}>}
+ */
+async function deliverDue() {
+  const url = process.env.SHEET_SYNC_URL;
+  if (!url || running) return { delivered: 0, failed: 0 };
+
+  running = true;
+  let delivered = 0;
+  let failed = 0;
+  try {
+    const now = new Date();
+    // Events queued before SYNCED_ACTIONS existed would only add duplicate rows
+    const pending = await SyncEvent.find({ status: 'pending', action: { $in: SYNCED_ACTIONS } })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(200);
+    const blockedJobs = new Set();
+
+    for (const event of pending) {
+      const jobId = String(event.job);
+      if (blockedJobs.has(jobId)) continue;
+      if (event.nextAttemptAt > now) {
+        blockedJobs.add(jobId);
+      } else if (await deliver(event, url)) {
+        delivered++;
+      } else {
+        failed++;
+        blockedJobs.add(jobId);
+      }
+    }
+    if (delivered) console.log(`✅ Synced ${delivered} change(s) to Google Sheets`);
+  } finally {
+    running = false;
+  }
+  return { delivered, failed };
+}
+
+/**
+ * Starts polling the outbox. Safe to call more than once.
+ * @returns {void}
+ */
+function startSyncWorker() {
+  if (timer) return;
+  if (!process.env.SHEET_SYNC_URL) {
+    console.warn('⚠️  SHEET_SYNC_URL is not set; job changes will queue but not sync to Google Sheets');
+  }
+  const interval = Number(process.env.SHEET_SYNC_INTERVAL_MS) || 15000;
+  timer = setInterval(() => {
+    deliverDue().catch(error => console.error('❌ Sheet sync worker error:', error));
+  }, interval);
+  timer.unref();
+}
+
+/**
+ * Stops polling the outbox.
+ * @returns {void}
+ */
+function stopSyncWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Puts a failed (or stuck) event back in the queue for immediate delivery.
+ * @param {Object} event - `SyncEvent` document.
+ * @returns {Promise<Object>} The saved event.
+ */
+async function retryEvent(event) {
+  event.status = 'pending';
+  event.attempts = 0;
+  event.nextAttemptAt = new Date();
+  await event.save();
+  if (timer) setImmediate(() => deliverDue().catch(() => {}));
+  return event;
+}
+
+module.exports = {
+  SYNCED_ACTIONS,
+  backoffDelay,
+  toSheetPayload,
+  enqueueSync,
+  deliverDue,
+  retryEvent,
+  startSyncWorker,
+  stopSyncWorker
+};
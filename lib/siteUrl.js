@@ -0,0 +1,39 @@
+/**
+ * @file siteUrl.js
+ * @description
+ * The site's public origin, and links built on it, for feeds and emails.
+ * `PUBLIC_URL` (e.g. https://jobs.codeyou.org) wins; otherwise it comes from
+ * the request, or localhost when there is no request (background jobs).
+ */
+
+/**
+ * @param {import('express').Request} [req]
+ * @returns {string} Origin without a trailing slash.
+ */
+function siteUrl(req) {
+  if (process.env.PUBLIC_URL) return process.env.PUBLIC_URL.replace(/\/+$/, '');
+  if (req) return `${req.protocol}://${req.get('host')}`;
+  return `http://localhost:${process.env.PORT || 3000}`;
+}
+
+/**
+ * Absolute link to a job's detail page (its permalink).
+ * @param {string} base - From `siteUrl`.
+ * @param {Object} job - Lean `Job` or serialized job.
+ * @returns {string}
+ */
+function jobUrl(base, job) {
+  return `${base}/jobs/${job._id || job.id}`;
+}
+
+/**
+ * Absolute link to a job's tracked apply redirect (`GET /go/:jobId`).
+ * @param {string} base - From `siteUrl`.
+ * @param {Object} job - Lean `Job` or serialized job.
+ * @returns {string}
+ */
+function applyUrl(base, job) {
+  return `${base}/go/${job._id || job.id}`;
+}
+
+module.exports = { siteUrl, jobUrl, applyUrl };
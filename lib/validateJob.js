@@ -0,0 +1,193 @@
+/**
+ * @file validateJob.js
+ * @description
+ * Field-level validation for job submissions and edits. Produces one message
+ * per invalid field so the submission form can show it next to the input.
+ */
+
+const { HttpError } = require('./errors');
+const { FIELD_MAP, parseLanguages } = require('./jobFields');
+const { parseSalary, readAmounts } = require('../src/salary');
+const { APPLY_TYPES, detectApplyType, checkApply } = require('../src/applyMethod');
+
+/**
+ * Pathways a job can be filed under (matches the submission form's options).
+ * @constant {string[]}
+ */
+const PATHWAYS = ['Software', 'Web', 'Data', 'PHP'];
+
+/**
+ * Human readable names used in messages.
+ * @constant {Object<string, string>}
+ */
+const LABELS = {
+  employer: 'Employer',
+  jobTitle: 'Job title',
+  pathway: 'Pathway',
+  language: 'Language',
+  salaryRange: 'Salary range',
+  contactPerson: 'Contact person',
+  location: 'Location',
+  apply: 'How to apply',
+  applyType: 'Apply method',
+  applySubject: 'Email subject',
+  description: 'Description',
+  responsibilities: 'Responsibilities',
+  requirements: 'Requirements',
+  benefits: 'Benefits'
+};
+
+/**
+ * Maximum string lengths per field.
+ * @constant {Object<string, number>}
+ */
+const MAX_LENGTHS = {
+  employer: 100,
+  jobTitle: 120,
+  language: 200,
+  salaryRange: 60,
+  contactPerson: 100,
+  location: 100,
+  apply: 500,
+  applyType: 20,
+  applySubject: 150,
+  description: 10000,
+  responsibilities: 5000,
+  requirements: 5000,
+  benefits: 5000
+};
+
+/** @constant {number} */
+const MAX_LANGUAGE_LENGTH = 40;
+
+/**
+ * Fields that must be present (and non-empty) on a new job.
+ * @constant {string[]}
+ */
+const REQUIRED = ['employer', 'jobTitle', 'pathway', 'language', 'salaryRange', 'apply'];
+
+/**
+ * Checks that a salary is something `parseSalary` understands: an amount or
+ * range (annual or hourly), "up to ..." / "... +", or "Not disclosed" / "DOE".
+ * @param {string} value
+ * @returns {string|null} Error message, or null when valid.
+ */
+function checkSalary(value) {
+  const salary = parseSalary(value);
+  if (!salary) {
+    return 'Salary range must look like $70,000 - $90,000, $25/hr, up to $60,000 or DOE';
+  }
+  if (!salary.disclosed) return null;
+  // parseSalary sorts the amounts; the range was written backwards if it read the higher one first
+  const [first] = readAmounts(value.toLowerCase());
+  if (salary.min != null && first > salary.min) {
+    return 'Salary range must list the lower amount first';
+  }
+  return null;
+}
+
+/**
+ * Whether a body value has a type the field accepts: text, or for `language`
+ * also a list of texts. Anything else (numbers, objects...) is refused here
+ * rather than failing later when the job is saved.
+ * @param {string} field - camelCase body field.
+ * @param {*} raw - Raw value from the request body.
+ * @returns {boolean}
+ */
+function isTextValue(field, raw) {
+  if (typeof raw === 'string') return true;
+  return field === 'language' && Array.isArray(raw) && raw.every(item => typeof item === 'string');
+}
+
+/**
+ * Validates a single field.
+ * @param {string} field - camelCase body field.
+ * @param {*} raw - Raw value from the request body.
+ * @param {Object} body - The whole body, for fields checked against another
+ *   (`apply` must fit `applyType`).
+ * @returns {string|null} Error message, or null when valid.
+ */
+function checkField(field, raw, body) {
+  const label = LABELS[field];
+  if (raw != null && !isTextValue(field, raw)) {
+    return field === 'language' ? `${label} must be text or a list of text` : `${label} must be text`;
+  }
+  const value = Array.isArray(raw) ? raw.join(', ') : (raw == null ? '' : raw.trim());
+
+  if (!value) {
+    return REQUIRED.includes(field) ? `${label} is required` : null;
+  }
+  if (value.length > MAX_LENGTHS[field]) {
+    return `${label} must be at most ${MAX_LENGTHS[field]} characters`;
+  }
+
+  switch (field) {
+    case 'pathway':
+      return PATHWAYS.includes(value) ? null : `Pathway must be one of ${PATHWAYS.join(', ')}`;
+    case 'language': {
+      const languages = parseLanguages(raw);
+      if (!languages.length) return `${label} is required`;
+      const tooLong = languages.find(lang => lang.length > MAX_LANGUAGE_LENGTH);
+      return tooLong ? `Each language must be at most ${MAX_LANGUAGE_LENGTH} characters` : null;
+    }
+    case 'salaryRange':
+      return checkSalary(value);
+    case 'apply': {
+      // Without a type, `apply` is taken as whatever it looks like
+      const type = body.applyType || detectApplyType(value);
+      return APPLY_TYPES.includes(type) ? checkApply(type, value) : null;
+    }
+    case 'applyType':
+      return APPLY_TYPES.includes(value) ? null : `${label} must be one of ${APPLY_TYPES.join(', ')}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validates a job submission or edit.
+ *
+ * @param {Object} body - Request body using the submission form's field names.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only check the fields that were sent (PATCH).
+ * @returns {Object<string, string>} Map of field name to error message; empty when valid.
+ */
+function getJobErrors(body = {}, { partial = false } = {}) {
+  const errors = {};
+  const fields = partial ? Object.keys(body) : Object.keys(FIELD_MAP);
+
+  fields.forEach(field => {
+    if (!(field in FIELD_MAP)) {
+      errors[field] = 'Unknown field';
+      return;
+    }
+    const message = checkField(field, body[field], body);
+    if (message) errors[field] = message;
+  });
+  // The current `apply` may not fit a new type, so they change together
+  if (partial && body.applyType && !('apply' in body) && !errors.applyType) {
+    errors.apply = `${LABELS.apply} is required when changing the apply method`;
+  }
+
+  return errors;
+}
+
+/**
+ * Throws a `400` listing every invalid field.
+ * @param {Object} body
+ * @param {Object} [options] - See `getJobErrors`.
+ * @throws {HttpError} `{ error: 'Validation failed', fields: { employer: 'Employer is required' } }`
+ */
+function validateJob(body, options) {
+  const fields = getJobErrors(body, options);
+  if (Object.keys(fields).length) {
+    throw new HttpError(400, 'Validation failed', { fields });
+  }
+}
+
+module.exports = {
+  PATHWAYS,
+  MAX_LENGTHS,
+  getJobErrors,
+  validateJob
+};
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Where an application stands, in the order they usually happen.
+ *  - applied: sent in
+ *  - phone_screen: first call with a recruiter
+ *  - interview: technical or on-site interviews
+ *  - offer: received an offer
+ *  - rejected: turned down (at any point)
+ */
+const APPLICATION_STAGES = ['applied', 'phone_screen', 'interview', 'offer', 'rejected'];
+
+/**
+ * A job board posting someone applied to, tracked on applications.html
+ * (see `lib/applications.js`). Only its owner sees it; staff only ever get
+ * counts across everyone's applications. The job's title, employer and
+ * pathway are copied so the card still reads right after the posting is removed.
+ */
+const applicationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  jobTitle: { type: String, trim: true },
+  employer: { type: String, trim: true },
+  pathway: { type: String, trim: true },
+  stage: { type: String, enum: APPLICATION_STAGES, default: 'applied' },
+  // Every stage the application has been in, with the date it got there
+  stages: [{
+    _id: false,
+    stage: { type: String, enum: APPLICATION_STAGES, required: true },
+    date: { type: Date, required: true }
+  }],
+  appliedAt: { type: Date, default: Date.now },
+  notes: { type: String, trim: true, maxlength: 5000 },
+  followUpAt: { type: Date }, // when to follow up; emailed once it is due
+  reminderSentAt: { type: Date } // cleared whenever followUpAt changes
+}, { collection: 'applications', timestamps: true });
+
+// One application per user and job
+applicationSchema.index({ user: 1, job: 1 }, { unique: true });
+// The reminder task looks for due follow-ups not yet emailed
+applicationSchema.index({ followUpAt: 1, reminderSentAt: 1 });
+
+module.exports = mongoose.model('Application', applicationSchema);
+module.exports.APPLICATION_STAGES = APPLICATION_STAGES;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+/**
+ * One click on a job's apply link, recorded by `GET /go/:jobId` before it
+ * redirects to the employer (see `lib/applyClicks.js`). Clicks are anonymous:
+ * nothing about who clicked is kept, only when and from which page. The
+ * job's employer and pathway are copied so the counts survive the job being removed.
+ */
+const applyClickSchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true, index: true },
+  jobTitle: { type: String, trim: true },
+  employer: { type: String, trim: true },
+  employerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employer' },
+  pathway: { type: String, trim: true },
+  referrer: { type: String, trim: true }, // page path on this site, another site's host, or "direct"
+  clickedAt: { type: Date, default: Date.now, index: true }
+}, { collection: 'applyClicks' });
+
+module.exports = mongoose.model('ApplyClick', applyClickSchema);
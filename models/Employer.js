@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Relationship with Code:You.
+ *  - partner: current employer partner
+ *  - prospect: being approached about a partnership
+ *  - former: used to be a partner
+ *  - none: posts jobs but has no partnership
+ */
+const PARTNER_STATUSES = ['partner', 'prospect', 'former', 'none'];
+
+/** Company suffixes ignored when matching employer names. */
+const NAME_SUFFIXES = ['inc', 'llc', 'ltd', 'co', 'corp', 'corporation', 'company', 'incorporated'];
+
+/**
+ * Matching key for an employer name, so "Acme, Inc." and "ACME" are the same employer.
+ * @param {string} name
+ * @returns {string}
+ */
+function employerKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(word => word && !NAME_SUFFIXES.includes(word))
+    .join(' ');
+}
+
+const employerSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  key: { type: String, required: true, unique: true }, // employerKey(name)
+  website: { type: String, trim: true },
+  partnerStatus: { type: String, enum: PARTNER_STATUSES, default: 'none' },
+  industry: { type: String, trim: true },
+  primaryContact: {
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true }
+  },
+  notes: { type: String }
+}, { collection: 'employers', timestamps: true });
+
+employerSchema.pre('validate', function (next) {
+  if (this.isModified('name') || !this.key) this.key = employerKey(this.name);
+  next();
+});
+
+/**
+ * Finds the employer with this name (by `employerKey`), creating a bare
+ * record for names not seen before.
+ * @param {string} name
+ * @returns {Promise<Object>} `Employer` document.
+ */
+employerSchema.statics.findOrCreateByName = function (name) {
+  const key = employerKey(name);
+  return this.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { name: String(name).trim(), key } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Employer', employerSchema);
+module.exports.PARTNER_STATUSES = PARTNER_STATUSES;
+module.exports.employerKey = employerKey;
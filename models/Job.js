@@ -1,4 +1,70 @@
 const mongoose = require('mongoose');
+const Employer = require('./Employer');
+const { PAY_PERIODS } = require('../src/salary');
+const { APPLY_TYPES, detectApplyType } = require('../src/applyMethod');
+
+/**
+ * Days a posting stays on the board before the expiry task deactivates it.
+ * Configured with `JOB_MAX_AGE_DAYS`.
+ */
+const JOB_MAX_AGE_DAYS = Number(process.env.JOB_MAX_AGE_DAYS) || 30;
+
+/**
+ * Default expiry for a posting: its posted date plus `JOB_MAX_AGE_DAYS`.
+ * @param {Date} [posted] - Posting date (defaults to now).
+ * @returns {Date}
+ */
+function defaultExpiry(posted) {
+  const date = new Date(posted || Date.now());
+  date.setDate(date.getDate() + JOB_MAX_AGE_DAYS);
+  return date;
+}
+
+/**
+ * Fields covered by the text index used by `/api/jobs/search`, with their
+ * weights: a match in the title counts for more than one in the contact name.
+ */
+const TEXT_SEARCH_WEIGHTS = {
+  'Job Title': 10,
+  Employer: 5,
+  Language: 5,
+  Location: 2,
+  'Contact Person': 1
+};
+
+/**
+ * Moderation states. New submissions start `pending`; only `approved` jobs are
+ * public. Jobs saved before moderation existed have no status and count as approved.
+ */
+const JOB_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Outcomes of the apply-link health check (`lib/linkCheck.js`).
+ *  - ok: the link answers (after any redirects on the same site)
+ *  - redirected: it ends up on another site, e.g. a generic careers page
+ *  - broken: the page answers with an error such as 404 or 500
+ *  - unreachable: no answer at all (DNS failure, refused, timed out)
+ *  - blocked: the site refuses automated requests (401, 403, 429), so we can't tell
+ */
+const LINK_STATUSES = ['ok', 'redirected', 'broken', 'unreachable', 'blocked'];
+
+/**
+ * Longer parts of a posting, written in Markdown and shown on its detail page
+ * (`/jobs/:id`) as sanitized HTML (`lib/markdown.js`).
+ */
+const DETAIL_FIELDS = ['description', 'responsibilities', 'requirements', 'benefits'];
+
+/** Mongo condition matching jobs that have been through moderation (or predate it). */
+const PUBLISHED_FILTER = { status: { $nin: ['pending', 'rejected'] } };
+
+/**
+ * Whether a job has been approved for the public board.
+ * @param {Object} job - `Job` document or lean object.
+ * @returns {boolean}
+ */
+function isPublished(job) {
+  return !job.status || job.status === 'approved';
+}
 
 const jobSchema = new mongoose.Schema({
   Date: { type: Date, required: true },
@@ -7,14 +73,88 @@ const jobSchema = new mongoose.Schema({
   Pathway: { type: String, required: true },
   Language: [{ type: String }], // Array of strings
   'Salary Range': {
-    min: { type: Number },
+    min: { type: Number }, // in the pay period below
     max: { type: Number },
-    avg: { type: Number }
+    avg: { type: Number },
+    period: { type: String, enum: [...PAY_PERIODS, null] }, // 'hourly' or 'annual'; null when not disclosed
+    currency: { type: String }, // ISO code, e.g. 'USD'
+    disclosed: { type: Boolean }, // false for "DOE", "Not provided", ...
+    annualized: { type: Number }, // avg as a yearly figure (hourly x 2080); used for charts, filters and sorting
+    text: { type: String } // salary as it was entered
   },
   'Contact Person': { type: String },
   Location: { type: String },
   'Deactivate?': { type: Boolean, default: false },
-  Apply: { type: String }
+  Apply: { type: String }, // web address, email address or instructions, as named by applyType
+
+  // Fields below are managed by the app and are not sheet columns
+  employerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employer', index: true }, // kept in step with Employer
+  expiresOn: { type: Date, default: function () { return defaultExpiry(this.Date); } },
+  deactivatedAt: { type: Date },
+  deactivationReason: { type: String }, // e.g. 'expired', 'filled', 'manual', 'duplicate'
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' }, // set when merged into another job
+  status: { type: String, enum: JOB_STATUSES, default: 'approved' },
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  rejectionReason: { type: String },
+  applyType: { type: String, enum: APPLY_TYPES }, // how to apply; see src/applyMethod.js
+  applySubject: { type: String }, // subject for applyType 'email'; a default is used when empty
+  // Markdown; see DETAIL_FIELDS
+  description: { type: String },
+  responsibilities: { type: String },
+  requirements: { type: String },
+  benefits: { type: String },
+  // Latest apply-link health check; cleared whenever Apply changes
+  linkCheck: {
+    url: { type: String }, // the Apply value that was checked
+    status: { type: String, enum: LINK_STATUSES },
+    httpStatus: { type: Number },
+    finalUrl: { type: String }, // where the redirects ended
+    error: { type: String },
+    failures: { type: Number, default: 0 }, // broken or unreachable checks in a row
+    flagged: { type: Boolean, default: false, index: true },
+    checkedAt: { type: Date }
+  }
 }, { collection: 'jobs' }); // Specify collection name
 
-module.exports = mongoose.model('Job', jobSchema);
\ No newline at end of file
+// English stemming, so "developers" matches "Developer". The override field is
+// renamed because Mongo would otherwise read a `language` field as the stemming language.
+jobSchema.index(
+  Object.fromEntries(Object.keys(TEXT_SEARCH_WEIGHTS).map(field => [field, 'text'])),
+  { name: 'job_text_search', weights: TEXT_SEARCH_WEIGHTS, default_language: 'english', language_override: 'textSearchLanguage' }
+);
+
+// A new apply link hasn't been checked yet
+jobSchema.pre('save', function () {
+  if (!this.isNew && this.isModified('Apply')) this.linkCheck = undefined;
+});
+
+// Imports, the sheet and older jobs only set Apply: name its kind from what it looks like
+jobSchema.pre('validate', function () {
+  if (!this.applyType || (this.isModified('Apply') && !this.isModified('applyType'))) {
+    this.applyType = detectApplyType(this.Apply) || undefined;
+  }
+  if (this.applyType !== 'email') this.applySubject = undefined;
+});
+
+// Link the job to its Employer record (created on first use) whenever the name changes.
+// Only once it is approved: submissions in moderation must not create public employer profiles.
+jobSchema.pre('save', async function () {
+  if (!isPublished(this)) return;
+  if (!this.Employer || !Employer.employerKey(this.Employer)) return;
+  if (this.employerId && !this.isModified('Employer')) return;
+  const employer = await Employer.findOrCreateByName(this.Employer);
+  this.employerId = employer._id;
+});
+
+module.exports = mongoose.model('Job', jobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.LINK_STATUSES = LINK_STATUSES;
+module.exports.APPLY_TYPES = APPLY_TYPES;
+module.exports.DETAIL_FIELDS = DETAIL_FIELDS;
+module.exports.PUBLISHED_FILTER = PUBLISHED_FILTER;
+module.exports.isPublished = isPublished;
+module.exports.JOB_MAX_AGE_DAYS = JOB_MAX_AGE_DAYS;
+module.exports.TEXT_SEARCH_WEIGHTS = TEXT_SEARCH_WEIGHTS;
+module.exports.defaultExpiry = defaultExpiry;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Where a change came from.
+ *  - form: the submission form
+ *  - staff: a staff action through the API (edit, moderation, deactivate, restore, ...)
+ *  - import: the CSV import
+ *  - expiry: the scheduled expiry task
+ *  - linkCheck: the apply-link checker deactivating a job with a broken link
+ */
+const HISTORY_SOURCES = ['form', 'staff', 'import', 'expiry', 'linkCheck'];
+
+const HISTORY_ACTIONS = [
+  'create', 'update', 'approve', 'reject', 'deactivate', 'reactivate',
+  'extend', 'expire', 'merge', 'restore', 'delete'
+];
+
+/**
+ * One entry in a job's append-only change history, written by
+ * `lib/jobHistory.js` every time the job is saved. `changes` lists the
+ * fields that changed; `snapshot` is the whole job after the change so any
+ * version can be restored. Entries are never updated or removed.
+ */
+const jobHistorySchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true, index: true },
+  action: { type: String, enum: HISTORY_ACTIONS, required: true },
+  source: { type: String, enum: HISTORY_SOURCES, required: true },
+  // Copied rather than referenced so the entry still reads right if the account is removed
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String },
+    email: { type: String }
+  },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  }],
+  snapshot: { type: Object },
+  restoredFrom: { type: mongoose.Schema.Types.ObjectId } // history entry a restore went back to
+}, { collection: 'jobHistory', timestamps: { createdAt: true, updatedAt: false } });
+
+/**
+ * Rejects any attempt to modify or delete history.
+ * @param {Function} next
+ */
+function appendOnly(next) {
+  next(new Error('Job history is append-only'));
+}
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(op => jobHistorySchema.pre(op, appendOnly));
+jobHistorySchema.pre('save', function (next) {
+  if (this.isNew) return next();
+  appendOnly(next);
+});
+
+module.exports = mongoose.model('JobHistory', jobHistorySchema);
+module.exports.HISTORY_SOURCES = HISTORY_SOURCES;
+module.exports.HISTORY_ACTIONS = HISTORY_ACTIONS;
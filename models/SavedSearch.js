@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * How often a saved search's digest is emailed.
+ *  - daily: at most once a day
+ *  - weekly: at most once every 7 days
+ */
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+/**
+ * Filters a saved search may hold, named as `GET /api/jobs` takes them.
+ */
+const SEARCH_CRITERIA = ['q', 'pathway', 'location', 'languages', 'salaryMin', 'salaryMax'];
+
+/**
+ * How long a new search waits for its address to be confirmed before it is
+ * deleted.
+ */
+const CONFIRM_WITHIN_DAYS = 7;
+
+/**
+ * A job board search someone asked to be emailed about. The digest task in
+ * `lib/savedSearches.js` sends the jobs posted since `lastSentAt` that match
+ * `criteria`, but only once the address is confirmed: new searches hold a
+ * `confirmToken` (sent in the confirmation email) that is removed when its
+ * link is followed. Anyone holding `unsubscribeToken` (it is in every email)
+ * can delete the search.
+ */
+const savedSearchSchema = new mongoose.Schema({
+  email: { type: String, required: true, trim: true, lowercase: true, index: true },
+  criteria: {
+    q: { type: String, trim: true },
+    pathway: { type: String, trim: true },
+    location: { type: String, trim: true },
+    languages: { type: String, trim: true },
+    salaryMin: { type: Number },
+    salaryMax: { type: Number }
+  },
+  label: { type: String, trim: true }, // e.g. "Python jobs in Louisville", shown in emails
+  frequency: { type: String, enum: DIGEST_FREQUENCIES, default: 'weekly' },
+  unsubscribeToken: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  },
+  confirmToken: { type: String }, // set until the address is confirmed; no digests while it is
+  confirmedAt: { type: Date },
+  lastSentAt: { type: Date, default: Date.now } // jobs posted after this go in the next digest
+}, { collection: 'savedSearches', timestamps: true });
+
+// The digest task looks for searches of one frequency not sent recently
+savedSearchSchema.index({ frequency: 1, lastSentAt: 1 });
+savedSearchSchema.index({ confirmToken: 1 }, { unique: true, sparse: true });
+// Searches nobody confirmed are removed by MongoDB
+savedSearchSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: CONFIRM_WITHIN_DAYS * 24 * 60 * 60, partialFilterExpression: { confirmToken: { $exists: true } } }
+);
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
+module.exports.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+module.exports.SEARCH_CRITERIA = SEARCH_CRITERIA;
+module.exports.CONFIRM_WITHIN_DAYS = CONFIRM_WITHIN_DAYS;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Outbox entry for one change that has to be mirrored to the Google Sheet.
+ * Written in the same request that changes the job and delivered later by
+ * the sync worker in `lib/sheetSync.js`, so the sheet catches up even when
+ * Apps Script is slow or down.
+ *
+ * status:
+ *  - pending: waiting for (another) delivery attempt at `nextAttemptAt`
+ *  - delivered: Apps Script accepted it
+ *  - failed: gave up after the maximum number of attempts; staff can retry it
+ */
+const syncEventSchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'deactivate', 'reactivate', 'delete'],
+    required: true
+  },
+  payload: { type: Object, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now, index: true },
+  lastError: { type: String },
+  deliveredAt: { type: Date }
+}, { collection: 'syncEvents', timestamps: true });
+
+module.exports = mongoose.model('SyncEvent', syncEventSchema);
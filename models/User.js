@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+/**
+ * Roles a signed-in user can have. Visitors who are not signed in are treated
+ * as the public (read-only) role.
+ *  - admin: everything staff can do, plus managing user accounts
+ *  - staff: can submit, edit, moderate and remove jobs
+ *  - student: read-only like the public, plus their own saved and hidden jobs
+ */
+const ROLES = ['admin', 'staff', 'student'];
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, trim: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ROLES, required: true },
+  // Job board bookmarks (see lib/jobLists.js); a job is in at most one of them
+  savedJobs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Job' }],
+  hiddenJobs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Job' }]
+}, { collection: 'users', timestamps: true });
+
+module.exports = mongoose.model('User', userSchema);
+module.exports.ROLES = ROLES;
@@ -0,0 +1,133 @@
+/**
+ * @file applications.js
+ * @description
+ * Express router for the application tracker, mounted at `/api/applications`.
+ * Every signed-in user tracks their own applications; the funnel across
+ * everyone is staff only and anonymized. See `lib/applications.js`.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+
+const User = require('../models/User');
+const { sendError } = require('../lib/errors');
+const { requireRole, STAFF_ROLES } = require('../lib/auth');
+const {
+  listApplications,
+  createApplication,
+  updateApplication,
+  deleteApplication,
+  buildFunnel
+} = require('../lib/applications');
+
+const router = express.Router();
+
+/** @type {import('express').RequestHandler} */
+const requireSignedIn = requireRole(...User.ROLES);
+
+/**
+ * GET /api/applications/funnel
+ * @description
+ * How many applications reached each stage and sit in it now, overall and
+ * per pathway (staff only). `?from=&to=` limit the date applied. Pathways
+ * with fewer than 5 students are left out.
+ *
+ * @example
+ * GET /api/applications/funnel?from=2025-01-01
+ * // => { applications: 212, students: 48, stages: [{ stage: 'applied', reached: 212, current: 120 }, ...],
+ * //      byPathway: [{ value: 'Web', applications: 90, students: 21, stages: [...] }], minStudents: 5 }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+router.get('/funnel', requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    res.json(await buildFunnel(req.query));
+  } catch (error) {
+    sendError(res, error, 'Error building application funnel');
+  }
+});
+
+/**
+ * GET /api/applications
+ * @description
+ * The signed-in user's applications, most recently updated first.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ applications }`.
+ */
+router.get('/', requireSignedIn, async (req, res) => {
+  try {
+    res.json({ applications: await listApplications(req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching applications');
+  }
+});
+
+/**
+ * POST /api/applications
+ * @description
+ * Marks a board posting as applied. The follow-up reminder defaults to a
+ * week after `appliedAt`; send `followUpAt: null` for none.
+ *
+ * @example
+ * POST /api/applications
+ * { "jobId": "66f1...", "appliedAt": "2025-03-03", "notes": "Referred by Sam" }
+ * // => 201 { id, job: { id, title, employer, apply, active }, stage: 'applied', stages: [...], followUpAt, ... }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the new application, or 409 with the existing one.
+ */
+router.post('/', requireSignedIn, async (req, res) => {
+  try {
+    res.status(201).json(await createApplication(req.user.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Error saving application');
+  }
+});
+
+/**
+ * PATCH /api/applications/:id
+ * @description
+ * Moves an application to another `stage` (dated `stageDate`, default now)
+ * and/or updates `appliedAt`, `notes` or `followUpAt`.
+ *
+ * @example
+ * PATCH /api/applications/6701...
+ * { "stage": "interview", "followUpAt": "2025-03-20" }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the updated application.
+ */
+router.patch('/:id', requireSignedIn, async (req, res) => {
+  try {
+    res.json(await updateApplication(req.user.id, req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Error updating application');
+  }
+});
+
+/**
+ * DELETE /api/applications/:id
+ * @description
+ * Stops tracking an application.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `204`.
+ */
+router.delete('/:id', requireSignedIn, async (req, res) => {
+  try {
+    await deleteApplication(req.user.id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Error removing application');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+/**
+ * @file auth.js
+ * @description
+ * Express router for signing in and out, student sign-up and managing staff
+ * accounts, mounted at `/api/auth`.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+
+const User = require('../models/User');
+const { HttpError, sendError } = require('../lib/errors');
+const {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  requireRole,
+  setAuthCookie,
+  clearAuthCookie
+} = require('../lib/auth');
+
+const router = express.Router();
+
+/** @constant {number} */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Public view of a user (never includes the password hash).
+ * @param {Object} user - `User` document.
+ * @returns {{id: string, email: string, name: string, role: string}}
+ */
+function serializeUser(user) {
+  return {
+    id: String(user._id || user.id),
+    email: user.email,
+    name: user.name || '',
+    role: user.role
+  };
+}
+
+/**
+ * POST /api/auth/login
+ * @description
+ * Signs a user in with `{ email, password }` and sets the session cookie.
+ * The token is also returned for API clients that prefer a Bearer header.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      throw new HttpError(400, 'Email and password are required');
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      throw new HttpError(401, 'Invalid email or password');
+    }
+
+    const token = createToken(user);
+    setAuthCookie(res, token);
+    res.json({ user: serializeUser(user), token });
+  } catch (error) {
+    sendError(res, error, 'Error signing in');
+  }
+});
+
+/**
+ * POST /api/auth/register
+ * @description
+ * Creates a student account from `{ email, name, password }` and signs it in.
+ * Students can save and hide jobs (`/api/me`) but otherwise have the same
+ * read-only access as the public.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `201` with the new user and token.
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { email, name, password } = req.body || {};
+    if (!email || !password) {
+      throw new HttpError(400, 'Email and password are required');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim())) {
+      throw new HttpError(400, 'A valid email address is required');
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new HttpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (await User.exists({ email: String(email).toLowerCase().trim() })) {
+      throw new HttpError(409, 'An account with that email already exists');
+    }
+
+    const user = await User.create({
+      email,
+      name,
+      role: 'student',
+      passwordHash: await hashPassword(password)
+    });
+    const token = createToken(user);
+    setAuthCookie(res, token);
+    res.status(201).json({ user: serializeUser(user), token });
+  } catch (error) {
+    sendError(res, error, 'Error creating account');
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * @description
+ * Clears the session cookie.
+ */
+router.post('/logout', (req, res) => {
+  clearAuthCookie(res);
+  res.status(204).end();
+});
+
+/**
+ * GET /api/auth/me
+ * @description
+ * Returns the signed-in user, or `{ user: null }` for the public.
+ */
+router.get('/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+/**
+ * GET /api/auth/users
+ * @description
+ * Lists accounts (staff and students). Admin only.
+ */
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ email: 1 }).lean();
+    res.json({ users: users.map(serializeUser) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching users');
+  }
+});
+
+/**
+ * POST /api/auth/users
+ * @description
+ * Creates an account from `{ email, name, password, role }`. Admin only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `201` with the new user.
+ */
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body || {};
+    if (!email || !password || !role) {
+      throw new HttpError(400, 'email, password and role are required');
+    }
+    if (!User.ROLES.includes(role)) {
+      throw new HttpError(400, `role must be one of ${User.ROLES.join(', ')}`);
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new HttpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (await User.exists({ email: String(email).toLowerCase().trim() })) {
+      throw new HttpError(409, 'A user with that email already exists');
+    }
+
+    const user = await User.create({
+      email,
+      name,
+      role,
+      passwordHash: await hashPassword(password)
+    });
+    res.status(201).json({ user: serializeUser(user) });
+  } catch (error) {
+    sendError(res, error, 'Error creating user');
+  }
+});
+
+module.exports = router;
+module.exports.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
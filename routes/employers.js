@@ -0,0 +1,200 @@
+/**
+ * @file employers.js
+ * @description
+ * Express router for employer records, mounted at `/api/employers`.
+ * Reading is public (contact details and notes are staff only); creating
+ * and editing employers is staff only.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Employer = require('../models/Employer');
+const Job = require('../models/Job');
+const { HttpError, sendError } = require('../lib/errors');
+const { escapeRegex, serializeJob } = require('../lib/jobQuery');
+const { toEmployerFields, serializeEmployer } = require('../lib/employers');
+const { requireRole, isStaff, STAFF_ROLES } = require('../lib/auth');
+
+const router = express.Router();
+
+/** @type {import('express').RequestHandler} */
+const requireStaff = requireRole(...STAFF_ROLES);
+
+/** @constant {number} */
+const MAX_LIMIT = 50;
+
+/** @constant {number} */
+const MAX_PAST_JOBS = 100;
+
+/**
+ * Loads the employer named by `:id` onto `req.employer`.
+ * Responds `400` for malformed ids and `404` for ids that do not exist.
+ *
+ * @type {import('express').RequestHandler}
+ */
+async function loadEmployer(req, res, next) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ error: `Invalid employer id: ${id}` });
+  }
+  try {
+    req.employer = await Employer.findById(id);
+    if (!req.employer) {
+      return res.status(404).json({ error: 'Employer not found' });
+    }
+    next();
+  } catch (error) {
+    sendError(res, error, 'Error fetching employer');
+  }
+}
+
+/**
+ * Turns Mongo's duplicate key error into a `409` naming the existing employer.
+ * @param {Error} error
+ * @param {string} name
+ * @returns {Promise<Error>}
+ */
+async function duplicateNameError(error, name) {
+  if (error?.code !== 11000) return error;
+  const existing = await Employer.findOne({ key: Employer.employerKey(name) }, { _id: 1 }).lean().catch(() => null);
+  return new HttpError(409, 'An employer with that name already exists', { existingId: existing && String(existing._id) });
+}
+
+/**
+ * GET /api/employers
+ * @description
+ * Lists employers by name. Used by the submission form's autocomplete.
+ *
+ * Query parameters:
+ *  - q: part of the name to match
+ *  - partnerStatus: only employers with this status
+ *  - limit: how many to return (default 20, max 50)
+ *
+ * @example
+ * GET /api/employers?q=hum&limit=10
+ * // => { employers: [{ id, name: 'Humana', website, partnerStatus, industry }] }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    const q = String(req.query.q || '').trim();
+    if (q) filter.name = new RegExp(escapeRegex(q), 'i');
+    if (req.query.partnerStatus) {
+      if (!Employer.PARTNER_STATUSES.includes(req.query.partnerStatus)) {
+        throw new HttpError(400, `Invalid partnerStatus: ${req.query.partnerStatus}`);
+      }
+      filter.partnerStatus = req.query.partnerStatus;
+    }
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const employers = await Employer.find(filter).collation({ locale: 'en' }).sort({ name: 1 }).limit(limit).lean();
+    res.json({ employers: employers.map(employer => serializeEmployer(employer, { staff: isStaff(req) })) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching employers');
+  }
+});
+
+/**
+ * GET /api/employers/lookup?name=...
+ * @description
+ * Finds an employer by name, ignoring case, punctuation and suffixes like
+ * "Inc." (so job board rows, which only have the name, can link to the profile).
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ employer }`.
+ */
+router.get('/lookup', async (req, res) => {
+  try {
+    const key = Employer.employerKey(req.query.name);
+    if (!key) {
+      throw new HttpError(400, 'name is required');
+    }
+    const employer = await Employer.findOne({ key }).lean();
+    if (!employer) {
+      throw new HttpError(404, 'Employer not found');
+    }
+    res.json({ employer: serializeEmployer(employer, { staff: isStaff(req) }) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching employer');
+  }
+});
+
+/**
+ * GET /api/employers/:id
+ * @description
+ * An employer's profile with its current (active) postings and its past
+ * (deactivated) ones, newest first.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ employer, jobs: { current, past } }`.
+ */
+router.get('/:id', loadEmployer, async (req, res) => {
+  try {
+    const base = { employerId: req.employer._id, ...Job.PUBLISHED_FILTER };
+    const [current, past] = await Promise.all([
+      Job.find({ ...base, 'Deactivate?': { $ne: true } }).sort({ Date: -1 }).lean(),
+      Job.find({ ...base, 'Deactivate?': true }).sort({ Date: -1 }).limit(MAX_PAST_JOBS).lean()
+    ]);
+
+    res.json({
+      employer: serializeEmployer(req.employer.toObject(), { staff: isStaff(req) }),
+      jobs: { current: current.map(serializeJob), past: past.map(serializeJob) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching employer');
+  }
+});
+
+/**
+ * POST /api/employers
+ * @description
+ * Adds an employer. Staff only. `409` if one with the same name already exists.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `201` with the new employer.
+ */
+router.post('/', requireStaff, async (req, res) => {
+  try {
+    const fields = toEmployerFields(req.body);
+    const employer = await Employer.create(fields);
+    res.status(201).json({ employer: serializeEmployer(employer.toObject(), { staff: true }) });
+  } catch (error) {
+    sendError(res, await duplicateNameError(error, req.body?.name), 'Error saving employer');
+  }
+});
+
+/**
+ * PATCH /api/employers/:id
+ * @description
+ * Updates the fields sent in the body. Renaming an employer does not rename
+ * the `Employer` text on its existing jobs. Staff only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the updated employer.
+ */
+router.patch('/:id', requireStaff, loadEmployer, async (req, res) => {
+  try {
+    const fields = toEmployerFields(req.body, { partial: true });
+    if (!Object.keys(fields).length) {
+      throw new HttpError(400, 'No fields to update');
+    }
+    req.employer.set(fields);
+    await req.employer.save();
+    res.json({ employer: serializeEmployer(req.employer.toObject(), { staff: true }) });
+  } catch (error) {
+    sendError(res, await duplicateNameError(error, req.body?.name), 'Error updating employer');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * @file go.js
+ * @description
+ * Express router for tracked apply links, mounted at `/go`. The board links
+ * "Apply Now" to `/go/:jobId`, which records the click (see
+ * `lib/applyClicks.js`) and redirects to the employer.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Job = require('../models/Job');
+const { HttpError, sendError } = require('../lib/errors');
+const { recordClick, applyTarget } = require('../lib/applyClicks');
+
+const router = express.Router();
+
+/**
+ * GET /go/:jobId
+ * @description
+ * Records an anonymous click on a published job's apply link and redirects
+ * (302) to its web address, or to `mailto:` with a subject when it is an email address.
+ * The response is never cached so every click reaches the server.
+ *
+ * @example
+ * GET /go/66f1...
+ * // => 302 Location: https://careers.example.com/jobs/123
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+router.get('/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.isValidObjectId(jobId)) {
+      throw new HttpError(400, `Invalid job id: ${jobId}`);
+    }
+    const job = await Job.findOne({ _id: jobId, ...Job.PUBLISHED_FILTER }).lean();
+    if (!job) throw new HttpError(404, 'Job not found');
+
+    const target = applyTarget(job);
+    if (!target) throw new HttpError(404, 'This job has no application link');
+
+    await recordClick(job, req);
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, target);
+  } catch (error) {
+    sendError(res, error, 'Error following apply link');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * @file jobPages.js
+ * @description
+ * Express router for job detail pages, mounted at `/jobs`. `/jobs/:id` is a
+ * posting's permalink: job.html with the job's link preview filled in (see
+ * `lib/jobPage.js`). Postings that are still in moderation are only shown to staff.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Job = require('../models/Job');
+const { sendError } = require('../lib/errors');
+const { isStaff } = require('../lib/auth');
+const { siteUrl } = require('../lib/siteUrl');
+const { renderJobPage } = require('../lib/jobPage');
+
+const router = express.Router();
+
+/**
+ * GET /jobs/:id
+ * @description
+ * Sends a job's detail page. Closed postings keep their page (shared links
+ * still work) and say they are closed. Unknown ids get the page with a `404`
+ * status, which shows "not found".
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = mongoose.isValidObjectId(id) ? await Job.findById(id).lean() : null;
+    const visible = job && (Job.isPublished(job) || isStaff(req)) ? job : null;
+    res.status(visible ? 200 : 404).type('html').send(await renderJobPage(visible, siteUrl(req)));
+  } catch (error) {
+    sendError(res, error, 'Error loading job page');
+  }
+});
+
+module.exports = router;
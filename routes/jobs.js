@@ -0,0 +1,849 @@
+/**
+ * @file jobs.js
+ * @description
+ * Express router for the native JSON jobs API, mounted at `/api/jobs`.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Job = require('../models/Job');
+const { HttpError, sendError } = require('../lib/errors');
+const { buildJobQuery, serializeJob } = require('../lib/jobQuery');
+const { toJobUpdate, toNewJob } = require('../lib/jobFields');
+const { validateJob } = require('../lib/validateJob');
+const { requireRole, isStaff, STAFF_ROLES } = require('../lib/auth');
+const { enqueueSync } = require('../lib/sheetSync');
+const { importJobs } = require('../lib/jobImport');
+const { EXPORTERS } = require('../lib/jobExport');
+const { searchJobs, buildSearchFilter, buildSearchSort } = require('../lib/jobSearch');
+const { buildFacets } = require('../lib/jobFacets');
+const { buildFeed } = require('../lib/jobFeed');
+const { siteUrl } = require('../lib/siteUrl');
+const { rateLimit } = require('../lib/rateLimit');
+const { buildAnalytics, buildTrends } = require('../lib/jobAnalytics');
+const { buildClickStats } = require('../lib/applyClicks');
+const { extendJob } = require('../lib/jobExpiry');
+const { findDuplicates, buildDuplicateReport, mergeDuplicate } = require('../lib/jobDuplicates');
+const { checkJobLink, saveLinkCheck, buildLinkReport } = require('../lib/linkCheck');
+const { applyTypeOf } = require('../src/applyMethod');
+const { renderJobDetails } = require('../lib/jobPage');
+const JobHistory = require('../models/JobHistory');
+const { snapshotJob, recordHistory, getHistory, restoreVersion, serializeHistoryEntry } = require('../lib/jobHistory');
+
+const router = express.Router();
+
+/**
+ * Longest deactivation or rejection reason accepted.
+ * @constant {number}
+ */
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Only staff and admins may write; everyone else gets 401/403.
+ * @type {import('express').RequestHandler}
+ */
+const requireStaff = requireRole(...STAFF_ROLES);
+
+/**
+ * Anyone may submit a job, so each client gets a handful of submissions an
+ * hour. Staff are not limited.
+ * @type {import('express').RequestHandler}
+ */
+const limitSubmissions = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many jobs submitted from here. Please try again in an hour.',
+  skip: isStaff
+});
+
+/**
+ * Loads the job named by `:id` onto `req.job`, with a snapshot of it as
+ * loaded on `req.jobBefore` for the change history.
+ * Responds `400` for malformed ids and `404` for ids that do not exist
+ * (or, for non-staff, have not been approved).
+ * Listed after any role check so unauthorized callers learn nothing about ids.
+ *
+ * @type {import('express').RequestHandler}
+ */
+async function loadJob(req, res, next) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ error: `Invalid job id: ${id}` });
+  }
+  try {
+    req.job = await Job.findById(id);
+    // Submissions awaiting moderation are invisible to the public
+    if (!req.job || (!Job.isPublished(req.job) && !isStaff(req))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    req.jobBefore = snapshotJob(req.job);
+    next();
+  } catch (error) {
+    sendError(res, error, 'Error fetching job from MongoDB');
+  }
+}
+
+/**
+ * Records a staff change to `req.job` in its history.
+ * @param {import('express').Request} req - Request that went through `loadJob`.
+ * @param {string} action - History action, e.g. 'update' or 'deactivate'.
+ * @param {Object} [options] - Extra `recordHistory` options.
+ * @returns {Promise<Object|null>}
+ */
+function recordChange(req, action, options = {}) {
+  return recordHistory(req.job, { action, source: 'staff', before: req.jobBefore, actor: req.user, ...options });
+}
+
+/**
+ * Shapes a populated `submittedBy`/`reviewedBy` user for the moderation queue.
+ * @param {Object|null} user - Populated `User` (name and email only).
+ * @returns {{id: string, name: string, email: string}|null}
+ */
+function serializeReviewer(user) {
+  return user ? { id: String(user._id), name: user.name || '', email: user.email } : null;
+}
+
+/**
+ * GET /api/jobs
+ * @description
+ * Returns active jobs as typed objects, filtered, sorted and paginated on the server.
+ * See `buildJobQuery` in `lib/jobQuery.js` for the accepted query parameters.
+ *
+ * @example
+ * GET /api/jobs?pathway=Web&location=Central KY&languages=JavaScript,Python&sort=salary&dir=desc&page=2
+ * // => { jobs: [...], total: 42, page: 2, pageSize: 20, totalPages: 3 }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the requested page of jobs with total counts.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { filter, sort, skip, page, pageSize } = buildJobQuery(req.query);
+    const [jobs, total] = await Promise.all([
+      Job.find(filter).sort(sort).skip(skip).limit(pageSize).lean(),
+      Job.countDocuments(filter)
+    ]);
+
+    res.json({
+      jobs: jobs.map(serializeJob),
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching jobs from MongoDB');
+  }
+});
+
+/**
+ * GET /api/jobs/export
+ * @description
+ * Downloads every job matching the same filters and sort as `GET /api/jobs`
+ * (paging is ignored) as a spreadsheet. `?format=csv` (default) or `?format=xlsx`.
+ * `q` is matched like `GET /api/jobs/search`, best match first unless `sort` is given.
+ *
+ * @example
+ * GET /api/jobs/export?format=xlsx&pathway=Web&sort=salary&dir=desc
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Streams the file as an attachment.
+ */
+router.get('/export', async (req, res) => {
+  let cursor;
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const exporter = EXPORTERS[format];
+    if (!exporter) {
+      throw new HttpError(400, `Invalid format: ${req.query.format}. Expected ${Object.keys(EXPORTERS).join(' or ')}`);
+    }
+
+    cursor = Job.find(buildSearchFilter(req.query)).sort(buildSearchSort(req.query)).lean().cursor();
+    await exporter(cursor, res);
+  } catch (error) {
+    if (cursor) cursor.close().catch(() => {});
+    if (res.headersSent) {
+      // Too late for an error response; cut the download short instead
+      console.error('Error exporting jobs:', error);
+      return res.destroy(error);
+    }
+    sendError(res, error, 'Error exporting jobs');
+  }
+});
+
+/**
+ * GET /api/jobs/feed
+ * @description
+ * RSS 2.0 (`?format=rss`, default) or Atom (`?format=atom`) feed of the
+ * newest active jobs matching the same filters as `GET /api/jobs`, e.g.
+ * `?languages=Python&location=Louisville`. See `buildFeed` in `lib/jobFeed.js`.
+ *
+ * @example
+ * GET /api/jobs/feed?format=atom&languages=Python&location=Louisville
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the feed XML.
+ */
+router.get('/feed', async (req, res) => {
+  try {
+    const base = siteUrl(req);
+    const { contentType, body } = await buildFeed(req.query, base, `${base}${req.originalUrl}`);
+    res.type(contentType).send(body);
+  } catch (error) {
+    sendError(res, error, 'Error building job feed');
+  }
+});
+
+/**
+ * GET /api/jobs/facets
+ * @description
+ * Options for the filter dropdowns: each pathway, location, language and
+ * salary band among active jobs, with how many jobs match it together with
+ * the other filters in the query (a facet ignores its own filter, so the
+ * other choices in the same dropdown keep their counts). Accepts the same
+ * filters as `GET /api/jobs`, with `q` matched like `GET /api/jobs/search`.
+ * See `buildFacets` in `lib/jobFacets.js`.
+ *
+ * @example
+ * GET /api/jobs/facets?location=Remote
+ * // => { total: 12, facets: { pathway: [{ value: 'Web', count: 5 }, ...],
+ * //      languages: [{ value: 'JavaScript', count: 7 }, ...],
+ * //      salary: [{ value: '50000-75000', label: '$50,000 - $75,000', salaryMin: 50000, salaryMax: 74999, count: 4 }, ...], ... } }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ total, facets }`.
+ */
+router.get('/facets', async (req, res) => {
+  try {
+    res.json(await buildFacets(req.query));
+  } catch (error) {
+    sendError(res, error, 'Error counting job facets');
+  }
+});
+
+/**
+ * GET /api/jobs/analytics
+ * @description
+ * Statistics over the active jobs matching the same filters as
+ * `GET /api/jobs` (typically a `from`/`to` date range plus languages,
+ * location and salary): counts by pathway, location, language and employer,
+ * the spread of annualized salaries and how many jobs have no salary. The
+ * dashboard's charts are drawn from this. See `buildAnalytics` in
+ * `lib/jobAnalytics.js`.
+ *
+ * @example
+ * GET /api/jobs/analytics?from=2025-01-01&to=2025-06-30&location=Remote
+ * // => { total: 12, byPathway: [{ value: 'Software Development', count: 8 }, ...],
+ * //      byLocation: [{ value: 'Remote', count: 12, salaryTotal: 804000 }], byLanguage: [...], byEmployer: [...],
+ * //      salary: { count: 10, min: 45000, p10: 48000, p25: 60000, median: 72000, p75: 90000, p90: 105000,
+ * //                max: 120000, mean: 76500 }, missingSalary: 2 }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the statistics.
+ */
+router.get('/analytics', async (req, res) => {
+  try {
+    res.json(await buildAnalytics(req.query));
+  } catch (error) {
+    sendError(res, error, 'Error building job analytics');
+  }
+});
+
+/**
+ * GET /api/jobs/analytics/trends
+ * @description
+ * Weekly (`?bucket=week`, the default) or monthly (`?bucket=month`) trends
+ * over the active jobs matching the `GET /api/jobs` filters: postings per
+ * pathway, the share of postings naming each top language, and the median
+ * annualized salary. See `buildTrends` in `lib/jobAnalytics.js`.
+ *
+ * @example
+ * GET /api/jobs/analytics/trends?bucket=month&from=2025-01-01&to=2025-03-31&languages=Python
+ * // => { bucket: 'month', periods: ['2025-01-01T00:00:00.000Z', ...], totals: [6, 3, 8],
+ * //      pathways: [{ value: 'Data', counts: [4, 2, 5] }, ...],
+ * //      languages: [{ value: 'Python', counts: [6, 3, 8], shares: [100, 100, 100] }, ...],
+ * //      medianSalary: [70000, null, 72500] }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the trend series.
+ */
+router.get('/analytics/trends', async (req, res) => {
+  try {
+    res.json(await buildTrends(req.query));
+  } catch (error) {
+    sendError(res, error, 'Error building job trends');
+  }
+});
+
+/**
+ * GET /api/jobs/analytics/clicks
+ * @description
+ * Apply-link click counts from `GET /go/:jobId` (staff only): the total and
+ * the busiest jobs, employers, pathways and referring pages. `?from=&to=`
+ * limit when the clicks happened. See `buildClickStats` in `lib/applyClicks.js`.
+ *
+ * @example
+ * GET /api/jobs/analytics/clicks?from=2025-03-01&to=2025-03-31
+ * // => { total: 184, byJob: [{ id, title, employer, count }, ...], byEmployer: [{ value, count }, ...],
+ * //      byPathway: [...], byReferrer: [{ value: '/jobBoard.html', count: 150 }, ...] }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the click counts.
+ */
+router.get('/analytics/clicks', requireStaff, async (req, res) => {
+  try {
+    res.json(await buildClickStats(req.query));
+  } catch (error) {
+    sendError(res, error, 'Error building apply click counts');
+  }
+});
+
+/**
+ * GET /api/jobs/search
+ * @description
+ * Text search over active jobs, best match first. Matches in the title count
+ * most, then employer and languages, then location and contact. Accepts the
+ * same filters and paging as `GET /api/jobs` (not `sort`). See `searchJobs`
+ * in `lib/jobSearch.js`.
+ *
+ * @example
+ * GET /api/jobs/search?q=python developers&pathway=Data
+ * // => { jobs: [{ id, 'Job Title': 'Python Developer', ..., score: 7.5,
+ * //               highlights: { 'Job Title': [[0, 6], [7, 16]] } }], total: 3, page: 1, ... }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the requested page of results with total counts.
+ */
+router.get('/search', async (req, res) => {
+  try {
+    res.json(await searchJobs(req.query));
+  } catch (error) {
+    sendError(res, error, 'Error searching jobs');
+  }
+});
+
+/**
+ * GET /api/jobs/duplicates
+ * @description
+ * Report of jobs already in the collection that look like the same posting,
+ * grouped (see `buildDuplicateReport`). `?includeInactive=true` also checks
+ * deactivated jobs. Staff only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ generatedAt, scanned, groups }`.
+ */
+router.get('/duplicates', requireStaff, async (req, res) => {
+  try {
+    res.json(await buildDuplicateReport({ includeInactive: req.query.includeInactive === 'true' }));
+  } catch (error) {
+    sendError(res, error, 'Error building duplicate report');
+  }
+});
+
+/**
+ * GET /api/jobs/links
+ * @description
+ * Report of jobs whose apply links the link checker flagged: broken,
+ * unreachable twice in a row, or redirecting to another site (see
+ * `lib/linkCheck.js`). Includes jobs the checker deactivated. Staff only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ generatedAt, jobs }`.
+ */
+router.get('/links', requireStaff, async (req, res) => {
+  try {
+    res.json(await buildLinkReport());
+  } catch (error) {
+    sendError(res, error, 'Error building link report');
+  }
+});
+
+/**
+ * GET /api/jobs/moderation
+ * @description
+ * The staff review queue: submissions with `?status=pending` (default, oldest
+ * first), or recently `rejected` / `approved` ones, with who submitted and
+ * reviewed them. Capped at 200 jobs.
+ * Staff only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ jobs, total }`.
+ */
+router.get('/moderation', requireStaff, async (req, res) => {
+  try {
+    const status = String(req.query.status || 'pending');
+    if (!Job.JOB_STATUSES.includes(status)) {
+      throw new HttpError(400, `Invalid status: ${status}. Expected ${Job.JOB_STATUSES.join(', ')}`);
+    }
+
+    // Approved also matches jobs that predate moderation; only list ones a reviewer approved
+    const filter = status === 'approved' ? { status, reviewedAt: { $exists: true } } : { status };
+    const jobs = await Job.find(filter)
+      .sort(status === 'pending' ? { Date: 1 } : { reviewedAt: -1 })
+      .limit(200)
+      .populate('submittedBy reviewedBy', 'name email')
+      .lean();
+
+    res.json({
+      jobs: jobs.map(job => ({
+        ...serializeJob(job),
+        submittedBy: serializeReviewer(job.submittedBy),
+        reviewedBy: serializeReviewer(job.reviewedBy)
+      })),
+      total: jobs.length
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching the moderation queue');
+  }
+});
+
+/**
+ * POST /api/jobs
+ * @description
+ * Saves a new job from the submission form as `pending`. It stays off the
+ * public board (and out of the Google Sheet) until staff approve it in the
+ * moderation queue. Anyone may submit (employers, without an account); visitors
+ * are limited to 10 submissions an hour. Invalid input is rejected with `400`
+ * and a `fields` map of field name to message (see `lib/validateJob.js`).
+ *
+ * If the job looks like one posted recently (see `lib/jobDuplicates.js`) it is
+ * not saved; the response is `409` with the likely `duplicates` (only published
+ * ones for visitors) and `canUpdate` (staff, who may update one of them
+ * instead). Resend with `?allowDuplicate=true` to save it anyway.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `201` once the job is saved.
+ */
+router.post('/', limitSubmissions, async (req, res) => {
+  try {
+    validateJob(req.body);
+
+    const job = new Job({ ...toNewJob(req.body), status: 'pending', submittedBy: req.user?.id });
+    if (req.query.allowDuplicate !== 'true') {
+      const staff = isStaff(req);
+      // Visitors may not learn about submissions that are still in moderation
+      const duplicates = await findDuplicates(job.toObject(), { publishedOnly: !staff });
+      if (duplicates.length) {
+        throw new HttpError(409, 'This job looks like one that is already posted', { duplicates, canUpdate: staff });
+      }
+    }
+    await job.save();
+    await recordHistory(job, { action: 'create', source: 'form', actor: req.user });
+
+    res.status(201).json({ success: true, message: 'Job submitted for review', id: String(job._id), status: job.status });
+  } catch (error) {
+    sendError(res, error, 'Error saving job');
+  }
+});
+
+/**
+ * POST /api/jobs/import
+ * @description
+ * Imports jobs from a CSV export of the Google Sheet sent as the request body
+ * (`Content-Type: text/csv`). Staff only.
+ *
+ * Query parameters:
+ *  - dryRun=true: report what would be inserted/updated without writing anything
+ *  - duplicates=skip|merge: what to do with rows matching an existing job (default skip)
+ *
+ * @example
+ * curl -X POST -H "Content-Type: text/csv" --data-binary @jobs.csv \
+ *   "http://localhost:3000/api/jobs/import?dryRun=true"
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the per-row import report (see `importJobs`).
+ */
+router.post('/import', requireStaff, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      throw new HttpError(400, 'Send the CSV as the request body with Content-Type: text/csv');
+    }
+    const duplicates = req.query.duplicates || 'skip';
+    if (!['skip', 'merge'].includes(duplicates)) {
+      throw new HttpError(400, `Invalid duplicates: ${duplicates}. Expected skip or merge`);
+    }
+
+    const report = await importJobs(req.body, {
+      dryRun: req.query.dryRun === 'true',
+      duplicates,
+      actor: req.user
+    });
+    res.status(report.dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    sendError(res, error, 'Error importing jobs');
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * @description
+ * Returns a single job, including deactivated ones, with its Markdown fields
+ * (description, responsibilities, requirements, benefits) rendered as
+ * sanitized HTML for the detail page.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {void} Sends `{ job, html: { description, ... } }`.
+ */
+router.get('/:id', loadJob, (req, res) => {
+  res.json({ job: serializeJob(req.job.toObject()), html: renderJobDetails(req.job) });
+});
+
+/**
+ * PATCH /api/jobs/:id
+ * @description
+ * Updates some fields of a job. Accepts the same camelCase fields as `POST /api/jobs`
+ * (e.g. `{ "apply": "https://..." }`); fields that are not sent are left unchanged.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the updated job.
+ */
+router.patch('/:id', requireStaff, loadJob, async (req, res) => {
+  try {
+    validateJob(req.body, { partial: true });
+    req.job.set(toJobUpdate(req.body));
+    await req.job.save();
+    await recordChange(req, 'update');
+    await enqueueSync(req.job, 'update');
+    res.json({ job: serializeJob(req.job.toObject()) });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return sendError(res, new HttpError(400, error.message), 'Error updating job');
+    }
+    sendError(res, error, 'Error updating job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/approve
+ * @description
+ * Publishes a pending (or previously rejected) submission. The body may carry
+ * last-minute edits using the same fields as `PATCH`. The posting date and
+ * expiry restart from now, since that is when students first see it. Staff only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the published job.
+ */
+router.post('/:id/approve', requireStaff, loadJob, async (req, res) => {
+  try {
+    if (Job.isPublished(req.job)) {
+      throw new HttpError(409, 'Job is already approved');
+    }
+    const body = req.body || {};
+    if (Object.keys(body).length) {
+      validateJob(body, { partial: true });
+      req.job.set(toJobUpdate(body));
+    }
+
+    const now = new Date();
+    req.job.status = 'approved';
+    req.job.reviewedBy = req.user.id;
+    req.job.reviewedAt = now;
+    req.job.rejectionReason = undefined;
+    req.job.Date = now;
+    req.job.expiresOn = Job.defaultExpiry(now);
+    await req.job.save();
+    await recordChange(req, 'approve');
+    await enqueueSync(req.job, 'create');
+
+    res.json({ job: serializeJob(req.job.toObject()) });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return sendError(res, new HttpError(400, error.message), 'Error approving job');
+    }
+    sendError(res, error, 'Error approving job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/reject
+ * @description
+ * Rejects a pending submission with a `{ reason }` shown in the queue. The job
+ * is kept (not deleted) so it can still be approved later. Staff only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the rejected job.
+ */
+router.post('/:id/reject', requireStaff, loadJob, async (req, res) => {
+  try {
+    if (req.job.status !== 'pending') {
+      throw new HttpError(409, 'Only pending jobs can be rejected');
+    }
+    const reason = String(req.body?.reason ?? '').trim();
+    if (!reason) {
+      throw new HttpError(400, 'A reason is required to reject a job');
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+      throw new HttpError(400, `reason must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    req.job.status = 'rejected';
+    req.job.reviewedBy = req.user.id;
+    req.job.reviewedAt = new Date();
+    req.job.rejectionReason = reason;
+    await req.job.save();
+    await recordChange(req, 'reject');
+
+    res.json({ job: serializeJob(req.job.toObject()) });
+  } catch (error) {
+    sendError(res, error, 'Error rejecting job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/deactivate
+ * @description
+ * Hides a job from the board (e.g. the posting was filled) without deleting it.
+ * An optional `{ reason }` is recorded with the time; it defaults to "manual".
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the updated job.
+ */
+router.post('/:id/deactivate', requireStaff, loadJob, async (req, res) => {
+  try {
+    const reason = String(req.body?.reason ?? '').trim() || 'manual';
+    if (reason.length > MAX_REASON_LENGTH) {
+      throw new HttpError(400, `reason must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    req.job['Deactivate?'] = true;
+    req.job.deactivatedAt = new Date();
+    req.job.deactivationReason = reason;
+    await req.job.save();
+    await recordChange(req, 'deactivate');
+    await enqueueSync(req.job, 'deactivate');
+    res.json({ job: serializeJob(req.job.toObject()) });
+  } catch (error) {
+    sendError(res, error, 'Error updating job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/reactivate
+ * @description
+ * Puts a deactivated job back on the board. If its expiry date has already
+ * passed it gets a fresh lifetime, otherwise the expiry task would hide it again.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the updated job.
+ */
+router.post('/:id/reactivate', requireStaff, loadJob, async (req, res) => {
+  try {
+    req.job['Deactivate?'] = false;
+    req.job.deactivatedAt = undefined;
+    req.job.deactivationReason = undefined;
+    req.job.duplicateOf = undefined;
+    if (!req.job.expiresOn || req.job.expiresOn <= new Date()) {
+      req.job.expiresOn = Job.defaultExpiry(new Date());
+    }
+    await req.job.save();
+    await recordChange(req, 'reactivate');
+    await enqueueSync(req.job, 'reactivate');
+    res.json({ job: serializeJob(req.job.toObject()) });
+  } catch (error) {
+    sendError(res, error, 'Error updating job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/extend
+ * @description
+ * Extends a posting's lifetime by `{ days }` (default `JOB_MAX_AGE_DAYS`), counted
+ * from its current expiry date or from today if that has passed. A job that
+ * was hidden because it expired goes back on the board.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the updated job.
+ */
+router.post('/:id/extend', requireStaff, loadJob, async (req, res) => {
+  try {
+    const days = req.body?.days === undefined ? Job.JOB_MAX_AGE_DAYS : Number(req.body.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      throw new HttpError(400, 'days must be a whole number from 1 to 365');
+    }
+
+    const reactivated = extendJob(req.job, days);
+    await req.job.save();
+    await recordChange(req, 'extend');
+    await enqueueSync(req.job, reactivated ? 'reactivate' : 'update');
+    res.json({ job: serializeJob(req.job.toObject()) });
+  } catch (error) {
+    sendError(res, error, 'Error extending job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/check-link
+ * @description
+ * Checks the job's apply link now, e.g. after the employer fixed it, and
+ * saves the result. Does not deactivate the job. Staff only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ linkCheck }`.
+ */
+router.post('/:id/check-link', requireStaff, loadJob, async (req, res) => {
+  try {
+    if (applyTypeOf(req.job) !== 'url') {
+      throw new HttpError(400, 'This job has no web address to check');
+    }
+
+    const linkCheck = await checkJobLink({ Apply: req.job.Apply.trim(), linkCheck: req.job.linkCheck });
+    await saveLinkCheck(req.job, linkCheck);
+    res.json({ linkCheck });
+  } catch (error) {
+    sendError(res, error, 'Error checking apply link');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/merge
+ * @description
+ * Merges the job `{ duplicateId }` into this one: empty fields here are
+ * filled from the duplicate, and the duplicate is deactivated with reason
+ * "duplicate" (reactivate it to undo). Staff only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the kept job and the fields copied onto it.
+ */
+router.post('/:id/merge', requireStaff, loadJob, async (req, res) => {
+  try {
+    const duplicateId = req.body?.duplicateId;
+    if (!mongoose.isValidObjectId(duplicateId)) {
+      throw new HttpError(400, 'duplicateId must be a job id');
+    }
+    if (String(duplicateId) === String(req.job._id)) {
+      throw new HttpError(400, 'A job cannot be merged into itself');
+    }
+    const duplicate = await Job.findById(duplicateId);
+    if (!duplicate) {
+      throw new HttpError(404, 'Duplicate job not found');
+    }
+
+    const duplicateBefore = snapshotJob(duplicate);
+    const copied = mergeDuplicate(req.job, duplicate);
+    if (copied.length) {
+      await req.job.save();
+      await recordChange(req, 'merge');
+      await enqueueSync(req.job, 'update');
+    }
+    await duplicate.save();
+    await recordHistory(duplicate, { action: 'merge', source: 'staff', before: duplicateBefore, actor: req.user });
+    await enqueueSync(duplicate, 'deactivate');
+
+    res.json({ job: serializeJob(req.job.toObject()), copied, duplicateId: String(duplicate._id) });
+  } catch (error) {
+    sendError(res, error, 'Error merging jobs');
+  }
+});
+
+/**
+ * GET /api/jobs/:id/history
+ * @description
+ * The job's change history, newest first: who changed what, when, and from
+ * where. Also works for deleted jobs, whose last entry is the deletion. Staff only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ jobId, exists, entries }`.
+ */
+router.get('/:id/history', requireStaff, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      throw new HttpError(400, `Invalid job id: ${id}`);
+    }
+    const [entries, exists] = await Promise.all([getHistory(id), Job.exists({ _id: id })]);
+    if (!entries.length && !exists) {
+      throw new HttpError(404, 'Job not found');
+    }
+    res.json({ jobId: id, exists: Boolean(exists), entries: entries.map(serializeHistoryEntry) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching job history');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/restore
+ * @description
+ * Puts the job's posting back to the version saved in history entry
+ * `{ historyId }` (see `RESTORED_FIELDS`; status, dates and deactivation stay
+ * as they are). The restore is itself recorded, so it can be undone the same
+ * way. Staff only.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the restored job.
+ */
+router.post('/:id/restore', requireStaff, loadJob, async (req, res) => {
+  try {
+    const { historyId } = req.body || {};
+    if (!mongoose.isValidObjectId(historyId)) {
+      throw new HttpError(400, 'historyId must be a history entry id');
+    }
+    const entry = await JobHistory.findOne({ _id: historyId, job: req.job._id }).lean();
+    if (!entry) {
+      throw new HttpError(404, 'History entry not found for this job');
+    }
+    if (!entry.snapshot || !Object.keys(entry.snapshot).length) {
+      throw new HttpError(400, 'That entry has no version to restore');
+    }
+
+    restoreVersion(req.job, entry);
+    await req.job.save();
+    await recordChange(req, 'restore', { restoredFrom: entry._id });
+    await enqueueSync(req.job, 'update');
+
+    res.json({ job: serializeJob(req.job.toObject()) });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return sendError(res, new HttpError(400, error.message), 'Error restoring job');
+    }
+    sendError(res, error, 'Error restoring job');
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * @description
+ * Permanently removes a job. Prefer deactivating unless the posting was entered by mistake.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `204` once the job is deleted.
+ */
+router.delete('/:id', requireStaff, loadJob, async (req, res) => {
+  try {
+    await req.job.deleteOne();
+    await recordChange(req, 'delete', { deleted: true });
+    await enqueueSync(req.job, 'delete');
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Error deleting job');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+/**
+ * @file me.js
+ * @description
+ * Express router for the signed-in user's own data, mounted at `/api/me`:
+ * the jobs they saved (starred) or hid on the job board. Any signed-in
+ * account can use it; see `lib/jobLists.js`.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+
+const User = require('../models/User');
+const { sendError } = require('../lib/errors');
+const { requireRole } = require('../lib/auth');
+const { getLists, addToList, removeFromList, mergeLists } = require('../lib/jobLists');
+
+const router = express.Router();
+
+router.use(requireRole(...User.ROLES));
+
+/**
+ * GET /api/me/lists
+ * @description
+ * The user's saved and hidden job ids.
+ *
+ * @example
+ * GET /api/me/lists
+ * // => { saved: ['66f1...'], hidden: ['66f2...', '66f3...'] }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ saved, hidden }`.
+ */
+router.get('/lists', async (req, res) => {
+  try {
+    res.json(await getLists(req.user.id));
+  } catch (error) {
+    sendError(res, error, 'Error fetching your jobs');
+  }
+});
+
+/**
+ * POST /api/me/lists/merge
+ * @description
+ * Adds the lists a visitor kept in localStorage before signing in,
+ * `{ saved: [ids], hidden: [ids] }`. Unknown jobs are skipped.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the merged `{ saved, hidden }`.
+ */
+router.post('/lists/merge', async (req, res) => {
+  try {
+    res.json(await mergeLists(req.user.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Error merging your jobs');
+  }
+});
+
+/**
+ * PUT /api/me/lists/:list/:jobId
+ * @description
+ * Saves (`list` = saved) or hides (`list` = hidden) a job. Saving a hidden
+ * job unhides it, and the other way round.
+ *
+ * @example
+ * PUT /api/me/lists/saved/66f1...
+ * // => { saved: ['66f1...'], hidden: [] }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the updated `{ saved, hidden }`.
+ */
+router.put('/lists/:list/:jobId', async (req, res) => {
+  try {
+    res.json(await addToList(req.user.id, req.params.list, req.params.jobId));
+  } catch (error) {
+    sendError(res, error, 'Error updating your jobs');
+  }
+});
+
+/**
+ * DELETE /api/me/lists/:list/:jobId
+ * @description
+ * Unsaves or unhides a job.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the updated `{ saved, hidden }`.
+ */
+router.delete('/lists/:list/:jobId', async (req, res) => {
+  try {
+    res.json(await removeFromList(req.user.id, req.params.list, req.params.jobId));
+  } catch (error) {
+    sendError(res, error, 'Error updating your jobs');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+/**
+ * @file savedSearches.js
+ * @description
+ * Express router for saved job searches and their email digests, mounted at
+ * `/api/saved-searches`. Anyone can save a search for an email address
+ * (a few times per hour per client), but digests only start once the link in
+ * the confirmation email is followed; the unsubscribe token in each email is
+ * what lets its owner remove it. Listing searches is staff only.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+
+const SavedSearch = require('../models/SavedSearch');
+const { HttpError, sendError } = require('../lib/errors');
+const { requireRole, STAFF_ROLES } = require('../lib/auth');
+const { rateLimit } = require('../lib/rateLimit');
+const { createSavedSearch, confirmSavedSearch, serializeSavedSearch, unsubscribe } = require('../lib/savedSearches');
+
+const router = express.Router();
+
+/** @type {import('express').RequestHandler} */
+const requireStaff = requireRole(...STAFF_ROLES);
+
+/**
+ * Each save sends an email, so a client may only save a few searches an hour.
+ * @type {import('express').RequestHandler}
+ */
+const limitSaves = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many job alerts saved from here. Please try again in an hour.'
+});
+
+/**
+ * GET /api/saved-searches
+ * @description
+ * Lists saved searches, newest first (staff only). `?email=` narrows to one address.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ searches }`.
+ */
+router.get('/', requireStaff, async (req, res) => {
+  try {
+    const filter = req.query.email ? { email: String(req.query.email).trim().toLowerCase() } : {};
+    const searches = await SavedSearch.find(filter).sort({ createdAt: -1 }).limit(500);
+    res.json({ searches: searches.map(serializeSavedSearch) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching saved searches');
+  }
+});
+
+/**
+ * POST /api/saved-searches
+ * @description
+ * Saves a search and emails a link to confirm it; digests start once it is
+ * confirmed. `criteria` uses the `GET /api/jobs` parameter names (text
+ * criteria at most 100 characters). Limited to 5 saves an hour per client (429).
+ *
+ * @example
+ * POST /api/saved-searches
+ * { "email": "student@example.org", "frequency": "daily",
+ *   "criteria": { "languages": "Python", "location": "Louisville", "salaryMin": 50000 } }
+ * // => 201 { id, email, frequency: 'daily', label: 'Python jobs in Louisville, $50,000+', criteria, confirmed: false, lastSentAt }
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends the saved search.
+ */
+router.post('/', limitSaves, async (req, res) => {
+  try {
+    const search = await createSavedSearch(req.body, req);
+    res.status(201).json(serializeSavedSearch(search));
+  } catch (error) {
+    sendError(res, error, 'Error saving search');
+  }
+});
+
+/**
+ * GET /api/saved-searches/confirm/:token
+ * @description
+ * What the confirmation page shows before the person confirms.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ email, frequency, label }`, or 404.
+ */
+router.get('/confirm/:token', async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ confirmToken: String(req.params.token) }).lean();
+    if (!search) {
+      throw new HttpError(404, 'This alert was not found. It may already be confirmed, or the link has expired.');
+    }
+    res.json({ email: search.email, frequency: search.frequency, label: search.label });
+  } catch (error) {
+    sendError(res, error, 'Error fetching saved search');
+  }
+});
+
+/**
+ * POST /api/saved-searches/confirm/:token
+ * @description
+ * Confirms the saved search's email address, which starts its digests.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ confirmed: true, frequency, label }`, or 404.
+ */
+router.post('/confirm/:token', async (req, res) => {
+  try {
+    const search = await confirmSavedSearch(req.params.token);
+    if (!search) {
+      throw new HttpError(404, 'This alert was not found. It may already be confirmed, or the link has expired.');
+    }
+    res.json({ confirmed: true, frequency: search.frequency, label: search.label });
+  } catch (error) {
+    sendError(res, error, 'Error confirming saved search');
+  }
+});
+
+/**
+ * GET /api/saved-searches/unsubscribe/:token
+ * @description
+ * What the unsubscribe page shows before the person confirms.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ email, frequency, label }`, or 404.
+ */
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ unsubscribeToken: String(req.params.token) }).lean();
+    if (!search) {
+      throw new HttpError(404, 'This alert was not found. It may already be unsubscribed.');
+    }
+    res.json({ email: search.email, frequency: search.frequency, label: search.label });
+  } catch (error) {
+    sendError(res, error, 'Error fetching saved search');
+  }
+});
+
+/**
+ * POST /api/saved-searches/unsubscribe/:token
+ * @description
+ * Deletes the saved search. Also the target of the emails'
+ * `List-Unsubscribe` header, so mail clients can unsubscribe in one click.
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} Sends `{ unsubscribed: true, label }`, or 404.
+ */
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const search = await unsubscribe(req.params.token);
+    if (!search) {
+      throw new HttpError(404, 'This alert was not found. It may already be unsubscribed.');
+    }
+    console.log(`📭 Unsubscribed saved search ${search._id}`);
+    res.json({ unsubscribed: true, label: search.label });
+  } catch (error) {
+    sendError(res, error, 'Error unsubscribing');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+/**
+ * @file sync.js
+ * @description
+ * Express router for checking on the Google Sheets outbox, mounted at
+ * `/api/sync`. Staff only.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const SyncEvent = require('../models/SyncEvent');
+const { HttpError, sendError } = require('../lib/errors');
+const { requireRole, STAFF_ROLES } = require('../lib/auth');
+const { retryEvent } = require('../lib/sheetSync');
+
+const router = express.Router();
+
+router.use(requireRole(...STAFF_ROLES));
+
+/**
+ * GET /api/sync/summary
+ * @description
+ * Counts outbox events by status, e.g. `{ pending: 2, delivered: 120, failed: 1 }`.
+ */
+router.get('/summary', async (req, res) => {
+  try {
+    const counts = await SyncEvent.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const summary = { pending: 0, delivered: 0, failed: 0 };
+    counts.forEach(({ _id, count }) => { summary[_id] = count; });
+    res.json({ summary, configured: Boolean(process.env.SHEET_SYNC_URL) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching sync summary');
+  }
+});
+
+/**
+ * GET /api/sync/events
+ * @description
+ * Lists outbox events, newest first. Defaults to everything that has not been
+ * delivered; pass `?status=pending|delivered|failed|all` to change that.
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const status = req.query.status || 'undelivered';
+    const filters = {
+      undelivered: { status: { $ne: 'delivered' } },
+      all: {},
+      pending: { status: 'pending' },
+      delivered: { status: 'delivered' },
+      failed: { status: 'failed' }
+    };
+    if (!filters[status]) {
+      throw new HttpError(400, `Invalid status: ${status}`);
+    }
+
+    const events = await SyncEvent.find(filters[status])
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+    res.json({ events });
+  } catch (error) {
+    sendError(res, error, 'Error fetching sync events');
+  }
+});
+
+/**
+ * POST /api/sync/events/:id/retry
+ * @description
+ * Resets a failed or pending event so the worker delivers it right away.
+ */
+router.post('/events/:id/retry', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw new HttpError(400, `Invalid event id: ${req.params.id}`);
+    }
+    const event = await SyncEvent.findById(req.params.id);
+    if (!event) {
+      throw new HttpError(404, 'Sync event not found');
+    }
+    if (event.status === 'delivered') {
+      throw new HttpError(400, 'Event was already delivered');
+    }
+    await retryEvent(event);
+    res.json({ event: event.toObject() });
+  } catch (error) {
+    sendError(res, error, 'Error retrying sync event');
+  }
+});
+
+module.exports = router;
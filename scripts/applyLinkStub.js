@@ -0,0 +1,55 @@
+/**
+ * @file applyLinkStub.js
+ * @description
+ * Local stand-in for employer application pages, for testing the apply-link
+ * checker (`lib/linkCheck.js`) without requesting real sites. Each path
+ * answers the way a real ATS page might go wrong.
+ *
+ * Run `npm run link-stub`, then point checks at it, e.g.
+ * `npm run check-links -- http://localhost:4002/ok http://localhost:4002/gone`,
+ * or set jobs' Apply links to these URLs and run `npm run check-links`.
+ * `/offsite` redirects from localhost to 127.0.0.1, which the checker treats
+ * as another site.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+
+const app = express();
+const PORT = process.env.STUB_PORT || 4002;
+
+/** How long `/slow` waits; longer than the checker's default timeout. */
+const SLOW_MS = 30 * 1000;
+
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.path}`);
+  next();
+});
+
+// Works
+app.get('/ok', (req, res) => res.send('Apply here'));
+app.get('/careers', (req, res) => res.send('Search all our jobs'));
+
+// Rejects HEAD like some ATS pages, but works with GET
+app.head('/head-not-allowed', (req, res) => res.sendStatus(405));
+app.get('/head-not-allowed', (req, res) => res.send('Apply here'));
+
+// Posting taken down or the site is having trouble
+app.all('/gone', (req, res) => res.sendStatus(404));
+app.all('/error', (req, res) => res.sendStatus(500));
+app.all('/forbidden', (req, res) => res.sendStatus(403));
+
+// Redirects: within the site, to another site, and forever
+app.all('/moved', (req, res) => res.redirect(301, '/ok'));
+app.all('/offsite', (req, res) => res.redirect(302, `http://127.0.0.1:${PORT}/careers`));
+app.all('/loop', (req, res) => res.redirect(302, '/loop'));
+
+// Never answers in time
+app.all('/slow', (req, res) => {
+  setTimeout(() => res.send('Too late'), SLOW_MS).unref();
+});
+
+app.listen(PORT, () => {
+  console.log(`✅ Apply link stub listening at http://localhost:${PORT} (/ok, /head-not-allowed, /gone, /error, /forbidden, /moved, /offsite, /loop, /slow)`);
+});
@@ -0,0 +1,44 @@
+/**
+ * @file checkLinks.js
+ * @description
+ * Runs the apply-link checker once, the same as the server's scheduled task.
+ * Given URLs instead, it just checks those and prints the results, without
+ * touching the database; handy against `npm run link-stub`.
+ *
+ * @example
+ * npm run check-links
+ * npm run check-links -- --deactivate
+ * npm run check-links -- http://localhost:4002/gone http://localhost:4002/offsite
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { checkLink, checkActiveLinks } = require('../lib/linkCheck');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const urls = args.filter(arg => !arg.startsWith('--'));
+
+  if (urls.length) {
+    for (const url of urls) {
+      const { status, httpStatus, finalUrl, error } = await checkLink(url);
+      console.log(`${status.padEnd(11)} ${httpStatus ?? '-'}  ${url}${finalUrl !== url ? ` -> ${finalUrl}` : ''}${error ? `  (${error})` : ''}`);
+    }
+    return;
+  }
+
+  await mongoose.connect(process.env.DATABASE_URL);
+  try {
+    const options = args.includes('--deactivate') ? { autoDeactivate: true } : {};
+    const { byStatus } = await checkActiveLinks(options);
+    console.log('✅ By status:', byStatus);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Error checking links:', err.message);
+  process.exitCode = 1;
+});
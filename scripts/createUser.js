@@ -0,0 +1,54 @@
+/**
+ * @file createUser.js
+ * @description
+ * Creates (or resets the password of) a staff account from the command line.
+ * Use it to bootstrap the first admin, who can then add others through
+ * `POST /api/auth/users`.
+ *
+ * @example
+ * npm run create-user -- alli@code-you.org "a long password" admin "Alli Rippy"
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { hashPassword } = require('../lib/auth');
+const { MIN_PASSWORD_LENGTH } = require('../routes/auth');
+
+async function main() {
+  const [email, password, role = 'staff', name = ''] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: node scripts/createUser.js <email> <password> [admin|staff] [name]');
+    process.exitCode = 1;
+    return;
+  }
+  if (!User.ROLES.includes(role)) {
+    console.error(`❌ role must be one of ${User.ROLES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`❌ password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.DATABASE_URL);
+  try {
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase().trim() },
+      { email, role, name, passwordHash: await hashPassword(password) },
+      { upsert: true, new: true, runValidators: true }
+    );
+    console.log(`✅ Saved ${user.role} account for ${user.email}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Error creating user:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,75 @@
+/**
+ * @file importJobs.js
+ * @description
+ * Imports jobs from a CSV export of the Google Sheet.
+ *
+ * @example
+ * # See what would be inserted/updated without writing anything
+ * npm run import-jobs -- jobs.csv --dry-run
+ * # Import, merging rows that match existing jobs instead of skipping them
+ * npm run import-jobs -- jobs.csv --duplicates=merge
+ */
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { importJobs } = require('../lib/jobImport');
+
+/**
+ * Prints the import report in a readable form.
+ * @param {Object} report - Report from `importJobs`.
+ */
+function printReport(report) {
+  report.rows.forEach(row => {
+    const label = `Row ${row.row}`;
+    if (row.action === 'error') {
+      console.log(`✖ ${label}: ${row.errors.join('; ')}`);
+    } else if (row.action === 'skip') {
+      console.log(`- ${label}: skip ${row.jobTitle} @ ${row.employer} (${row.reason})`);
+    } else if (row.action === 'update') {
+      console.log(`~ ${label}: update ${row.jobTitle} @ ${row.employer} [${row.fields.join(', ')}]`);
+    } else {
+      console.log(`+ ${label}: insert ${row.jobTitle} @ ${row.employer}`);
+      (row.possibleDuplicates || []).forEach(dup => {
+        console.log(`    ⚠️  looks like ${dup.jobTitle} @ ${dup.employer} (${dup.id}): ${dup.reasons.join(', ')}`);
+      });
+    }
+  });
+
+  const verb = report.dryRun ? 'Would insert' : 'Inserted';
+  console.log(
+    `\n${report.dryRun ? '🔎 Dry run: ' : '✅ '}${verb} ${report.inserted}, ` +
+    `${report.dryRun ? 'would update' : 'updated'} ${report.updated}, ` +
+    `skipped ${report.skipped}, errors ${report.failed} (of ${report.totalRows} rows)`
+  );
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  const duplicatesArg = args.find(arg => arg.startsWith('--duplicates='));
+  const duplicates = duplicatesArg ? duplicatesArg.split('=')[1] : 'skip';
+
+  if (!file) {
+    console.error('Usage: node scripts/importJobs.js <file.csv> [--dry-run] [--duplicates=skip|merge]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const input = fs.readFileSync(file, 'utf8');
+  await mongoose.connect(process.env.DATABASE_URL);
+  try {
+    const report = await importJobs(input, { dryRun, duplicates });
+    printReport(report);
+    if (report.failed) process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Error importing jobs:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,43 @@
+/**
+ * @file linkEmployers.js
+ * @description
+ * Links jobs saved before the `employers` collection existed to an `Employer`
+ * record, creating one per distinct employer name. Published jobs are linked
+ * automatically when they are saved, so this only needs to run once. Jobs in
+ * moderation are skipped; they are linked when approved.
+ *
+ * @example
+ * npm run link-employers
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Job = require('../models/Job');
+const Employer = require('../models/Employer');
+
+async function main() {
+  await mongoose.connect(process.env.DATABASE_URL);
+  try {
+    const unlinked = { employerId: { $exists: false }, ...Job.PUBLISHED_FILTER };
+    const names = await Job.distinct('Employer', unlinked);
+    let linked = 0;
+    for (const name of names) {
+      if (!Employer.employerKey(name)) continue;
+      const employer = await Employer.findOrCreateByName(name);
+      const result = await Job.updateMany(
+        { ...unlinked, Employer: name },
+        { $set: { employerId: employer._id } }
+      );
+      linked += result.modifiedCount;
+    }
+    console.log(`✅ Linked ${linked} job(s) to ${names.length} employer name(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Error linking employers:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,39 @@
+/**
+ * @file migrateSalaries.js
+ * @description
+ * Fills in the structured salary fields (`period`, `currency`, `disclosed`,
+ * `annualized`) on jobs saved before they existed. Those jobs only have
+ * min/max/avg, which the old parser always read as an annual USD range, and
+ * the API's salary filters and sorting now use `annualized`. New and edited
+ * jobs get the fields when they are saved, so this only needs to run once.
+ *
+ * @example
+ * npm run migrate-salaries
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Job = require('../models/Job');
+const { normalizeSalary } = require('../src/salary');
+
+async function main() {
+  await mongoose.connect(process.env.DATABASE_URL);
+  try {
+    const jobs = await Job.find({ 'Salary Range.disclosed': { $exists: false } }, { 'Salary Range': 1 }).lean();
+    const updates = jobs.map(job => {
+      const { text, ...salary } = normalizeSalary(job['Salary Range']);
+      const set = Object.fromEntries(Object.entries(salary).map(([key, value]) => [`Salary Range.${key}`, value]));
+      return { updateOne: { filter: { _id: job._id }, update: { $set: set } } };
+    });
+    if (updates.length) await Job.bulkWrite(updates);
+    console.log(`✅ Migrated the salary of ${updates.length} job(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Error migrating salaries:', err.message);
+  process.exitCode = 1;
+});
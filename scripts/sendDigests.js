@@ -0,0 +1,31 @@
+/**
+ * @file sendDigests.js
+ * @description
+ * Sends every saved search digest that is due right now, the same as the
+ * server's hourly digest task. Handy with MAIL_TRANSPORT=capture to check
+ * the captured emails in MAIL_CAPTURE_DIR, or to run digests from cron
+ * instead of the server.
+ *
+ * @example
+ * npm run send-digests
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { sendDueDigests } = require('../lib/savedSearches');
+
+async function main() {
+  await mongoose.connect(process.env.DATABASE_URL);
+  try {
+    const { checked, sent, failed } = await sendDueDigests();
+    console.log(`✅ ${checked} digest(s) due: ${sent} sent, ${failed} failed, ${checked - sent - failed} with nothing new`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Error sending digests:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,42 @@
+/**
+ * @file sheetSyncStub.js
+ * @description
+ * Local stand-in for the Google Apps Script web app, for testing the sheet
+ * sync outbox without touching the real sheet. Logs every change it receives.
+ *
+ * Set `SHEET_SYNC_URL=http://localhost:4001/exec` in `.env`, then run
+ * `npm run sheet-stub`. Set `STUB_FAIL_RATE` (0-1) to make a share of requests
+ * fail with a 500 so retries and backoff can be watched.
+ *
+ * @requires express
+ */
+
+const express = require('express');
+
+const app = express();
+const PORT = process.env.STUB_PORT || 4001;
+const FAIL_RATE = Number(process.env.STUB_FAIL_RATE) || 0;
+
+/** @type {Array<Object>} Changes received since the stub started. */
+const received = [];
+
+app.use(express.urlencoded({ extended: true }));
+
+app.post('/exec', (req, res) => {
+  if (Math.random() < FAIL_RATE) {
+    console.log(`✖ Rejected ${req.body.action} for ${req.body.id}`);
+    return res.status(500).send('Simulated failure');
+  }
+  received.push({ receivedAt: new Date().toISOString(), ...req.body });
+  console.log(`✔ ${req.body.action} ${req.body.id}: ${req.body.jobTitle} @ ${req.body.employer}`);
+  res.json({ result: 'success' });
+});
+
+// Lets you see everything the stub has accepted
+app.get('/exec', (req, res) => {
+  res.json({ received });
+});
+
+app.listen(PORT, () => {
+  console.log(`✅ Sheet sync stub listening at http://localhost:${PORT}/exec`);
+});
@@ -3,7 +3,7 @@
  * @description
  * Main server file for the Code:YouJobBoard project.
  * Sets up an Express server to serve static files and provide
- * an API endpoint that retrieves job data from MongoDB via Mongoose.
+ * API endpoints that read and write job data in MongoDB via Mongoose.
  *
  * @requires express
  * @requires path
@@ -15,10 +15,27 @@ const express = require('express');
 const path = require('path');
 const mongoose = require('mongoose');
 require('dotenv').config();
-const axios = require('axios');
 
 // Import the Job model
 const Job = require('../models/Job');
+const { formatSalary, normalizeSalary } = require('./salary');
+const jobsRouter = require('../routes/jobs');
+const authRouter = require('../routes/auth');
+const syncRouter = require('../routes/sync');
+const employersRouter = require('../routes/employers');
+const savedSearchesRouter = require('../routes/savedSearches');
+const meRouter = require('../routes/me');
+const applicationsRouter = require('../routes/applications');
+const goRouter = require('../routes/go');
+const jobPagesRouter = require('../routes/jobPages');
+const User = require('../models/User');
+const { startSyncWorker } = require('../lib/sheetSync');
+const { startExpiryTask } = require('../lib/jobExpiry');
+const { startDuplicateReportTask } = require('../lib/jobDuplicates');
+const { startDigestTask } = require('../lib/savedSearches');
+const { startReminderTask } = require('../lib/applications');
+const { startLinkCheckTask } = require('../lib/linkCheck');
+const { authenticate, requirePageRole, STAFF_ROLES } = require('../lib/auth');
 
 /**
  * Create an Express application instance.
@@ -42,7 +59,15 @@ mongoose.connect(process.env.DATABASE_URL, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-  .then(() => console.log('✅ Connected to MongoDB via Mongoose'))
+  .then(() => {
+    console.log('✅ Connected to MongoDB via Mongoose');
+    startSyncWorker();
+    startExpiryTask();
+    startDuplicateReportTask();
+    startDigestTask();
+    startReminderTask();
+    startLinkCheckTask();
+  })
   .catch(err => console.error('❌ MongoDB connection error:', err));
 
 /**
@@ -51,7 +76,58 @@ mongoose.connect(process.env.DATABASE_URL, {
  */
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static(path.join(__dirname, '..')));
+
+/**
+ * Reads the session cookie (or Bearer token) into `req.user` for every request.
+ */
+app.use(authenticate);
+
+/**
+ * Staff-only pages.
+ * Registered before the static middleware so they cannot be fetched directly.
+ */
+app.get('/moderation.html', requirePageRole(...STAFF_ROLES), (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'moderation.html'));
+});
+
+app.get('/history.html', requirePageRole(...STAFF_ROLES), (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'history.html'));
+});
+
+app.get('/linkReport.html', requirePageRole(...STAFF_ROLES), (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'linkReport.html'));
+});
+
+/**
+ * The application tracker, for any signed-in user.
+ */
+app.get('/applications.html', requirePageRole(...User.ROLES), (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'applications.html'));
+});
+
+/**
+ * Files served to browsers: the pages, stylesheet and icon at the top of the
+ * repo, the images in assets/ and the browser scripts in src/ (not the server
+ * itself). Nothing else in the repo (.env, lib/, scripts/, docs, captured
+ * emails...) can be fetched.
+ */
+const SITE_ROOT = path.join(__dirname, '..');
+const PUBLIC_ROOT_FILE = /^\/[\w-]+\.(?:html|css|ico)$/;
+const SERVER_SCRIPTS = ['/app.js'];
+const serveRoot = express.static(SITE_ROOT, { index: false, dotfiles: 'deny' });
+
+app.use((req, res, next) => (PUBLIC_ROOT_FILE.test(req.path) ? serveRoot(req, res, next) : next()));
+app.use('/assets', express.static(path.join(SITE_ROOT, 'assets')));
+app.use('/src', (req, res, next) => {
+  let file;
+  try {
+    file = path.posix.normalize(decodeURIComponent(req.path));
+  } catch (error) {
+    return res.sendStatus(400);
+  }
+  return SERVER_SCRIPTS.includes(file) ? res.sendStatus(404) : next();
+});
+app.use('/src', express.static(path.join(SITE_ROOT, 'src')));
 
 /**
  * GET /
@@ -67,6 +143,7 @@ app.get('/', (req, res) => {
  * @description
  * Fetches job data from MongoDB via Mongoose and returns it in a format similar to the Google Sheets API.
  * Filters out deactivated jobs.
+ * Submissions still awaiting (or rejected in) moderation are left out.
  *
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
@@ -75,7 +152,7 @@ app.get('/', (req, res) => {
 app.get('/api/sheet', async (req, res) => {
   try {
 
-    const jobs = await Job.find().lean();
+    const jobs = await Job.find(Job.PUBLISHED_FILTER).lean();
 
 
     // Transform to match expected format (array of arrays, like Google Sheets)
@@ -86,19 +163,18 @@ app.get('/api/sheet', async (req, res) => {
       job['Job Title'] || '',
       job['Pathway'] || '',
       job['Language'] ? job['Language'].join(', ') : '',
-      job['Salary Range']
-        ? `$${job['Salary Range'].min || 0} - $${job['Salary Range'].max || job['Salary Range'].min || 0}`
-        : '',
+      formatSalary(normalizeSalary(job['Salary Range'])),
       job['Contact Person'] || '',
       job['Location'] || '',
       job['Deactivate?'] ? 'TRUE' : 'FALSE',
       job['Apply'] || ''
     ]);
 
-    // Return in Google Sheets-like format
+    // Return in Google Sheets-like format, plus each row's job id (for saving and hiding jobs)
     res.json({
       values: [headers, ...rows],
-      majorDimension: 'ROWS'
+      majorDimension: 'ROWS',
+      ids: jobs.map(job => String(job._id))
     });
 
   } catch (error) {
@@ -107,80 +183,54 @@ app.get('/api/sheet', async (req, res) => {
   }
 });
 
-app.post('/api/jobs', async (req, res) => {
-  try {
-    const {
-      employer,
-      jobTitle,
-      pathway,
-      language,
-      salaryRange,
-      contactPerson,
-      location,
-      apply
-    } = req.body;
-
-    // Parse salary "$70,000 - $90,000" into min/max/avg like dashboard/jobBoard do
-    let min = null, max = null, avg = null;
-    if (salaryRange) {
-      const parts = salaryRange.replace(/[$,]/g, '').split('-');
-      min = parseFloat(parts[0]?.trim()) || null;
-      if (parts.length > 1) {
-        max = parseFloat(parts[1]?.trim()) || null;
-      }
-      if (min != null) {
-        avg = (min + (max || min)) / 2;
-      }
-    }
-
-    const job = new Job({
-      Date: new Date(),                       // use "now" as posted date
-      Employer: employer,
-      'Job Title': jobTitle,
-      Pathway: pathway,
-      Language: String(language)
-        .split(',')
-        .map(l => l.trim())
-        .filter(Boolean),
-      'Salary Range': { min, max, avg },
-      'Contact Person': contactPerson || '',
-      Location: location || '',
-      'Deactivate?': false,
-      Apply: apply
-    });
+/**
+ * Jobs API.
+ * Native JSON listing (`GET /api/jobs`) and submission (`POST /api/jobs`) routes.
+ */
+app.use('/api/jobs', jobsRouter);
 
-    await job.save();
-
-    // Submit to Google Sheets
-    const googleScriptUrl = 'https://script.google.com/macros/s/AKfycbzwlPYcOFv6npeUz4K3mSQwCcKRRhDemaHcsHCFRbXSFvri25zwI1WaVTH8EXqz_WU2ug/exec';
-
-    try {
-      await axios.post(googleScriptUrl, new URLSearchParams({
-        employer,
-        jobTitle,
-        pathway,
-        language,
-        salaryRange,
-        contactPerson,
-        location,
-        apply
-      }).toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      });
-      console.log('✅ Submitted to Google Sheets');
-    } catch (sheetErr) {
-      console.error('❌ Error submitting to Google Sheets:', sheetErr.message);
-      // We don't fail the request if this fails, as MongoDB save was successful
-    }
-
-    res.status(201).json({ success: true, message: 'Job submitted successfully' });
-  } catch (err) {
-    console.error('Error saving job:', err);
-    res.status(500).send('Error saving job');
-  }
-});
+/**
+ * Employer partners API.
+ * Employer profiles (with their postings) and the submission form's autocomplete.
+ */
+app.use('/api/employers', employersRouter);
+
+/**
+ * Saved searches API.
+ * Job alert sign-ups from the job board and the unsubscribe links in their emails.
+ */
+app.use('/api/saved-searches', savedSearchesRouter);
+
+/**
+ * Auth API.
+ * Staff login/logout and account management.
+ */
+app.use('/api/auth', authRouter);
+
+/**
+ * The signed-in user's saved and hidden jobs.
+ */
+app.use('/api/me', meRouter);
+
+/**
+ * Application tracker: each user's own applications, and the anonymized funnel for staff.
+ */
+app.use('/api/applications', applicationsRouter);
+
+/**
+ * Tracked apply links: records the click, then redirects to the employer.
+ */
+app.use('/go', goRouter);
+
+/**
+ * Job detail pages: each posting's permalink.
+ */
+app.use('/jobs', jobPagesRouter);
+
+/**
+ * Google Sheets outbox status for staff.
+ */
+app.use('/api/sync', syncRouter);
 
 /**
  * Starts the Express server.
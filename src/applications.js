@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Kanban board for applications.html.
+ * Shows the signed-in user's applications from `/api/applications` in one
+ * column per stage. Dragging a card to another column (or picking a stage)
+ * moves it with `PATCH /api/applications/:id`; dates and notes are saved the same way.
+ */
+
+/** Stage names in board order, with their column titles. */
+const STAGE_LABELS = {
+  applied: "Applied",
+  phone_screen: "Phone Screen",
+  interview: "Interview",
+  offer: "Offer",
+  rejected: "Rejected",
+};
+
+/** @type {Object[]} */
+let applications = [];
+
+/**
+ * Sends a request to the tracker API and returns the parsed response.
+ * Redirects to the login page if the session has expired.
+ * @param {string} url
+ * @param {string} method
+ * @param {Object} [body]
+ * @returns {Promise<{ok: boolean, result: Object}>}
+ */
+async function request(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (response.status === 401) {
+    window.location.href = "/login.html?next=" + encodeURIComponent(window.location.pathname);
+  }
+  const result = await response.json().catch(() => ({}));
+  return { ok: response.ok, result };
+}
+
+/**
+ * Formats a date for an `<input type="date">` (local YYYY-MM-DD), or "".
+ * @param {string|null} value - ISO date from the API.
+ * @returns {string}
+ */
+function toInputDate(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @param {string} value - ISO date from the API.
+ * @returns {string} e.g. "3/10/2025"
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleDateString("en-US");
+}
+
+/**
+ * Replaces an application in `applications` with the server's copy and redraws.
+ * @param {Object} updated
+ */
+function replaceApplication(updated) {
+  applications = applications.map((app) => (app.id === updated.id ? updated : app));
+  renderBoard();
+}
+
+/**
+ * Moves an application to another stage.
+ * @param {Object} app
+ * @param {string} stage
+ * @returns {Promise<void>}
+ */
+async function moveApplication(app, stage) {
+  if (app.stage === stage) return;
+  const { ok, result } = await request(`/api/applications/${app.id}`, "PATCH", { stage });
+  if (!ok) {
+    alert("Could not move the application: " + (result.error || "Unknown error"));
+    renderBoard();
+    return;
+  }
+  replaceApplication(result);
+}
+
+/**
+ * Saves the stage, dates and notes from a card.
+ * @param {HTMLFormElement} card
+ * @param {Object} app
+ * @returns {Promise<void>}
+ */
+async function saveCard(card, app) {
+  const errorEl = card.querySelector(".form-error");
+  errorEl.hidden = true;
+  const data = Object.fromEntries(new FormData(card).entries());
+
+  const { ok, result } = await request(`/api/applications/${app.id}`, "PATCH", {
+    stage: data.stage,
+    appliedAt: data.appliedAt,
+    followUpAt: data.followUpAt || null,
+    notes: data.notes,
+  });
+  if (!ok) {
+    errorEl.textContent = result.error || "Something went wrong. Please try again.";
+    errorEl.hidden = false;
+    return;
+  }
+  replaceApplication(result);
+}
+
+/**
+ * Stops tracking an application after confirming.
+ * @param {Object} app
+ * @returns {Promise<void>}
+ */
+async function removeApplication(app) {
+  if (!confirm(`Stop tracking ${app.job.title} at ${app.job.employer}?`)) return;
+  const response = await fetch(`/api/applications/${app.id}`, { method: "DELETE" });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    alert("Could not remove the application: " + (result.error || "Unknown error"));
+    return;
+  }
+  applications = applications.filter((other) => other.id !== app.id);
+  renderBoard();
+}
+
+/**
+ * Builds the card for one application.
+ * @param {Object} app - Application from `/api/applications`.
+ * @returns {HTMLFormElement}
+ */
+function renderCard(app) {
+  const card = document.getElementById("cardTemplate").content.firstElementChild.cloneNode(true);
+  card.dataset.id = app.id;
+  card.classList.toggle("follow-up-due", app.followUpDue);
+
+  const title = card.querySelector(".card-title");
+  title.textContent = `${app.job.title} at ${app.job.employer}`;
+  if (!app.job.active) title.textContent += " (no longer posted)";
+
+  // Every stage it has been in, with dates
+  card.querySelector(".meta").textContent = app.stages
+    .map(({ stage, date }) => `${STAGE_LABELS[stage]} ${formatDate(date)}`)
+    .join(" → ");
+
+  const stageSelect = card.querySelector('[name="stage"]');
+  Object.entries(STAGE_LABELS).forEach(([value, label]) => {
+    stageSelect.add(new Option(label, value, false, value === app.stage));
+  });
+  card.querySelector('[name="appliedAt"]').value = toInputDate(app.appliedAt);
+  card.querySelector('[name="followUpAt"]').value = toInputDate(app.followUpAt);
+  card.querySelector('[name="notes"]').value = app.notes;
+
+  card.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveCard(card, app);
+  });
+  card.querySelector(".remove-btn").addEventListener("click", () => removeApplication(app));
+  card.addEventListener("dragstart", (e) => {
+    e.dataTransfer.setData("text/plain", app.id);
+    e.dataTransfer.effectAllowed = "move";
+  });
+  return card;
+}
+
+/**
+ * Lists the applications whose follow-up date has come.
+ */
+function renderFollowUps() {
+  const due = applications.filter((app) => app.followUpDue);
+  const list = document.getElementById("followUpList");
+  list.innerHTML = "";
+  due.forEach((app) => {
+    const li = document.createElement("li");
+    li.textContent = `${app.job.title} at ${app.job.employer} (due ${formatDate(app.followUpAt)})`;
+    list.appendChild(li);
+  });
+  document.getElementById("followUps").hidden = due.length === 0;
+}
+
+/**
+ * Draws one column per stage with its cards, and makes the columns drop targets.
+ */
+function renderBoard() {
+  const board = document.getElementById("board");
+  board.innerHTML = "";
+
+  Object.entries(STAGE_LABELS).forEach(([stage, label]) => {
+    const column = document.getElementById("columnTemplate").content.firstElementChild.cloneNode(true);
+    const cards = applications.filter((app) => app.stage === stage);
+    column.dataset.stage = stage;
+    column.querySelector(".column-title").textContent = label;
+    column.querySelector(".column-count").textContent = `(${cards.length})`;
+    cards.forEach((app) => column.querySelector(".column-cards").appendChild(renderCard(app)));
+
+    column.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      column.classList.add("drop-target");
+    });
+    column.addEventListener("dragleave", () => column.classList.remove("drop-target"));
+    column.addEventListener("drop", (e) => {
+      e.preventDefault();
+      column.classList.remove("drop-target");
+      const app = applications.find((other) => other.id === e.dataTransfer.getData("text/plain"));
+      if (app) moveApplication(app, stage);
+    });
+    board.appendChild(column);
+  });
+
+  document.getElementById("boardStatus").textContent = applications.length
+    ? ""
+    : "You aren't tracking any applications yet.";
+  renderFollowUps();
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const statusEl = document.getElementById("boardStatus");
+  statusEl.textContent = "Loading...";
+  try {
+    const { ok, result } = await request("/api/applications", "GET");
+    if (!ok) throw new Error(result.error || "Failed to load applications");
+    applications = result.applications;
+    renderBoard();
+  } catch (error) {
+    console.error("Error loading applications:", error);
+    statusEl.textContent = "Could not load your applications.";
+  }
+});
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview How to apply for a job, shared by the server and the pages.
+ *
+ * A job's `Apply` holds one of three kinds of apply method, named by its `applyType`:
+ *   - "url": a web address for an online application
+ *   - "email": an address to send a resume to, opened with a prefilled subject
+ *     (the job's `applySubject`, or "Application for <title> at <employer>")
+ *   - "instructions": anything else, e.g. "Send your resume to Alli in Career Services"
+ *
+ * Jobs saved before `applyType` existed get it from what `Apply` looks like.
+ *
+ * Loaded with a <script> tag in the browser (as `window.ApplyMethod`) and with
+ * `require('../src/applyMethod')` on the server.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ApplyMethod = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  /**
+   * Kinds of apply method.
+   * @type {string[]}
+   */
+  const APPLY_TYPES = ["url", "email", "instructions"];
+
+  /**
+   * Names of the apply methods for forms and messages.
+   * @type {Object<string, string>}
+   */
+  const APPLY_TYPE_LABELS = {
+    url: "Online application",
+    email: "Email",
+    instructions: "Instructions",
+  };
+
+  /**
+   * Link text for the apply methods that open something.
+   * @type {Object<string, string>}
+   */
+  const APPLY_LINK_LABELS = {
+    url: "Apply Now",
+    email: "Email to Apply",
+  };
+
+  /** @type {RegExp} */
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  /** @type {RegExp} */
+  const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+  /**
+   * Strips whitespace and a leading "mailto:" from an email address.
+   * @param {string} value
+   * @returns {string}
+   */
+  function toEmail(value) {
+    return String(value == null ? "" : value).trim().replace(/^mailto:/i, "");
+  }
+
+  /**
+   * Works out the kind of apply method from the text alone.
+   * @param {string} apply - A job's `Apply`.
+   * @returns {string|null} One of `APPLY_TYPES`, or null when `apply` is blank.
+   * @example
+   * detectApplyType("https://acme.com/careers/123"); // => "url"
+   * detectApplyType("jobs@acme.com");                 // => "email"
+   * detectApplyType("Send resume to Alli");           // => "instructions"
+   */
+  function detectApplyType(apply) {
+    const value = String(apply == null ? "" : apply).trim();
+    if (!value) return null;
+    if (URL_PATTERN.test(value)) return "url";
+    if (EMAIL_PATTERN.test(toEmail(value))) return "email";
+    return "instructions";
+  }
+
+  /**
+   * A job's kind of apply method: its `applyType`, or what its `Apply` looks like.
+   * @param {Object} job - Job with `Apply` and maybe `applyType`.
+   * @returns {string|null}
+   */
+  function applyTypeOf(job) {
+    if (!job || !String(job.Apply == null ? "" : job.Apply).trim()) return null;
+    return APPLY_TYPES.includes(job.applyType) ? job.applyType : detectApplyType(job.Apply);
+  }
+
+  /**
+   * Checks that `apply` fits its kind of apply method.
+   * @param {string} type - One of `APPLY_TYPES`.
+   * @param {string} apply
+   * @returns {string|null} Error message, or null when valid.
+   */
+  function checkApply(type, apply) {
+    const value = String(apply == null ? "" : apply).trim();
+    switch (type) {
+      case "url": {
+        let url = null;
+        try {
+          url = new URL(value);
+        } catch (error) {
+          // reported below
+        }
+        return url && URL_PATTERN.test(value) ? null : "Application link must be a web address (https://...)";
+      }
+      case "email":
+        return EMAIL_PATTERN.test(toEmail(value)) ? null : "Application email must be an email address (jobs@example.com)";
+      case "instructions": {
+        const looksLike = detectApplyType(value);
+        if (looksLike === "url" || looksLike === "email") {
+          return `That is just ${looksLike === "url" ? "a web address" : "an email address"}; choose "${APPLY_TYPE_LABELS[looksLike]}" instead`;
+        }
+        return null;
+      }
+      default:
+        return `Apply method must be one of ${APPLY_TYPES.join(", ")}`;
+    }
+  }
+
+  /**
+   * The subject an application email starts with when the job has none of its own.
+   * @param {Object} job
+   * @returns {string} e.g. "Application for Junior Developer at Acme"
+   */
+  function defaultSubject(job) {
+    const title = job["Job Title"] || "a job";
+    return job.Employer ? `Application for ${title} at ${job.Employer}` : `Application for ${title}`;
+  }
+
+  /**
+   * Builds a `mailto:` link with a subject.
+   * @param {string} email
+   * @param {string} subject
+   * @returns {string}
+   */
+  function mailtoHref(email, subject) {
+    return `mailto:${toEmail(email)}?subject=${encodeURIComponent(subject)}`;
+  }
+
+  /**
+   * Everything a page needs to show how to apply for a job.
+   *
+   * @param {Object} job - Job with `Apply`, and maybe `applyType`, `applySubject`,
+   *   `'Job Title'` and `Employer`.
+   * @returns {{type: string, label: string|null, href: string|null, text: string}|null}
+   *   `href` is the web address or the `mailto:` link (null for instructions),
+   *   `label` the link text, and `text` the address or the instructions.
+   *   Null when the job has no apply method.
+   * @example
+   * describeApply({ Apply: "jobs@acme.com", applyType: "email", "Job Title": "Data Analyst", Employer: "Acme" });
+   * // => { type: "email", label: "Email to Apply", text: "jobs@acme.com",
+   * //      href: "mailto:jobs@acme.com?subject=Application%20for%20Data%20Analyst%20at%20Acme" }
+   */
+  function describeApply(job) {
+    const type = applyTypeOf(job);
+    if (!type) return null;
+    const apply = String(job.Apply).trim();
+    switch (type) {
+      case "url":
+        return { type, label: APPLY_LINK_LABELS.url, href: apply, text: apply };
+      case "email":
+        return {
+          type,
+          label: APPLY_LINK_LABELS.email,
+          href: mailtoHref(apply, (job.applySubject || "").trim() || defaultSubject(job)),
+          text: toEmail(apply),
+        };
+      default:
+        return { type, label: null, href: null, text: apply };
+    }
+  }
+
+  return {
+    APPLY_TYPES,
+    APPLY_TYPE_LABELS,
+    detectApplyType,
+    applyTypeOf,
+    checkApply,
+    defaultSubject,
+    mailtoHref,
+    describeApply,
+  };
+});
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Confirmation page for new job alerts (confirmAlert.html).
+ * The confirmation email links here with `?token=`; the page shows which
+ * alert that is and confirms it only when the button is pressed, so link
+ * scanners that open every URL in an email can't confirm anyone.
+ */
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const form = document.getElementById("confirmForm");
+  const detailsEl = document.getElementById("confirmDetails");
+  const errorEl = document.getElementById("confirmError");
+  const button = document.getElementById("confirmBtn");
+  const token = new URLSearchParams(window.location.search).get("token");
+  const url = `/api/saved-searches/confirm/${encodeURIComponent(token || "")}`;
+
+  /**
+   * Shows a message in place of the alert details.
+   * @param {string} message
+   */
+  function showError(message) {
+    detailsEl.hidden = true;
+    button.hidden = true;
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+  }
+
+  if (!token) {
+    showError("This confirmation link is incomplete. Use the link from your email.");
+    return;
+  }
+
+  try {
+    const response = await fetch(url);
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      showError(result.error || "Unable to find this job alert.");
+      return;
+    }
+    detailsEl.textContent = `Send ${result.email} ${result.frequency} emails about new jobs matching "${result.label}"?`;
+    button.hidden = false;
+  } catch (error) {
+    console.error("Error loading job alert:", error);
+    showError("An error occurred while loading this job alert.");
+    return;
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    button.disabled = true;
+
+    try {
+      const response = await fetch(url, { method: "POST" });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        showError(result.error || "Unable to confirm this job alert.");
+        return;
+      }
+      detailsEl.textContent = `Confirmed. You'll get ${result.frequency} emails when new jobs match "${result.label}".`;
+      button.hidden = true;
+    } catch (error) {
+      console.error("Error confirming job alert:", error);
+      errorEl.textContent = "An error occurred while confirming. Please try again.";
+      errorEl.hidden = false;
+      button.disabled = false;
+    }
+  });
+});
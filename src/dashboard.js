@@ -30,9 +30,61 @@ let allActiveJobs = [];
 /** @type {Array<string>} */
 let tableHeaders = [];
 
+/**
+ * Salary bands from `/api/jobs/facets` (value, salaryMin, salaryMax).
+ * @type {Array<Object>}
+ */
+let salaryBuckets = [];
+
+/**
+ * Numbers the `/api/jobs/analytics` requests so a slow response for an older
+ * selection can't overwrite the charts for the current one.
+ * @type {number}
+ */
+let analyticsRequestId = 0;
+
+/**
+ * Same as `analyticsRequestId`, for `/api/jobs/analytics/trends`.
+ * @type {number}
+ */
+let trendRequestId = 0;
+
+/**
+ * Latest application funnel request; older responses are ignored.
+ * @type {number}
+ */
+let funnelRequestId = 0;
+
+/**
+ * Latest apply click request; older responses are ignored.
+ * @type {number}
+ */
+let clicksRequestId = 0;
+
+/**
+ * Column titles for the application tracker's stages, in funnel order.
+ * @type {Object<string, string>}
+ */
+const FUNNEL_STAGE_LABELS = {
+  applied: 'Applied',
+  phone_screen: 'Phone Screen',
+  interview: 'Interview',
+  offer: 'Offer',
+  rejected: 'Rejected'
+};
+
 /** @type {Object<string, Chart>} */
 let charts = {}; // Store Chart.js instances for destroy/recreate
 
+/** @type {Object<string, Chart>} */
+let trendCharts = {}; // Trend charts, redrawn separately from the snapshot charts
+
+/**
+ * Line colors for the trend charts, one per series.
+ * @const {Array<string>}
+ */
+const TREND_COLORS = ['#106396', '#e4185b', '#ecb41f', '#25b67b', '#9f2064', '#44174c', '#26a4b4', '#e06b26'];
+
 // Pagination state
 /** @type {number} */
 let dashPerPage = 10;
@@ -207,33 +259,37 @@ function getShortLocationLabel(fullLabel) {
 /**
  * Fetch job data from a URL.
  * @param {string} url - The URL to fetch data from.
- * @returns {Promise<string>} - The fetched data as JSON.
+ * @returns {Promise<Object>} - The `/api/sheet` payload: `{ values, ids }`.
  */
 async function fetchJobData(url) {
   const response = await fetch(url);
   if (!response.ok) throw new Error(`Failed to load jobs (${response.status})`);
   const payload = await response.json();                     
   if (!payload?.values?.length) throw new Error("Missing values array");
-  return payload.values;                                      
+  return payload;
 }
 
 /**
  * Parse job data from JSON/mongoDB text.
- * @param {string} data - The JSON/mongoDB text data.
+ * @param {Array<Array<string>>} values - Header row followed by job rows.
+ * @param {Array<string>} [ids] - Job ids, one per job row; kept on each row as `row.id`.
  * @returns {Object} - Parsed job data.
  * @property {Array<string>} tableHeaders - The table headers.
  * @property {Array<Array<string>>} jobs - The job rows.
  */
-function parseJobData(values) {
+function parseJobData(values, ids = []) {
   const [headers = [], ...rows] = values;
 
   // Normalize rows to the header length and clean only the Location cell
+  // (ids are attached before blank rows are dropped so they stay lined up)
   const normalized = rows
-    .filter(row => row.some(cell => cell && String(cell).trim() !== ''))
-    .map(row => {
+    .map((row, idx) => ({ row, id: ids[idx] }))
+    .filter(({ row }) => row.some(cell => cell && String(cell).trim() !== ''))
+    .map(({ row, id }) => {
       const r = headers.map((_, i) => row[i] ?? '');
       const locIdx = headers.findIndex(h => h.trim().toLowerCase() === 'location');
       if (locIdx >= 0 && typeof r[locIdx] === 'string') r[locIdx] = r[locIdx].replaceAll('_', ' ');
+      r.id = id;
       return r;
     });
 
@@ -307,13 +363,8 @@ function createJobs(keys, jobData) {
         // convert to boolean-like: any value other than "false" (case-insensitive) becomes true
         parsedJob[key] = trimmedCell.toLowerCase() !== "false";
       } else if (trimmedKey.toLowerCase().includes("salary")) {
-        // parse salary like "$70,000 - $90,000" into numeric min/max/avg
-        const salaryRange = trimmedCell.replace(/[$,]/g, "").split("-");
-        const min = parseFloat(salaryRange[0].trim()) || null;
-        const max = salaryRange.length > 1 ? parseFloat(salaryRange[1].trim()) || null : null;
-        const avg = (min + (max || min)) / 2;
-
-        parsedJob[key] = { min, max, avg };
+        // parse "$70,000 - $90,000", "$25/hr", "DOE", ... with the shared parser (src/salary.js)
+        parsedJob[key] = Salary.parseSalary(trimmedCell) || Salary.notDisclosed(trimmedCell);
       } else if (trimmedKey.toLowerCase() === "language") {
         // languages are stored as array of trimmed strings
         parsedJob[key] = trimmedCell.split(",").map(lang => lang.trim()).filter(lang => lang);
@@ -325,6 +376,7 @@ function createJobs(keys, jobData) {
 
     // Only add if we parsed at least one field (avoids empty objects)
     if (Object.keys(parsedJob).length > 0) {
+      parsedJob.id = job.id;
       result.push(parsedJob);
     }
   });
@@ -368,64 +420,21 @@ function parseDate(str) {
 }
 
 /**
- * Populate filter dropdowns based on allActiveJobs.
+ * Populate the filter dropdowns from `/api/jobs/facets`, labelled with how many
+ * jobs each option would match alongside the current date range and filters.
+ * Options that would match nothing are disabled.
+ * @returns {Promise<void>}
  */
-function populateFilters() {
- // Unique languages from allActiveJobs
-  const uniqueLangs = [...new Set(allActiveJobs.flatMap(job => job['Language'] || []))].sort();
-  const langSelect = document.getElementById('languageSelect');
-  langSelect.innerHTML = '';
-  // Add an "All" option as the default
-  const allLangOption = document.createElement('option');
-  allLangOption.value = 'All';
-  allLangOption.textContent = 'All';
-  allLangOption.selected = true;
-  langSelect.appendChild(allLangOption);
-  uniqueLangs.forEach(lang => {
-    const option = document.createElement('option');
-    option.value = lang;
-    option.textContent = lang;
-    // individual languages default to not selected; 'All' controls default
-    langSelect.appendChild(option);
-  });
-
-  // Unique locations
-  // Exclude any '-' or empty location entries and normalize Unknown
-  const uniqueLocs = [...new Set(allActiveJobs
-    .map(job => (job['Location'] || 'Unknown').trim())
-    .filter(loc => loc !== '' && loc !== '-'))].sort();
-  const locSelect = document.getElementById('locationSelect');
-  locSelect.innerHTML = '';
-  // Add an "All" option as the default for locations
-  const allLocOption = document.createElement('option');
-  allLocOption.value = 'All';
-  allLocOption.textContent = 'All';
-  allLocOption.selected = true;
-  locSelect.appendChild(allLocOption);
-  uniqueLocs.forEach(loc => {
-    const option = document.createElement('option');
-    option.value = loc;
-    option.textContent = loc;
-    locSelect.appendChild(option);
-  });
-
-  // Salary filter options are fixed buckets
-  const salarySelect = document.getElementById('salarySelect');
-  salarySelect.innerHTML = '';
-  const salaryOptions = [
-    { value: 'All', text: 'All' },
-    { value: '<50k', text: '<50k' },
-    { value: '50-75k', text: '50-75k' },
-    { value: '75-100k', text: '75-100k' },
-    { value: '>100k', text: '>100k' }
-  ];
-  salaryOptions.forEach(opt => {
-    const o = document.createElement('option');
-    o.value = opt.value;
-    o.textContent = opt.text;
-    if (opt.value === 'All') o.selected = true;
-    salarySelect.appendChild(o);
-  });
+async function populateFilters() {
+  try {
+    const { facets } = await Facets.load(buildFilterParams());
+    salaryBuckets = facets.salary;
+    Facets.fillSelect(document.getElementById('languageSelect'), facets.languages, { allValue: 'All' });
+    Facets.fillSelect(document.getElementById('locationSelect'), facets.location, { allValue: 'All' });
+    Facets.fillSelect(document.getElementById('salarySelect'), facets.salary, { allValue: 'All' });
+  } catch (error) {
+    console.error('Error loading filter options:', error);
+  }
 }
 
 /**
@@ -492,18 +501,11 @@ function updateFromFilters() {
   });
 
   // Salary bucket filter
-  // Salary filter: uses parsed salary.avg for comparisons. 'All' means no filter.
-  const salarySelect = document.getElementById('salarySelect');
-  const selectedSalary = salarySelect ? salarySelect.value : 'All';
-  const salaryFilteredJobs = dateFilteredJobs.filter(job => {
-    const salary = job['Salary Range']?.avg;
-    if (!salary || selectedSalary === 'All') return true;
-    if (selectedSalary === '<50k') return salary < 50000;
-    if (selectedSalary === '50-75k') return salary >= 50000 && salary < 75000;
-    if (selectedSalary === '75-100k') return salary >= 75000 && salary < 100000;
-    if (selectedSalary === '>100k') return salary >= 100000;
-    return true;
-  });
+  // Salary filter: uses the annualized salary so hourly pay lands in the right bucket. 'All' means no filter.
+  const salaryBucket = getSelectedSalaryBucket();
+  const salaryFilteredJobs = dateFilteredJobs.filter(job =>
+    !salaryBucket || Facets.inSalaryBucket(Salary.annualSalary(job['Salary Range']), salaryBucket)
+  );
 
   // Read selected languages and locations from the select controls.
   let selectedLanguages = Array.from(document.getElementById('languageSelect').selectedOptions).map(opt => opt.value);
@@ -531,23 +533,332 @@ function updateFromFilters() {
   // Location filter: include jobs in selected locations
   // Location filter: if 'All' selected, pass all; otherwise match selectedLocations
   filteredJobs = filteredJobs.filter(job => {
-    const jobLocation = job['Location'] || 'Unknown';
+    // Facet options spell Central_KY as Central KY
+    const jobLocation = (job['Location'] || 'Unknown').replace(/_/g, ' ').trim();
     // If 'All' is selected, don't filter by location
     if (selectedLocations.includes('All')) return true;
     return selectedLocations.length === 0 || selectedLocations.includes(jobLocation);
   });
 
-   // Update a small stats element with the count of filtered jobs
-  document.getElementById('jobCount').textContent = `Number of jobs: ${filteredJobs.length}`;
-
-  // Re-render charts and table
-  renderCharts(filteredJobs);
+  // Counts and charts come from the server so they match the API and the other pages
+  refreshAnalytics();
+  refreshTrends();
+  refreshFunnel();
+  refreshClicks();
   // Also render the jobs table below the charts
   if (typeof renderTable === 'function') {
     // Reset pagination to first page whenever filters change
     dashCurrentPage = 1;
     renderTable(filteredJobs);
   }
+
+  // Refresh the option counts for the new selection
+  populateFilters();
+}
+
+/**
+ * Fetch `/api/jobs/analytics` for the current date range and filters, then
+ * update the job count, the salary note and the charts from it.
+ * @returns {Promise<void>}
+ */
+async function refreshAnalytics() {
+  const requestId = ++analyticsRequestId;
+  const jobCountEl = document.getElementById('jobCount');
+  try {
+    const response = await fetch(`/api/jobs/analytics?${buildFilterParams()}`);
+    const analytics = await response.json();
+    if (!response.ok) {
+      throw new Error(analytics.error || `Failed to load statistics (${response.status})`);
+    }
+    if (requestId !== analyticsRequestId) return;
+
+    jobCountEl.textContent = `Number of jobs: ${analytics.total}`;
+    const salaryNote = document.getElementById('salaryNote');
+    if (salaryNote) {
+      salaryNote.textContent = analytics.missingSalary > 0
+        ? `${analytics.missingSalary} of ${analytics.total} jobs have no salary data.`
+        : '';
+    }
+    renderCharts(analytics);
+  } catch (error) {
+    if (requestId !== analyticsRequestId) return;
+    console.error('Error loading statistics:', error);
+    jobCountEl.textContent = 'Error loading statistics';
+  }
+}
+
+/**
+ * Fetch `/api/jobs/analytics/trends` for the current date range, filters and
+ * bucket size (#trendBucket), then redraw the trend charts.
+ * @returns {Promise<void>}
+ */
+async function refreshTrends() {
+  const requestId = ++trendRequestId;
+  const params = buildFilterParams();
+  params.set('bucket', document.getElementById('trendBucket').value);
+  try {
+    const response = await fetch(`/api/jobs/analytics/trends?${params}`);
+    const trends = await response.json();
+    if (!response.ok) {
+      throw new Error(trends.error || `Failed to load trends (${response.status})`);
+    }
+    if (requestId !== trendRequestId) return;
+    renderTrendCharts(trends);
+  } catch (error) {
+    if (requestId !== trendRequestId) return;
+    console.error('Error loading trends:', error);
+  }
+}
+
+/**
+ * Fetch `/api/applications/funnel` for the current date range and draw the
+ * Application Funnel section. The endpoint is staff only, so the section
+ * stays hidden for everyone else.
+ * @returns {Promise<void>}
+ */
+async function refreshFunnel() {
+  const requestId = ++funnelRequestId;
+  const section = document.getElementById('funnelSection');
+  try {
+    const response = await fetch(`/api/applications/funnel?${buildDateParams()}`);
+    if (response.status === 401 || response.status === 403) {
+      section.hidden = true;
+      return;
+    }
+    const funnel = await response.json();
+    if (!response.ok) {
+      throw new Error(funnel.error || `Failed to load the application funnel (${response.status})`);
+    }
+    if (requestId !== funnelRequestId) return;
+    section.hidden = false;
+    renderFunnel(funnel);
+  } catch (error) {
+    if (requestId !== funnelRequestId) return;
+    console.error('Error loading application funnel:', error);
+  }
+}
+
+/**
+ * Draw the funnel chart and the per-pathway table.
+ * @param {Object} funnel - `{ applications, students, stages, byPathway, minStudents }`.
+ */
+function renderFunnel(funnel) {
+  if (charts.funnel) charts.funnel.destroy();
+  charts.funnel = new Chart(document.getElementById('funnelChart').getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: funnel.stages.map(({ stage }) => FUNNEL_STAGE_LABELS[stage]),
+      datasets: [{
+        label: 'Applications',
+        data: funnel.stages.map(({ reached }) => reached),
+        backgroundColor: TREND_COLORS
+      }]
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      plugins: { legend: { display: false }, datalabels: { display: false } },
+      scales: { x: { beginAtZero: true, ticks: { precision: 0 } } }
+    }
+  });
+
+  document.getElementById('funnelNote').textContent =
+    `${funnel.applications} applications tracked by ${funnel.students} students. ` +
+    `Pathways with fewer than ${funnel.minStudents} students are not broken out.`;
+
+  // Per pathway: how many reached each stage, with the share of applications
+  const table = document.getElementById('funnelTable');
+  table.innerHTML = '';
+  const headRow = table.createTHead().insertRow();
+  ['Pathway', 'Students', ...funnel.stages.map(({ stage }) => FUNNEL_STAGE_LABELS[stage])].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  const body = table.createTBody();
+  [{ value: 'All pathways', ...funnel }, ...funnel.byPathway].forEach(group => {
+    const row = body.insertRow();
+    row.insertCell().textContent = group.value;
+    row.insertCell().textContent = group.students;
+    group.stages.forEach(({ reached }) => {
+      const share = group.applications ? Math.round((reached / group.applications) * 100) : 0;
+      row.insertCell().textContent = `${reached} (${share}%)`;
+    });
+  });
+}
+
+/**
+ * The date range as `from`/`to` parameters only, for the staff endpoints
+ * that filter by when something happened rather than by job.
+ * @returns {URLSearchParams}
+ */
+function buildDateParams() {
+  const params = new URLSearchParams();
+  const filters = buildFilterParams();
+  ['from', 'to'].forEach(name => {
+    if (filters.has(name)) params.set(name, filters.get(name));
+  });
+  return params;
+}
+
+/**
+ * Fetch `/api/jobs/analytics/clicks` for the current date range and draw the
+ * Apply Clicks section. The endpoint is staff only, so the section stays
+ * hidden for everyone else.
+ * @returns {Promise<void>}
+ */
+async function refreshClicks() {
+  const requestId = ++clicksRequestId;
+  const section = document.getElementById('clicksSection');
+  try {
+    const response = await fetch(`/api/jobs/analytics/clicks?${buildDateParams()}`);
+    if (response.status === 401 || response.status === 403) {
+      section.hidden = true;
+      return;
+    }
+    const clicks = await response.json();
+    if (!response.ok) {
+      throw new Error(clicks.error || `Failed to load apply clicks (${response.status})`);
+    }
+    if (requestId !== clicksRequestId) return;
+    section.hidden = false;
+    renderClicks(clicks);
+  } catch (error) {
+    if (requestId !== clicksRequestId) return;
+    console.error('Error loading apply clicks:', error);
+  }
+}
+
+/**
+ * Fill a table with a header row and one row per entry.
+ * @param {string} tableId
+ * @param {Array<string>} headers
+ * @param {Array<Array<string|number>>} rows
+ */
+function renderCountTable(tableId, headers, rows) {
+  const table = document.getElementById(tableId);
+  table.innerHTML = '';
+  const headRow = table.createTHead().insertRow();
+  headers.forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows.forEach(cells => {
+    const row = body.insertRow();
+    cells.forEach(value => { row.insertCell().textContent = value; });
+  });
+}
+
+/**
+ * Draw the clicks-by-pathway chart and the top employer and job tables.
+ * @param {Object} clicks - `{ total, byJob, byEmployer, byPathway, byReferrer }`.
+ */
+function renderClicks(clicks) {
+  const fromBoard = clicks.byReferrer.find(({ value }) => value === '/jobBoard.html');
+  document.getElementById('clicksNote').textContent =
+    `${clicks.total} clicks on Apply links in this date range` +
+    (fromBoard ? `, ${fromBoard.count} of them from the job board.` : '.');
+
+  if (charts.clicksPathway) charts.clicksPathway.destroy();
+  charts.clicksPathway = new Chart(document.getElementById('clicksPathwayChart').getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: clicks.byPathway.map(({ value }) => value),
+      datasets: [{
+        label: 'Clicks',
+        data: clicks.byPathway.map(({ count }) => count),
+        backgroundColor: TREND_COLORS
+      }]
+    },
+    options: {
+      responsive: true,
+      plugins: { legend: { display: false }, datalabels: { display: false } },
+      scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+    }
+  });
+
+  renderCountTable('clicksEmployerTable', ['Employer', 'Clicks'],
+    clicks.byEmployer.map(({ value, count }) => [value, count]));
+  renderCountTable('clicksJobTable', ['Job', 'Clicks'],
+    clicks.byJob.map(({ title, employer, count }) => [`${title} at ${employer}`, count]));
+}
+
+/**
+ * The salary band chosen in #salarySelect, or undefined for 'All'.
+ * @returns {{value: string, salaryMin?: number, salaryMax?: number}|undefined}
+ */
+function getSelectedSalaryBucket() {
+  const salarySelect = document.getElementById('salarySelect');
+  return salaryBuckets.find(bucket => salarySelect && bucket.value === salarySelect.value);
+}
+
+/**
+ * Dashboard table columns mapped to the `sort` keys understood by `/api/jobs`.
+ * @const {Object<string, string>}
+ */
+const API_SORT_KEYS = {
+  'Job Title': 'title',
+  'Language': 'language',
+  'Salary Range': 'salary',
+  'Location': 'location'
+};
+
+/**
+ * Get the specific values chosen in a filter <select>, or [] when 'All' applies.
+ * @param {string} selectId - The ID of the select element.
+ * @returns {Array<string>} - Selected values, without 'All'.
+ */
+function getSpecificSelections(selectId) {
+  const select = document.getElementById(selectId);
+  if (!select) return [];
+  // 'All' on its own (or nothing) means no filter; 'All' next to specific values is ignored
+  return Array.from(select.selectedOptions)
+    .map(opt => opt.value)
+    .filter(v => v !== 'All');
+}
+
+/**
+ * Turn the dashboard's date range and filters into `/api/jobs` query parameters.
+ * @returns {URLSearchParams}
+ */
+function buildFilterParams() {
+  const params = new URLSearchParams();
+
+  const startDate = document.getElementById('startDate').value;
+  const endDate = document.getElementById('endDate').value;
+  if (startDate) params.set('from', startDate);
+  if (endDate) params.set('to', endDate);
+
+  const languages = getSpecificSelections('languageSelect');
+  const locations = getSpecificSelections('locationSelect');
+  if (languages.length) params.set('languages', languages.join(','));
+  if (locations.length) params.set('location', locations.join(','));
+
+  const bucket = getSelectedSalaryBucket();
+  if (bucket && bucket.salaryMin != null) params.set('salaryMin', bucket.salaryMin);
+  if (bucket && bucket.salaryMax != null) params.set('salaryMax', bucket.salaryMax);
+
+  return params;
+}
+
+/**
+ * Build the query string for `/api/jobs/export` from the dashboard's current
+ * date range, filters and table sort, so the download matches the table.
+ * @param {string} format - "csv" or "xlsx".
+ * @returns {string} - URL-encoded query string.
+ */
+function buildExportParams(format) {
+  const params = buildFilterParams();
+  params.set('format', format);
+
+  if (dashSortColumn && API_SORT_KEYS[dashSortColumn]) {
+    params.set('sort', API_SORT_KEYS[dashSortColumn]);
+    params.set('dir', dashSortDirection);
+  }
+
+  return params.toString();
 }
 
 /**
@@ -632,13 +943,21 @@ function renderTable(jobs) {
   // Render rows for the current page
   pageItems.forEach(job => {
     const tr = document.createElement('tr');
-    // Job Title
-    tr.appendChild(createTd(job['Job Title'] || ''));
+    // Job Title, linking to the job's page
+    const titleTd = createTd('');
+    if (job.id) {
+      const titleLink = document.createElement('a');
+      titleLink.href = `/jobs/${job.id}`;
+      titleLink.textContent = job['Job Title'] || '';
+      titleTd.appendChild(titleLink);
+    } else {
+      titleTd.textContent = job['Job Title'] || '';
+    }
+    tr.appendChild(titleTd);
     // Language
     tr.appendChild(createTd((job['Language'] || []).join(', ')));
     // Salary
-    const sal = job['Salary Range'];
-    const salText = sal ? (formatDollar(sal.min) + (sal.max ? (' - ' + formatDollar(sal.max)) : '')) : '';
+    const salText = Salary.formatSalary(job['Salary Range']);
     tr.appendChild(createTd(salText, ''));
     // Location
     tr.appendChild(createTd(job['Location'] || ''));
@@ -692,10 +1011,10 @@ function sortJobs(a, b, column, direction) {
     return (isNaN(at) ? -1 : at) < (isNaN(bt) ? -1 : bt) ? -1 * dir : 1 * dir;
   }
 
-  // If sorting Salary Range, use avg
+  // If sorting Salary Range, use the annualized salary
   if (column === 'Salary Range') {
-    const aVal = a['Salary Range']?.avg || 0;
-    const bVal = b['Salary Range']?.avg || 0;
+    const aVal = Salary.annualSalary(a['Salary Range']) || 0;
+    const bVal = Salary.annualSalary(b['Salary Range']) || 0;
     return (aVal - bVal) * dir;
   }
 
@@ -718,23 +1037,30 @@ function sortJobs(a, b, column, direction) {
  */
 async function initialLoad(url) {
   try {
-    const csvText = await fetchJobData(url);
-    const jobData = parseJobData(csvText);
+    const payload = await fetchJobData(url);
+    const jobData = parseJobData(payload.values, payload.ids);
     const allJobs = createJobs(jobData.tableHeaders, jobData.jobs);
     allActiveJobs = getActiveJobs(allJobs);
     tableHeaders = jobData.tableHeaders;
 
-    populateFilters();
+    await populateFilters();
     clearAllFilters(); // Initial render with all filters selected
 
     // Add event listeners for filter changes
     document.getElementById('languageSelect').addEventListener('change', updateFromFilters);
     document.getElementById('locationSelect').addEventListener('change', updateFromFilters);
+    document.getElementById('trendBucket').addEventListener('change', refreshTrends);
   const salaryEl = document.getElementById('salarySelect');
   if (salaryEl) salaryEl.addEventListener('change', updateFromFilters);
 
     // Clear filters button
     document.getElementById('clearFilters').addEventListener('click', clearAllFilters);
+
+    // Export the filtered + sorted table
+    document.getElementById('exportBtn').addEventListener('click', () => {
+      const format = document.getElementById('exportFormat').value;
+      window.location.href = `/api/jobs/export?${buildExportParams(format)}`;
+    });
   } catch (error) {
     console.error("Error loading sheet:", error);
     document.getElementById('jobCount').textContent = "Error loading data";
@@ -742,28 +1068,115 @@ async function initialLoad(url) {
 }
 
 /**
- * Render charts based on filtered jobs.
- * @param {Array<Object>} jobs - The jobs to render charts for.
+ * Label for a trend bucket: "Mar 3" for weeks, "Mar 2025" for months.
+ * @param {string} period - ISO date of the bucket's first day (UTC).
+ * @param {string} bucket - "week" or "month".
+ * @returns {string}
+ */
+function formatTrendPeriod(period, bucket) {
+  const options = bucket === 'month'
+    ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+    : { month: 'short', day: 'numeric', timeZone: 'UTC' };
+  return new Date(period).toLocaleDateString('en-US', options);
+}
+
+/**
+ * Draw one trend line chart.
+ * @param {string} canvasId - The canvas to draw on.
+ * @param {Array<string>} labels - One per bucket.
+ * @param {Array<{label: string, data: Array<number|null>}>} series - One line each.
+ * @param {function(number): string} formatValue - Formats axis ticks and tooltips.
+ * @returns {Chart}
+ */
+function renderTrendChart(canvasId, labels, series, formatValue) {
+  return new Chart(document.getElementById(canvasId).getContext('2d'), {
+    type: 'line',
+    data: {
+      labels,
+      datasets: series.map((line, i) => ({
+        label: line.label,
+        data: line.data,
+        borderColor: TREND_COLORS[i % TREND_COLORS.length],
+        backgroundColor: TREND_COLORS[i % TREND_COLORS.length],
+        spanGaps: true,
+        tension: 0.2
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        legend: { display: series.length > 1, position: 'bottom' },
+        datalabels: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (context) => `${context.dataset.label}: ${formatValue(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: { callback: formatValue }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Render the trend charts from the `/api/jobs/analytics/trends` response.
+ * @param {Object} trends - `{ bucket, periods, pathways, languages, medianSalary }`.
  */
-function renderCharts(jobs) {
+function renderTrendCharts(trends) {
+  Object.values(trendCharts).forEach(chart => chart.destroy());
+  trendCharts = {};
+
+  const labels = trends.periods.map(period => formatTrendPeriod(period, trends.bucket));
+
+  // Postings per pathway
+  trendCharts.pathway = renderTrendChart(
+    'pathwayTrendChart',
+    labels,
+    trends.pathways.map(pathway => ({ label: pathway.value, data: pathway.counts })),
+    value => String(value)
+  );
+
+  // Share of each top language (percent of the bucket's postings)
+  trendCharts.language = renderTrendChart(
+    'languageTrendChart',
+    labels,
+    trends.languages.map(language => ({ label: language.value, data: language.shares })),
+    value => `${value}%`
+  );
+
+  // Median annualized salary; buckets without a salary are left as gaps
+  trendCharts.salary = renderTrendChart(
+    'salaryTrendChart',
+    labels,
+    [{ label: 'Median salary', data: trends.medianSalary }],
+    value => formatDollar(value)
+  );
+}
+
+/**
+ * Render charts from the `/api/jobs/analytics` response.
+ * @param {Object} analytics - `{ total, byLocation, byLanguage, salary, ... }`.
+ */
+function renderCharts(analytics) {
   // Destroy old charts
   Object.values(charts).forEach(chart => chart.destroy());
+  charts = {};
 
-  if (jobs.length === 0) return;
+  if (analytics.total === 0) return;
 
   // Pie: Salary Breakdown by Location (proportions of total salary)
-  const locationTotals = {};
-  jobs.forEach(job => {
-    const loc = job['Location'] || 'Unknown';
-    if (!locationTotals[loc]) locationTotals[loc] = 0;
-    locationTotals[loc] += job['Salary Range'].avg;
-  });
-  const grandTotal = Object.values(locationTotals).reduce((a, b) => a + b, 0);
-  const pieData = Object.entries(locationTotals)
-    .filter(([, total]) => total > 0)
-    .map(([loc, total]) => ({
-      label: loc,
-      value: grandTotal > 0 ? (total / grandTotal) * 100 : 0
+  const grandTotal = analytics.byLocation.reduce((sum, loc) => sum + loc.salaryTotal, 0);
+  const pieData = analytics.byLocation
+    .filter(loc => loc.salaryTotal > 0)
+    .map(loc => ({
+      label: loc.value,
+      value: grandTotal > 0 ? (loc.salaryTotal / grandTotal) * 100 : 0
     }));
   // Measure pie label widths to ensure outside labels fit (avoid clipping)
   const pieCtx = document.getElementById('pieChart').getContext('2d');
@@ -838,11 +1251,9 @@ function renderCharts(jobs) {
   // Respect the language filter selection: if specific languages are selected, only count those
   const currentSelectedLangs = Array.from(document.getElementById('languageSelect').selectedOptions).map(opt => opt.value);
   const effectiveSelectedLangs = (currentSelectedLangs.includes('All') || currentSelectedLangs.length === 0) ? null : currentSelectedLangs;
-  jobs.forEach(job => {
-    (job['Language'] || []).forEach(lang => {
-      if (effectiveSelectedLangs && !effectiveSelectedLangs.includes(lang)) return; // skip languages not in current selection
-      langCounts[lang] = (langCounts[lang] || 0) + 1;
-    });
+  analytics.byLanguage.forEach(({ value: lang, count }) => {
+    if (effectiveSelectedLangs && !effectiveSelectedLangs.includes(lang)) return; // skip languages not in current selection
+    langCounts[lang] = count;
   });
   const totalLangs = Object.values(langCounts).reduce((a, b) => a + b, 0);
   const donutCtx = document.getElementById('donutChart').getContext('2d');
@@ -999,23 +1410,17 @@ function renderCharts(jobs) {
     ]
   });
 
-  // Bar: Salary Breakdown (overall min/avg/max)
-  const salaries = jobs
-    .map(job => job['Salary Range']?.avg)
-    .filter(salary => salary !== undefined && salary !== null && salary > 0);
-
-  const minSalary = salaries.length > 0 ? Math.min(...salaries) : 0;
-  const avgSalary = salaries.length > 0 ? salaries.reduce((a, b) => a + b, 0) / salaries.length : 0;
-  const maxSalary = salaries.length > 0 ? Math.max(...salaries) : 0;
+  // Bar: Salary Breakdown (min, quartiles and max of the annualized salaries)
+  const { salary } = analytics;
 
   const barCtx = document.getElementById('barChart').getContext('2d');
   charts.bar = new Chart(barCtx, {
     type: 'bar',
     data: {
-      labels: ['Min', 'Average', 'Max'],
+      labels: ['Min', '25th %', 'Median', '75th %', 'Max'],
       datasets: [{
         label: '',
-        data: [minSalary, avgSalary, maxSalary],
+        data: [salary.min, salary.p25, salary.median, salary.p75, salary.max].map(n => n || 0),
         backgroundColor: '#ecb41f',
         borderWidth: 1,
         borderColor: '#ecb41f'
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Employer profile page (employer.html).
+ * Opened as `employer.html?id=<employerId>` or `employer.html?name=<employer name>`
+ * (the job board only knows names). Shows the employer's details and its
+ * current and past postings; staff also get a form to edit the partner details.
+ */
+
+/**
+ * Columns shown in the postings tables; `href` makes the cell a link.
+ * @type {Array<{label: string, value: function(Object): string, href?: function(Object): string}>}
+ */
+const POSTING_COLUMNS = [
+  { label: "Date", value: (job) => new Date(job.Date).toLocaleDateString("en-US") },
+  { label: "Job Title", value: (job) => job["Job Title"], href: (job) => `/jobs/${job.id}` },
+  { label: "Pathway", value: (job) => job.Pathway },
+  { label: "Language", value: (job) => job.Language.join(", ") },
+  { label: "Location", value: (job) => job.Location || "" },
+];
+
+/**
+ * Readable partner statuses.
+ * @type {Object<string, string>}
+ */
+const PARTNER_STATUS_LABELS = {
+  partner: "Partner",
+  prospect: "Prospect",
+  former: "Former partner",
+  none: "None",
+};
+
+/**
+ * Resolves the employer id from the page URL, looking it up by name if needed.
+ * @returns {Promise<string|null>}
+ */
+async function getEmployerId() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("id")) return params.get("id");
+  if (!params.get("name")) return null;
+
+  const response = await fetch(`/api/employers/lookup?name=${encodeURIComponent(params.get("name"))}`);
+  if (!response.ok) return null;
+  const { employer } = await response.json();
+  return employer.id;
+}
+
+/**
+ * Fills a postings table, or shows a message when there are none.
+ * @param {string} tableId
+ * @param {string} statusId
+ * @param {Object[]} jobs - Jobs from `/api/employers/:id`.
+ * @param {string} emptyMessage
+ */
+function renderPostings(tableId, statusId, jobs, emptyMessage) {
+  const tableEl = document.getElementById(tableId);
+  const statusEl = document.getElementById(statusId);
+  tableEl.innerHTML = "";
+
+  if (!jobs.length) {
+    statusEl.textContent = emptyMessage;
+    tableEl.parentElement.classList.add("no-display");
+    return;
+  }
+  statusEl.classList.add("no-display");
+
+  const headRow = tableEl.createTHead().insertRow();
+  [...POSTING_COLUMNS.map((col) => col.label), "Apply"].forEach((label) => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+
+  const body = tableEl.createTBody();
+  jobs.forEach((job) => {
+    const tr = body.insertRow();
+    POSTING_COLUMNS.forEach((col) => {
+      const cell = tr.insertCell();
+      if (!col.href) {
+        cell.textContent = col.value(job);
+        return;
+      }
+      const link = document.createElement("a");
+      link.href = col.href(job);
+      link.textContent = col.value(job);
+      cell.appendChild(link);
+    });
+    const applyCell = tr.insertCell();
+    const method = job["Deactivate?"] ? null : ApplyMethod.describeApply(job);
+    if (method && method.href) {
+      const link = document.createElement("a");
+      link.href = `/go/${job.id}`; // counts the click, then redirects to the web address or mailto:
+      if (method.type === "url") link.target = "_blank";
+      link.title = method.text;
+      link.textContent = method.label;
+      applyCell.appendChild(link);
+    } else if (method) {
+      applyCell.textContent = method.text;
+      applyCell.classList.add("apply-instructions");
+    }
+  });
+}
+
+/**
+ * Shows the employer's public details, and the edit form for staff
+ * (the API only returns `notes` and `primaryContact` to staff).
+ * @param {Object} employer
+ */
+function renderEmployer(employer) {
+  document.title = `${employer.name} | Employer Profile`;
+  document.getElementById("employerName").textContent = employer.name;
+  document.getElementById("employerIndustry").textContent = employer.industry || "-";
+  document.getElementById("employerStatus").textContent = PARTNER_STATUS_LABELS[employer.partnerStatus] || "-";
+
+  const websiteEl = document.getElementById("employerWebsite");
+  websiteEl.textContent = employer.website ? "" : "-";
+  if (employer.website) {
+    const link = document.createElement("a");
+    link.href = employer.website;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.className = "company-link";
+    link.textContent = employer.website.replace(/^https?:\/\//, "");
+    websiteEl.appendChild(link);
+  }
+
+  if (!("notes" in employer)) return;
+  const form = document.getElementById("employerForm");
+  form.elements.name.value = employer.name;
+  form.elements.website.value = employer.website;
+  form.elements.industry.value = employer.industry;
+  form.elements.partnerStatus.value = employer.partnerStatus;
+  form.elements.contactName.value = employer.primaryContact.name;
+  form.elements.contactEmail.value = employer.primaryContact.email;
+  form.elements.contactPhone.value = employer.primaryContact.phone;
+  form.elements.notes.value = employer.notes;
+  document.getElementById("staffDetails").hidden = false;
+}
+
+/**
+ * Saves the staff edit form.
+ * @param {string} employerId
+ * @param {HTMLFormElement} form
+ * @returns {Promise<void>}
+ */
+async function saveEmployer(employerId, form) {
+  const statusEl = document.getElementById("employerFormStatus");
+  const values = Object.fromEntries(new FormData(form).entries());
+  const body = {
+    name: values.name,
+    website: values.website,
+    industry: values.industry,
+    partnerStatus: values.partnerStatus,
+    primaryContact: { name: values.contactName, email: values.contactEmail, phone: values.contactPhone },
+    notes: values.notes,
+  };
+
+  const response = await fetch(`/api/employers/${employerId}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (response.ok) {
+    statusEl.textContent = "Saved.";
+    renderEmployer(result.employer);
+  } else {
+    statusEl.textContent = result.fields ? Object.values(result.fields).join(" ") : result.error || "Could not save.";
+  }
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  try {
+    const employerId = await getEmployerId();
+    if (!employerId) throw new Error("Employer not found");
+
+    const response = await fetch(`/api/employers/${encodeURIComponent(employerId)}`);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+
+    renderEmployer(result.employer);
+    renderPostings("currentJobs", "currentJobsStatus", result.jobs.current, "No current postings.");
+    renderPostings("pastJobs", "pastJobsStatus", result.jobs.past, "No past postings.");
+
+    document.getElementById("employerForm").addEventListener("submit", (e) => {
+      e.preventDefault();
+      saveEmployer(employerId, e.target);
+    });
+  } catch (error) {
+    console.error("Error loading employer:", error);
+    document.getElementById("employerName").textContent = "Employer not found";
+    document.getElementById("currentJobsStatus").textContent = "";
+    document.getElementById("pastJobsStatus").textContent = "";
+  }
+});
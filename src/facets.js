@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Builds filter dropdowns from `/api/jobs/facets`.
+ * Shared by jobBoard.html, dashboard.html and listings.html so their options
+ * always come from the jobs actually on the board, labelled with live counts
+ * ("JavaScript (14)") and disabled when picking them would match nothing.
+ */
+
+const Facets = {
+  /**
+   * Fetches the facets for the given filters.
+   * @param {URLSearchParams|Object<string, string>} params - Same filters as `/api/jobs`.
+   * @returns {Promise<{total: number, facets: Object<string, Object[]>}>}
+   */
+  async load(params) {
+    const response = await fetch(`/api/jobs/facets?${new URLSearchParams(params)}`);
+    const payload = await response.json();
+    if (!response.ok) {
+      throw new Error(payload.error || `Failed to load filters (${response.status})`);
+    }
+    return payload;
+  },
+
+  /**
+   * Replaces a <select>'s options with the facet's values, keeping the
+   * current selection. The selected option stays enabled even when its count
+   * drops to 0 so it can still be seen and changed.
+   *
+   * @param {HTMLSelectElement} select
+   * @param {Array<{value: string, count: number, label?: string}>} values - One facet from `load`.
+   * @param {Object} [options]
+   * @param {string} [options.allValue=""] - Value of the leading "All" option.
+   * @param {string} [options.allLabel="All"]
+   */
+  fillSelect(select, values, { allValue = "", allLabel = "All" } = {}) {
+    if (!select) return;
+    const selected = select.value;
+
+    select.innerHTML = "";
+    select.appendChild(new Option(allLabel, allValue));
+    values.forEach((facet) => {
+      const option = new Option(`${facet.label || facet.value} (${facet.count})`, facet.value);
+      option.disabled = facet.count === 0 && facet.value !== selected;
+      select.appendChild(option);
+    });
+
+    // A choice that no longer exists falls back to "All"
+    select.value = values.some((facet) => facet.value === selected) ? selected : allValue;
+  },
+
+  /**
+   * Whether an annualized salary falls in a salary facet's band.
+   * @param {number|null} salary - From `Salary.annualSalary`.
+   * @param {{salaryMin?: number, salaryMax?: number}} bucket - A value of the `salary` facet.
+   * @returns {boolean} Always false for undisclosed salaries.
+   */
+  inSalaryBucket(salary, bucket) {
+    if (salary == null) return false;
+    if (bucket.salaryMin != null && salary < bucket.salaryMin) return false;
+    if (bucket.salaryMax != null && salary > bucket.salaryMax) return false;
+    return true;
+  },
+};
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Change history timeline for history.html?id=<jobId>.
+ * Shows each entry from `/api/jobs/:id/history` with who made the change,
+ * where it came from and the before/after value of every changed field.
+ * Any earlier version can be restored with `POST /api/jobs/:id/restore`.
+ */
+
+/**
+ * Readable labels for history sources.
+ * @constant {Object<string, string>}
+ */
+const SOURCE_LABELS = {
+  form: "submission form",
+  staff: "staff",
+  import: "CSV import",
+  expiry: "expiry task",
+  linkCheck: "link checker"
+};
+
+/**
+ * Formats a stored field value for display.
+ * @param {string} field
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === "") return "(empty)";
+  if (Array.isArray(value)) return value.join(", ") || "(empty)";
+  if (field === "Salary Range") return Salary.formatSalary(Salary.normalizeSalary(value));
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleString("en-US");
+  return String(value);
+}
+
+/**
+ * Builds the list item for one history entry.
+ * @param {Object} entry - Entry from `/api/jobs/:id/history`.
+ * @param {boolean} isCurrent - Whether this is the newest entry (the current version).
+ * @param {Function} onRestore - Called with the entry when "Restore" is clicked.
+ * @returns {HTMLLIElement}
+ */
+function renderEntry(entry, isCurrent, onRestore) {
+  const item = document.createElement("li");
+  item.className = "entry";
+
+  const header = document.createElement("div");
+  header.className = "entry-header";
+  const title = document.createElement("span");
+  const action = document.createElement("span");
+  action.className = "entry-action";
+  action.textContent = entry.action;
+  const who = entry.actor ? entry.actor.name || entry.actor.email : "system";
+  title.append(action, ` by ${who} via ${SOURCE_LABELS[entry.source] || entry.source}, ${new Date(entry.at).toLocaleString("en-US")}`);
+  header.append(title);
+
+  if (entry.restorable && !isCurrent) {
+    const restoreBtn = document.createElement("button");
+    restoreBtn.type = "button";
+    restoreBtn.className = "restore-btn";
+    restoreBtn.textContent = "Restore this version";
+    restoreBtn.addEventListener("click", () => onRestore(entry));
+    header.append(restoreBtn);
+  }
+  item.append(header);
+
+  if (entry.changes.length) {
+    const table = document.createElement("table");
+    const head = table.createTHead().insertRow();
+    ["Field", "Before", "After"].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.append(th);
+    });
+    const body = table.createTBody();
+    entry.changes.forEach((change) => {
+      const row = body.insertRow();
+      row.insertCell().textContent = change.field;
+      const before = row.insertCell();
+      before.className = "before";
+      before.textContent = formatValue(change.field, change.before);
+      row.insertCell().textContent = formatValue(change.field, change.after);
+    });
+    item.append(table);
+  }
+
+  return item;
+}
+
+/**
+ * One-line description of the job: "Title @ Employer", or "(deleted)" with the
+ * last known title when it no longer exists.
+ * @param {string} jobId
+ * @param {Object} history - Response from `/api/jobs/:id/history`.
+ * @returns {Promise<string>}
+ */
+async function describeJob(jobId, history) {
+  if (!history.exists) {
+    const deletion = history.entries.find((e) => e.action === "delete");
+    const title = deletion?.changes.find((c) => c.field === "Job Title");
+    return `Deleted job${title ? `: ${title.before}` : ""}`;
+  }
+  const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+  if (!response.ok) return `Job ${jobId}`;
+  const { job } = await response.json();
+  return `${job["Job Title"]} @ ${job.Employer}`;
+}
+
+/**
+ * Loads and renders the timeline for the job in `?id=`.
+ * @returns {Promise<void>}
+ */
+async function loadHistory() {
+  const jobId = new URLSearchParams(window.location.search).get("id");
+  const statusEl = document.getElementById("historyStatus");
+  const timeline = document.getElementById("timeline");
+  if (!jobId) {
+    statusEl.textContent = "No job selected.";
+    return;
+  }
+
+  statusEl.textContent = "Loading...";
+  timeline.replaceChildren();
+
+  try {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/history`);
+    if (response.status === 401) {
+      window.location.href = "/login.html?next=" + encodeURIComponent(window.location.pathname + window.location.search);
+      return;
+    }
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+
+    document.getElementById("jobSummary").textContent = await describeJob(jobId, result);
+
+    statusEl.textContent = result.entries.length ? "" : "No changes recorded yet.";
+    timeline.append(...result.entries.map((entry, i) => renderEntry(entry, i === 0, (e) => restore(jobId, e))));
+    // A deleted job cannot be restored in place
+    if (!result.exists) timeline.querySelectorAll(".restore-btn").forEach((btn) => btn.remove());
+  } catch (error) {
+    console.error("Error loading job history:", error);
+    statusEl.textContent = "Could not load the history for this job.";
+  }
+}
+
+/**
+ * Restores the job to the version saved in a history entry, then reloads the timeline.
+ * @param {string} jobId
+ * @param {Object} entry
+ * @returns {Promise<void>}
+ */
+async function restore(jobId, entry) {
+  if (!confirm(`Restore this job's details to how they were on ${new Date(entry.at).toLocaleString("en-US")}? Its status and dates stay as they are.`)) return;
+
+  const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/restore`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ historyId: entry.id })
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    alert("Could not restore: " + (result.error || "Unknown error"));
+    return;
+  }
+  loadHistory();
+}
+
+document.addEventListener("DOMContentLoaded", loadHistory);
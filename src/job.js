@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Job detail page (job.html), served at `/jobs/<jobId>`.
+ * Shows one posting from `/api/jobs/:id`: its details, how to apply, and the
+ * description, responsibilities, requirements and benefits. Those are written
+ * in Markdown and arrive as HTML the server has already sanitized (`html`).
+ * The page's address is the posting's permalink; "Copy link" copies it.
+ */
+
+/**
+ * The job id from `/jobs/<id>`, or from `?id=` when opened as job.html.
+ * @returns {string|null}
+ */
+function getJobId() {
+  const match = window.location.pathname.match(/^\/jobs\/([^/]+)/);
+  if (match) return decodeURIComponent(match[1]);
+  return new URLSearchParams(window.location.search).get("id");
+}
+
+/**
+ * Link to the employer's profile, by id when the job has one.
+ * @param {Object} job
+ * @returns {string}
+ */
+function employerHref(job) {
+  return job.employerId
+    ? `employer.html?id=${encodeURIComponent(job.employerId)}`
+    : `employer.html?name=${encodeURIComponent(job.Employer)}`;
+}
+
+/**
+ * Fills in "How to apply": a link for web and email addresses (through
+ * `/go/:jobId` so the click is counted), or the written instructions.
+ * @param {Object} job
+ */
+function renderApply(job) {
+  const applyEl = document.getElementById("jobApply");
+  applyEl.replaceChildren();
+  const method = ApplyMethod.describeApply(job);
+  if (!method) return;
+
+  if (!method.href) {
+    const label = document.createElement("strong");
+    label.textContent = "How to apply: ";
+    applyEl.append(label, method.text);
+    applyEl.classList.add("apply-instructions");
+    return;
+  }
+  const link = document.createElement("a");
+  link.className = "filter-btn job-detail-apply-link";
+  link.href = `/go/${job.id}`;
+  if (method.type === "url") link.target = "_blank";
+  link.title = method.text;
+  link.textContent = method.label;
+  applyEl.appendChild(link);
+}
+
+/**
+ * Copies the posting's permalink, e.g. for pasting into Slack.
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+async function copyLink(jobId) {
+  const statusEl = document.getElementById("copyLinkStatus");
+  const url = `${window.location.origin}/jobs/${jobId}`;
+  try {
+    await navigator.clipboard.writeText(url);
+    statusEl.textContent = "Link copied";
+  } catch (error) {
+    // Clipboard access needs https or localhost; show the link to copy by hand
+    statusEl.textContent = url;
+  }
+}
+
+/**
+ * Shows the job.
+ * @param {Object} job - Job from `/api/jobs/:id`.
+ * @param {Object<string, string>} html - Sanitized HTML of its Markdown fields.
+ */
+function renderJob(job, html) {
+  document.title = `${job["Job Title"]} at ${job.Employer} | CODE:You Job Board`;
+  document.getElementById("jobTitle").textContent = job["Job Title"];
+
+  const employerLink = document.createElement("a");
+  employerLink.href = employerHref(job);
+  employerLink.textContent = job.Employer;
+  document.getElementById("jobEmployer").replaceChildren("at ", employerLink);
+
+  document.getElementById("jobLocation").textContent = (job.Location || "").replace(/_/g, " ") || "-";
+  document.getElementById("jobPathway").textContent = job.Pathway || "-";
+  document.getElementById("jobLanguages").textContent = job.Language.join(", ") || "-";
+  document.getElementById("jobSalary").textContent = Salary.formatSalary(job["Salary Range"]);
+  document.getElementById("jobPosted").textContent = new Date(job.Date).toLocaleDateString("en-US");
+  document.getElementById("jobStats").classList.remove("no-display");
+
+  const noticeEl = document.getElementById("jobNotice");
+  if (job.status !== "approved") {
+    // Only staff can open postings that haven't been published
+    noticeEl.textContent = `Not on the job board: this posting is ${job.status === "pending" ? "waiting for review" : "rejected"}.`;
+    noticeEl.hidden = false;
+  } else if (job["Deactivate?"]) {
+    noticeEl.textContent = "This posting is closed and no longer taking applications.";
+    noticeEl.hidden = false;
+  }
+
+  if (!job["Deactivate?"]) renderApply(job);
+  document.getElementById("jobActions").classList.remove("no-display");
+  document.getElementById("copyLinkBtn").addEventListener("click", () => copyLink(job.id));
+
+  document.querySelectorAll(".job-detail-section").forEach((section) => {
+    const content = html[section.dataset.field];
+    // Sanitized by the server (lib/markdown.js)
+    section.querySelector(".job-detail-body").innerHTML = content || "";
+    section.hidden = !content;
+  });
+
+  document.getElementById("jobStatus").classList.add("no-display");
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const statusEl = document.getElementById("jobStatus");
+  const jobId = getJobId();
+  if (!jobId) {
+    statusEl.textContent = "No job was given.";
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+    if (response.status === 404 || response.status === 400) {
+      statusEl.textContent = "This job could not be found. It may have been removed.";
+      return;
+    }
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+    renderJob(result.job, result.html || {});
+  } catch (error) {
+    console.error("Error loading job:", error);
+    statusEl.textContent = "Could not load this job.";
+  }
+});
@@ -1,150 +1,148 @@
+// Jobs matching the current filters, search text and list view, from /api/jobs
 let activeJobs = [];
-let tableHeaders = [];
+// Table columns, in order
+const tableHeaders = ["Date", "Employer", "Job Title", "Pathway", "Language", "Salary Range", "Contact Person", "Location", "Apply"];
 let sortState = { key: null, direction: "asc" };
 let perPage = 10;
 let totalPages = 0;
 let currentPage = 1;
+let searchTimer = null;
+let loadRequestId = 0;
+// Salary bands from /api/jobs/facets, used to apply the Pay Range filter
+let salaryBuckets = [];
+// Jobs the signed-in user is tracking on applications.html
+let appliedJobIds = new Set();
 
 document.addEventListener("DOMContentLoaded", async () => {
-  // const sheetUrl =
-  //   "https://docs.google.com/spreadsheets/d/e/2PACX-1vTjCxhcf73XCjoHZM2NtJ5WCrVEj2gGvH5QrnHnpsuSe1tcP_rfg8CFXbiOnQ64s1gOksAE6QFYknGR/pub?output=csv";
-   const sheetUrl = "/api/sheet";
   const searchInput = document.getElementById("searchInput");
   searchInput.addEventListener("input", () => {
-    refreshView(activeJobs);
+    // Wait until typing pauses before asking the server
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      // New search results come best match first until a column header is clicked
+      sortState = { key: null, direction: "asc" };
+      currentPage = 1;
+      loadJobs();
+      loadFilterOptions();
+    }, 250);
   });
 
-  const pathwayInput = document.getElementById("pathwayFilter");
-  pathwayInput.addEventListener("change", () => {
-    refreshView(activeJobs);
+  ["pathwayFilter", "locationFilter", "payRangeFilter", "skillsFilter", "listView"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => {
+      currentPage = 1;
+      loadJobs();
+      loadFilterOptions();
+    });
   });
 
-  const locationInput = document.getElementById("locationFilter");
-  locationInput.addEventListener("change", () => {
-    refreshView(activeJobs);
+  document.getElementById("alertForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveSearch();
   });
 
-  try {
-    const csvText = await fetchJobData(sheetUrl);
-    const jobData = parseJobData(csvText);
-    const allJobs = createJobs(jobData.tableHeaders, jobData.jobs);
-    activeJobs = getActiveJobs(allJobs);
+  const exportBtn = document.getElementById("exportBtn");
+  exportBtn.addEventListener("click", () => {
+    const format = document.getElementById("exportFormat").value;
+    window.location.href = `/api/jobs/export?${buildExportParams(format)}`;
+  });
 
-    tableHeaders = jobData.tableHeaders;
-    refreshView(activeJobs);
-  } catch (error) {
-    console.error("Error loading sheet:", error);
-  }
+  await JobLists.init();
+  renderAccount();
+  await loadAppliedJobs();
+
+  await loadJobs();
+  loadFilterOptions();
 });
 
-async function fetchJobData(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to load jobs (${response.status})`);
+/**
+ * Loads the jobs matching the current filters, search text and #listView from
+ * the server (see src/jobsApi.js) and redraws the table. Only the newest
+ * request's jobs are shown.
+ * @returns {Promise<void>}
+ */
+async function loadJobs() {
+  const requestId = ++loadRequestId;
+  let failed = false;
+  try {
+    const jobs = await JobsApi.loadAll(addViewParams(buildFilterParams()));
+    if (requestId !== loadRequestId) return;
+    activeJobs = jobs.map(toBoardJob);
+  } catch (error) {
+    if (requestId !== loadRequestId) return;
+    console.error("Error loading jobs:", error);
+    activeJobs = [];
+    failed = true;
   }
-  console.log(response);
-
-  const payload = await response.json();
-  if (!payload?.values?.length) {
-    throw new Error("Job payload missing values array");
+  refreshView(activeJobs);
+  if (failed) {
+    document.querySelector(".job-data-status").textContent = "Could not load jobs. Please refresh the page.";
   }
-  console.log("Fetched job data:", payload.values);
-  return payload.values;
 }
 
-
-
-function parseJobData(values) {
-  const [headers = [], ...rows] = values;
-  const normalizedRows = rows
-    .filter((row) => row.some((cell) => cell && cell.trim() !== ""))
-    .map((row) => replaceUnderscoresInRow(headers.map((_, idx) => row[idx] ?? "")));
-
-  return {
-    tableHeaders: headers,
-    jobs: normalizedRows,
-  };
+/**
+ * Rebuilds the filter dropdowns from `/api/jobs/facets`, with counts for the
+ * filters currently chosen. Options that would match nothing are disabled.
+ * @returns {Promise<void>}
+ */
+async function loadFilterOptions() {
+  try {
+    const { facets } = await Facets.load(buildFilterParams());
+    salaryBuckets = facets.salary;
+    Facets.fillSelect(document.getElementById("pathwayFilter"), facets.pathway);
+    Facets.fillSelect(document.getElementById("locationFilter"), facets.location);
+    Facets.fillSelect(document.getElementById("payRangeFilter"), facets.salary);
+    Facets.fillSelect(document.getElementById("skillsFilter"), facets.languages);
+  } catch (error) {
+    console.error("Error loading filter options:", error);
+  }
+  updateFeedLink();
 }
 
-function createJobs(keys, jobData) {
-  const result = [];
-
-  jobData.forEach((job, rowIndex) => {  // Added rowIndex for logging
-    const parsedJob = {};
-
-    // Hotfix: Skip if row is shorter than expected columns
-    if (job.length < keys.length) {
-      console.warn(`Skipping malformed row ${rowIndex + 2}: Expected ${keys.length} columns, got ${job.length}`, job);  // +2 assumes header + 1-based
-      return;
-    }
-
-    keys.forEach((key, index) => {
-      const cellValue = job[index];  // Raw cell
-      if (cellValue === undefined || cellValue === null) {
-        // Safeguard: Default to empty for missing cells (rare if length check passes)
-        parsedJob[key] = '';
-        console.warn(`Empty cell at row ${rowIndex + 2}, col ${index} (${key})`);
-        return;
-      }
+/**
+ * Saves the current filters as a job alert for the email in #alertEmail,
+ * sent daily or weekly (#alertFrequency) by `/api/saved-searches`.
+ * @returns {Promise<void>}
+ */
+async function saveSearch() {
+  const statusEl = document.getElementById("alertStatus");
+  const body = {
+    email: document.getElementById("alertEmail").value.trim(),
+    frequency: document.getElementById("alertFrequency").value,
+    criteria: Object.fromEntries(buildFilterParams()),
+  };
 
-      const trimmedKey = key.trim();
-      const trimmedCell = String(cellValue).trim();  // Safe trim
-
-      if (trimmedKey.toLowerCase() === "date") {
-        parsedJob[key] = parseDate(trimmedCell);
-      } else if (trimmedKey.toLowerCase() === "deactivate?") {
-        // Convert the deactivate? field to an actual boolean
-        parsedJob[key] = trimmedCell.toLowerCase() !== "false";
-      } else if (trimmedKey.toLowerCase().includes("salary")) {
-        // Parse the salary values to floats
-        const salaryRange = trimmedCell.replace(/[$,]/g, "").split("-");
-        const min = parseFloat(salaryRange[0].trim()) || null;
-        const max = salaryRange.length > 1 ? parseFloat(salaryRange[1].trim()) || null : null;
-
-        parsedJob[key] = { min, max };
-      } else if (trimmedKey.toLowerCase() === "language") {
-        parsedJob[key] = trimmedCell.split(",").map(lang => lang.trim()).filter(lang => lang);
-      } else {
-        parsedJob[key] = trimmedCell;
-      }
+  try {
+    const response = await fetch("/api/saved-searches", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
     });
-
-    // Only add if we parsed at least one field (avoids empty objects)
-    if (Object.keys(parsedJob).length > 0) {
-      result.push(parsedJob);
-    }
-  });
-
-  console.log(`Processed ${result.length} valid jobs from ${jobData.length} input rows`);
-  return result;
-}
-
-function getActiveJobs(allJobs) {
-  return allJobs.filter((job) => !job["Deactivate?"]);
-}
-
-function parseDate(str) {
-  const regex = /^(0[1-9]|1[0-2])\/(0[1-9]|[12][0-9]|3[01])\/(\d{4})$/;
-  const match = str.match(regex);
-  if (!match) return null;
-
-  const [, mm, dd, yyyy] = match;
-  const date = new Date(`${yyyy}-${mm}-${dd}T00:00:00`);
-
-  if (date.getMonth() + 1 !== parseInt(mm) || date.getDate() !== parseInt(dd)) {
-    return null;
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `Failed to save search (${response.status})`);
+    statusEl.textContent = `Saved "${result.label}". Check your inbox and confirm it to start getting emails.`;
+    statusEl.classList.remove("alert-status--error");
+  } catch (error) {
+    console.error("Error saving search:", error);
+    statusEl.textContent = error.message;
+    statusEl.classList.add("alert-status--error");
   }
+  statusEl.hidden = false;
+}
 
-  return date;
+/**
+ * Points the Feed link at `/api/jobs/feed` with the current filters, so
+ * subscribing gives a feed of just the jobs on screen.
+ */
+function updateFeedLink() {
+  const feedLink = document.getElementById("feedLink");
+  if (!feedLink) return;
+  const params = buildFilterParams().toString();
+  feedLink.href = params ? `/api/jobs/feed?${params}` : "/api/jobs/feed";
 }
 
 function refreshView(items) {
-  /**
-   * Filters the list of items based on predefined criteria.
-   * @param {Array} items - The full list of items to filter.
-   * @returns {Array} The filtered list of items.
-   */
-  const filteredItems = applyFilters(items);
+  // The server has already filtered them; sort a copy so the search order is kept
+  const filteredItems = [...items];
 
   /**
    * Sorts the filtered items based on the current sort state.
@@ -169,10 +167,113 @@ function refreshView(items) {
   updateJobStats(filteredItems);
 }
 
-function applyFilters(items) {
-  const criteria = getFilterCriteria();
+/**
+ * Stars or hides a job (or undoes it) and redraws the table.
+ * @param {string} list - "saved" or "hidden".
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+async function toggleJobList(list, jobId) {
+  const toggled = JobLists.toggle(list, jobId);
+  refreshView(activeJobs);
+  updateListViewCounts();
+  try {
+    await toggled;
+  } catch (error) {
+    console.error(`Error updating ${list} jobs:`, error);
+    alert("Could not update your jobs: " + error.message);
+  }
+  updateListViewCounts();
+  // The job may have left the current view (e.g. it was just hidden)
+  await loadJobs();
+}
+
+/**
+ * Shows how many jobs are saved and hidden in the #listView options.
+ */
+function updateListViewCounts() {
+  const select = document.getElementById("listView");
+  select.querySelector('option[value="saved"]').textContent =
+    `My saved jobs (${JobLists.lists.saved.size})`;
+  select.querySelector('option[value="hidden"]').textContent =
+    `Hidden jobs (${JobLists.lists.hidden.size})`;
+}
+
+/**
+ * Loads which jobs the signed-in user has marked as applied.
+ * @returns {Promise<void>}
+ */
+async function loadAppliedJobs() {
+  if (!JobLists.user) return;
+  try {
+    const response = await fetch("/api/applications");
+    const payload = await response.json();
+    if (!response.ok) throw new Error(payload.error || `Failed to load applications (${response.status})`);
+    appliedJobIds = new Set(payload.applications.map((app) => app.job.id));
+  } catch (error) {
+    console.error("Error loading applications:", error);
+  }
+}
 
-  return filterItems(items, criteria);
+/**
+ * Starts tracking a job on the application tracker and redraws the table.
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+async function markApplied(jobId) {
+  try {
+    const response = await fetch("/api/applications", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jobId }),
+    });
+    const payload = await response.json();
+    // 409: already tracked (e.g. from another tab)
+    if (!response.ok && response.status !== 409) {
+      throw new Error(payload.error || `Failed to save (${response.status})`);
+    }
+    appliedJobIds.add(jobId);
+    refreshView(activeJobs);
+  } catch (error) {
+    console.error("Error marking job as applied:", error);
+    alert("Could not mark the job as applied: " + error.message);
+  }
+}
+
+/**
+ * Shows who is signed in in #accountStatus, or links to sign in or register
+ * so saved jobs follow the visitor to other devices.
+ */
+function renderAccount() {
+  const accountEl = document.getElementById("accountStatus");
+  accountEl.innerHTML = "";
+  const next = encodeURIComponent("/jobBoard.html");
+
+  if (JobLists.user) {
+    accountEl.append(`Signed in as ${JobLists.user.name || JobLists.user.email} · `);
+    const applicationsLink = document.createElement("a");
+    applicationsLink.href = "applications.html";
+    applicationsLink.textContent = "My applications";
+    accountEl.append(applicationsLink, " · ");
+    const logout = document.createElement("a");
+    logout.href = "#";
+    logout.textContent = "Log out";
+    logout.addEventListener("click", async (e) => {
+      e.preventDefault();
+      await fetch("/api/auth/logout", { method: "POST" });
+      window.location.reload();
+    });
+    accountEl.appendChild(logout);
+  } else {
+    const login = document.createElement("a");
+    login.href = `login.html?next=${next}`;
+    login.textContent = "Log in";
+    const register = document.createElement("a");
+    register.href = `register.html?next=${next}`;
+    register.textContent = "create an account";
+    accountEl.append(login, " or ", register, " to keep your saved jobs on every device.");
+  }
+  updateListViewCounts();
 }
 
 /**
@@ -184,90 +285,132 @@ function applyFilters(items) {
  *                   - searchTerm: string from #searchInput
  *                   - pathway: string from #pathwayFilter
  *                   - location: string from #locationFilter
+ *                   - skill: string from #skillsFilter
+ *                   - payRange: salary band value from #payRangeFilter
+ *                   - view: "", "saved" or "hidden" from #listView
  * @example
  * const criteria = getFilterCriteria();
- * // criteria = { searchTerm: "engineer", pathway: "Python", location: "Eastern KY" }
+ * // criteria = { searchTerm: "engineer", pathway: "Web", location: "Eastern KY", skill: "Python", payRange: "50000-75000", view: "" }
  */
 function getFilterCriteria() {
   const result = {
     searchTerm: document.getElementById("searchInput").value.trim(),
     pathway: document.getElementById("pathwayFilter").value.trim(),
     location: document.getElementById("locationFilter").value.trim(),
+    skill: document.getElementById("skillsFilter").value.trim(),
+    payRange: document.getElementById("payRangeFilter").value,
+    view: document.getElementById("listView").value,
   };
 
   return result;
 }
 
-function filterItems(items, criteria) {
-  let result = [...items];
+/**
+ * Maps the table's column headers to the `sort` keys understood by `/api/jobs`.
+ * @type {Object<string, string>}
+ */
+const API_SORT_KEYS = {
+  "Date": "date",
+  "Employer": "employer",
+  "Job Title": "title",
+  "Pathway": "pathway",
+  "Language": "language",
+  "Salary Range": "salary",
+  "Contact Person": "contact",
+  "Location": "location",
+};
 
-  if (criteria.searchTerm) {
-    result = getSearchResults(result, criteria.searchTerm);
-  }
+/**
+ * Turns the current filters into `/api/jobs` query parameters.
+ * @returns {URLSearchParams}
+ */
+function buildFilterParams() {
+  const criteria = getFilterCriteria();
+  const params = new URLSearchParams();
 
-  if (criteria.pathway) {
-    result = result.filter(
-      (item) => item["Pathway"].trim() === criteria.pathway
-    );
-  }
+  if (criteria.searchTerm) params.set("q", criteria.searchTerm);
+  if (criteria.pathway) params.set("pathway", criteria.pathway);
+  if (criteria.location) params.set("location", criteria.location);
+  if (criteria.skill) params.set("languages", criteria.skill);
 
-  if (criteria.location) {
-    result = result.filter(
-      (item) => item["Location"].trim() === criteria.location
-    );
-  }
+  const bucket = salaryBuckets.find((b) => b.value === criteria.payRange);
+  if (bucket && bucket.salaryMin != null) params.set("salaryMin", bucket.salaryMin);
+  if (bucket && bucket.salaryMax != null) params.set("salaryMax", bucket.salaryMax);
 
-  return result;
+  return params;
 }
 
 /**
- * Filters a list of job items based on a search term.
- *
- * The function checks if the search term is included in the employer name,
- * job title, or any of the listed languages (case-insensitive).
+ * Adds the #listView choice to `/api/jobs` parameters: the saved or hidden
+ * job ids to show (`ids`), or the hidden ones to leave out (`excludeIds`).
+ * @param {URLSearchParams} params - Modified in place.
+ * @returns {URLSearchParams} The same params.
+ */
+function addViewParams(params) {
+  const view = getFilterCriteria().view;
+  if (view === "saved" || view === "hidden") {
+    params.set("ids", [...JobLists.lists[view]].join(","));
+  } else if (JobLists.lists.hidden.size) {
+    params.set("excludeIds", [...JobLists.lists.hidden].join(","));
+  }
+  return params;
+}
+
+/**
+ * Builds the query string for `/api/jobs/export` from the current filters, list
+ * view and sort, so the download matches what the table shows.
  *
- * @param {Array<Object>} itemsToSearch - The array of job objects to search through.
- * Each object should have the keys: "Employer", "Job Title", and "Language" (an array of strings).
- * @param {string} searchTerm - The lowercase search term to match against job fields.
- * @returns {Array<Object>} A filtered array of job objects that match the search term.
+ * @param {string} format - "csv" or "xlsx".
+ * @returns {string} URL-encoded query string.
+ * @example
+ * buildExportParams("csv");
+ * // "format=csv&q=engineer&pathway=Web&excludeIds=65a1...&sort=salary&dir=desc"
  */
+function buildExportParams(format) {
+  const params = addViewParams(buildFilterParams());
+  params.set("format", format);
 
-function getSearchResults(itemsToSearch, searchTerm) {
-  const result = itemsToSearch.filter((item) => {
-    const employer = item["Employer"].trim().toLowerCase();
-    const jobTitle = item["Job Title"].trim().toLowerCase();
-
-    return (
-      employer.includes(searchTerm) ||
-      jobTitle.includes(searchTerm) ||
-      item["Language"].some((lang) =>
-        lang.trim().toLowerCase().includes(searchTerm)
-      )
-    );
-  });
+  if (sortState.key && API_SORT_KEYS[sortState.key]) {
+    params.set("sort", API_SORT_KEYS[sortState.key]);
+    params.set("dir", sortState.direction);
+  }
 
-  return result;
+  return params.toString();
 }
 
-
+/**
+ * Converts a job from the JSON API into the shape the table shows, keeping
+ * the search `highlights`.
+ * @param {Object} job - Job from `/api/jobs` or `/api/jobs/search`.
+ * @returns {Object}
+ */
+function toBoardJob(job) {
+  return {
+    ...job,
+    Date: new Date(job.Date),
+    Location: (job.Location || "").replace(/_/g, " "),
+    "Contact Person": job["Contact Person"] || "",
+    Apply: job.Apply || "",
+  };
+}
 
 /**
- * Replaces all underscores in the column of a row array with spaces.
- * This function creates a shallow copy of the input row to avoid mutating the original,
- * modifies only the specified index ("Location" column), and returns the updated array.
- * - Used during CSV parsing to clean up underscored text in Location field
- *
- * @param {Array<string>} row - The array representing a parsed CSV row
- * @returns {Array<string>} A new array with underscores replaced
- * @example
- * const inputRow = ['Val1', 'Val2', 'Val3', 'Val4', 'Val5', 'Val6', 'Val7', 'Central_KY', 'Val9'];
- * const output = replaceUnderscoresInRow(inputRow);
- * // output = ['Val1', 'Val2', 'Val3', 'Val4', 'Val5', 'Val6', 'Val7', 'Central KY', 'Val9']
+ * Fills an element with text, wrapping the given ranges in <mark>.
+ * @param {HTMLElement} el - Element to fill (its content is replaced).
+ * @param {string} text
+ * @param {Array<[number, number]>} [ranges] - `[start, end)` offsets from the search API.
  */
-function replaceUnderscoresInRow(row) {
-  const newRow = [...row];
-  newRow[7] = newRow[7].replaceAll("_", " ");
-  return newRow;
+function setHighlightedText(el, text, ranges) {
+  el.textContent = "";
+  let position = 0;
+  (ranges || []).forEach(([start, end]) => {
+    el.append(text.slice(position, start));
+    const mark = document.createElement("mark");
+    mark.textContent = text.slice(start, end);
+    el.appendChild(mark);
+    position = end;
+  });
+  el.append(text.slice(position));
 }
 
 function parseDollar(str) {
@@ -299,7 +442,9 @@ function renderTable(tableItems) {
   const tableWrapper = document.querySelector(".table-wrapper");
 
   if (tableItems.length === 0) {
-    jobDataStatusEl.textContent = "No Jobs Posted in the Last 30 Days";
+    const view = document.getElementById("listView").value;
+    jobDataStatusEl.textContent =
+      view === "saved" ? "No Saved Jobs Yet" : view === "hidden" ? "No Hidden Jobs" : "No Active Jobs Found";
     jobDataStatusEl.classList.remove("no-display");
     tableWrapper.classList.add("no-display");
     return;
@@ -313,6 +458,7 @@ function renderTable(tableItems) {
 
   itemsToDisplay.forEach((item) => {
     const tr = document.createElement("tr");
+    tr.appendChild(renderListButtons(item));
 
     tableHeaders.forEach((header) => {
       const lowerHeader = header.trim().toLowerCase();
@@ -324,34 +470,37 @@ function renderTable(tableItems) {
         td.textContent = item[header].toLocaleString().split(",")[0];
 
       if (lowerHeader.includes("salary")) {
-        const min = item[header].min;
-        const max = item[header].max;
-
-        if (!min) {
-          td.textContent = "Not Provided";
-        } else {
-          td.textContent = `${formatDollar(min)}${
-            max ? ` - ${formatDollar(max)}` : ""
-          }`;
-        }
+        td.textContent = Salary.formatSalary(item[header]);
       }
 
       if (lowerHeader.includes("language")) {
         td.textContent = item[header].join(", ");
       }
 
+      // Mark the words that matched the search
+      const highlights = item.highlights && item.highlights[header];
+      if (highlights) {
+        setHighlightedText(td, td.textContent, highlights);
+      }
+
+      if (lowerHeader === "employer" && item[header]) {
+        td.textContent = "";
+        const employerLink = document.createElement("a");
+        employerLink.href = `employer.html?name=${encodeURIComponent(item[header])}`;
+        setHighlightedText(employerLink, item[header], highlights);
+        td.appendChild(employerLink);
+      }
+
+      if (lowerHeader === "job title" && item.id) {
+        td.textContent = "";
+        const titleLink = document.createElement("a");
+        titleLink.href = `/jobs/${item.id}`;
+        setHighlightedText(titleLink, item[header], highlights);
+        td.appendChild(titleLink);
+      }
+
       if (lowerHeader.includes("apply")) {
-        if (item[header].length > 4) {
-          const firstFiveChars = item[header].substring(0, 5);
-          if (firstFiveChars.includes("http")) {
-            td.textContent = "";
-            const applyLink = document.createElement("a");
-            applyLink.target = "_blank";
-            applyLink.href = item[header];
-            applyLink.textContent = "Apply Now";
-            td.appendChild(applyLink);
-          }
-        }
+        renderApply(td, item);
       }
 
       tr.appendChild(td);
@@ -366,6 +515,80 @@ function renderTable(tableItems) {
   jobDataStatusEl.classList.add("no-display");
 }
 
+/**
+ * Fills a row's Apply cell: "Apply Now" for a web address, "Email to Apply"
+ * for an email address (see src/applyMethod.js), or the written instructions.
+ * @param {HTMLTableCellElement} td
+ * @param {Object} item - Job shown in the row.
+ */
+function renderApply(td, item) {
+  td.textContent = "";
+  const method = ApplyMethod.describeApply(item);
+  if (!method) return;
+  if (!method.href) {
+    td.textContent = method.text;
+    td.classList.add("apply-instructions");
+    return;
+  }
+  const applyLink = document.createElement("a");
+  // Through /go/:jobId so the click is counted
+  applyLink.href = item.id ? `/go/${item.id}` : method.href;
+  if (method.type === "url") applyLink.target = "_blank";
+  applyLink.title = method.text;
+  applyLink.textContent = method.label;
+  td.appendChild(applyLink);
+}
+
+/**
+ * Builds the cell with a row's star (save) and hide buttons, plus "Mark applied"
+ * for signed-in users.
+ * @param {Object} item - Job shown in the row.
+ * @returns {HTMLTableCellElement}
+ */
+function renderListButtons(item) {
+  const td = document.createElement("td");
+  td.classList.add("job-list-actions");
+  if (!item.id) return td;
+
+  const buttons = [
+    { list: "saved", on: "★", off: "☆", label: "Save job", activeLabel: "Unsave job" },
+    { list: "hidden", on: "Unhide", off: "Hide", label: "Hide job", activeLabel: "Unhide job" },
+  ];
+  buttons.forEach(({ list, on, off, label, activeLabel }) => {
+    const active = JobLists.has(list, item.id);
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `job-list-btn job-list-btn--${list}`;
+    button.textContent = active ? on : off;
+    button.title = active ? activeLabel : label;
+    button.setAttribute("aria-label", `${button.title}: ${item["Job Title"]}`);
+    button.setAttribute("aria-pressed", String(active));
+    button.addEventListener("click", () => toggleJobList(list, item.id));
+    td.appendChild(button);
+  });
+
+  // Application tracker (signed-in users only)
+  if (JobLists.user) {
+    if (appliedJobIds.has(item.id)) {
+      const tracked = document.createElement("a");
+      tracked.className = "job-list-btn job-list-btn--applied";
+      tracked.href = "applications.html";
+      tracked.textContent = "Applied ✓";
+      tracked.title = "See it on your application tracker";
+      td.appendChild(tracked);
+    } else {
+      const apply = document.createElement("button");
+      apply.type = "button";
+      apply.className = "job-list-btn";
+      apply.textContent = "Mark applied";
+      apply.setAttribute("aria-label", `Mark applied: ${item["Job Title"]}`);
+      apply.addEventListener("click", () => markApplied(item.id));
+      td.appendChild(apply);
+    }
+  }
+  return td;
+}
+
 /**
  * Creates and adds a table header to an HTML table.
  * @param {HTMLElement} tableEl - The table element to add the header to.
@@ -380,6 +603,11 @@ function renderHeader(tableEl, headers, tableItems) {
   // Define indices of columns that can be sorted
   const sortableColumns = [0, 1, 2, 3, 5, 6, 7];
 
+  // Save/hide buttons column (not one of the headers, so indices are unchanged)
+  const actionsTh = document.createElement("th");
+  actionsTh.innerHTML = '<span class="visually-hidden">Save or hide</span>';
+  tr.appendChild(actionsTh);
+
   // Loop through each header name with its index
   headers.forEach((header, colIndex) => {
     // Skip headers containing "deactivate" (case-insensitive)
@@ -534,7 +762,8 @@ function getPaginationRange(current, total) {
 
 /**
  * Updates the job stats displayed on the dashboard based on a list of job objects.
- * This function modifies DOM elements to show the total job count, salary range (min to max across all jobs),
+ * This function modifies DOM elements to show the total job count, salary range (lowest to highest
+ * annualized salary across all jobs, so hourly pay is compared on the same scale),
  * and a comma-separated list of skill counts (aggregated from languages in each job).
  * - Handles edge cases like no jobs or missing salary data by setting fallback text
  * - Relies on formatDollar() for currency formatting
@@ -559,23 +788,17 @@ function updateJobStats(jobs) {
   jobCountEl.textContent = jobs.length;
 
   // Shows min and max salary
-  // - Calculates the overall minimum and maximum salary across all jobs
-  let minSalary = Infinity;
-  let maxSalary = -Infinity;
-
-  jobs.forEach((job) => {
-    minSalary = Math.min(minSalary, job["Salary Range"].min);
-
-    if (!job["Salary Range"].max) {
-      maxSalary = Math.max(maxSalary, job["Salary Range"].min);
-    } else {
-      maxSalary = maxSalary = Math.max(maxSalary, job["Salary Range"].max);
-    }
-  });
+  // - Calculates the overall minimum and maximum annualized salary, skipping
+  //   jobs that don't disclose one
+  const salaries = jobs
+    .map((job) => Salary.annualSalary(job["Salary Range"]))
+    .filter((salary) => salary != null);
+  const minSalary = Math.min(...salaries);
+  const maxSalary = Math.max(...salaries);
 
   // Sets the pay range text: fallback if no valid salaries, else formatted min-max
   // - Uses formatDollar() to convert numbers to currency strings
-  if (!minSalary && !maxSalary) {
+  if (!salaries.length) {
     payRangeEl.textContent = "No Data Available";
   } else {
     payRangeEl.textContent = `${formatDollar(minSalary)} - ${formatDollar(
@@ -615,7 +838,11 @@ function sortItems(items, sortState) {
     const valB = b[key];
 
     if (key.toLowerCase().includes("salary")) {
-      return (valA.min - valB.min) * (direction === "asc" ? 1 : -1);
+      // Undisclosed salaries always sort last
+      const salaryA = Salary.annualSalary(valA);
+      const salaryB = Salary.annualSalary(valB);
+      if (salaryA == null || salaryB == null) return (salaryA == null) - (salaryB == null);
+      return (salaryA - salaryB) * (direction === "asc" ? 1 : -1);
     } else if (key.toLowerCase().includes("date")) {
       return (valA - valB) * (direction === "asc" ? 1 : -1);
     } else {
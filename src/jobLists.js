@@ -0,0 +1,132 @@
+/**
+ * @fileoverview A visitor's saved (starred) and hidden jobs for the job board.
+ * Signed-in users keep them on their account through `/api/me/lists`, so they
+ * follow them across devices. Anonymous visitors keep them in localStorage,
+ * and those are merged into the account the first time the page loads after
+ * signing in.
+ */
+
+const JobLists = {
+  /** localStorage key for the anonymous lists. */
+  STORAGE_KEY: "cyjb_job_lists",
+
+  /** @type {{id: string, email: string, name: string, role: string}|null} */
+  user: null,
+
+  /** @type {{saved: Set<string>, hidden: Set<string>}} */
+  lists: { saved: new Set(), hidden: new Set() },
+
+  /**
+   * Loads the lists: from the account when signed in (merging in any kept
+   * in this browser first), otherwise from localStorage.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const response = await fetch("/api/auth/me");
+      this.user = response.ok ? (await response.json()).user : null;
+    } catch (error) {
+      console.error("Error checking sign-in:", error);
+      this.user = null;
+    }
+
+    const local = this.readLocal();
+    if (!this.user) {
+      this.setLists(local);
+      return;
+    }
+
+    try {
+      const hasLocal = local.saved.length || local.hidden.length;
+      const response = hasLocal
+        ? await fetch("/api/me/lists/merge", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(local),
+          })
+        : await fetch("/api/me/lists");
+      const payload = await response.json();
+      if (!response.ok) throw new Error(payload.error || `Failed to load your jobs (${response.status})`);
+      this.setLists(payload);
+      if (hasLocal) localStorage.removeItem(this.STORAGE_KEY);
+    } catch (error) {
+      console.error("Error loading your saved jobs:", error);
+      this.setLists(local);
+    }
+  },
+
+  /**
+   * Reads the anonymous lists from localStorage.
+   * @returns {{saved: string[], hidden: string[]}}
+   */
+  readLocal() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+      return {
+        saved: Array.isArray(stored.saved) ? stored.saved : [],
+        hidden: Array.isArray(stored.hidden) ? stored.hidden : [],
+      };
+    } catch (error) {
+      return { saved: [], hidden: [] };
+    }
+  },
+
+  /**
+   * @param {{saved: string[], hidden: string[]}} lists
+   */
+  setLists(lists) {
+    this.lists = { saved: new Set(lists.saved), hidden: new Set(lists.hidden) };
+  },
+
+  /**
+   * @param {string} list - "saved" or "hidden".
+   * @param {string} jobId
+   * @returns {boolean}
+   */
+  has(list, jobId) {
+    return Boolean(jobId) && this.lists[list].has(jobId);
+  },
+
+  /**
+   * Adds a job to a list, or removes it if it is already there. A job is in
+   * at most one list, so saving a hidden job unhides it and the other way round.
+   * Changes show at once and are undone if the server refuses them.
+   *
+   * @param {string} list - "saved" or "hidden".
+   * @param {string} jobId
+   * @returns {Promise<void>}
+   * @throws {Error} When the account could not be updated.
+   */
+  async toggle(list, jobId) {
+    const other = list === "saved" ? "hidden" : "saved";
+    const previous = { saved: [...this.lists.saved], hidden: [...this.lists.hidden] };
+    const adding = !this.lists[list].has(jobId);
+
+    if (adding) {
+      this.lists[list].add(jobId);
+      this.lists[other].delete(jobId);
+    } else {
+      this.lists[list].delete(jobId);
+    }
+
+    if (!this.user) {
+      localStorage.setItem(
+        this.STORAGE_KEY,
+        JSON.stringify({ saved: [...this.lists.saved], hidden: [...this.lists.hidden] })
+      );
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/me/lists/${list}/${encodeURIComponent(jobId)}`, {
+        method: adding ? "PUT" : "DELETE",
+      });
+      const payload = await response.json();
+      if (!response.ok) throw new Error(payload.error || `Failed to update your jobs (${response.status})`);
+      this.setLists(payload);
+    } catch (error) {
+      this.setLists(previous);
+      throw error;
+    }
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Loads jobs from the JSON API for jobBoard.html and
+ * listings.html. The filters themselves are applied on the server
+ * (lib/jobQuery.js), so the pages only send what was picked and show what
+ * comes back.
+ */
+
+const JobsApi = {
+  /** Jobs per request (the most `/api/jobs` returns at once). */
+  PAGE_SIZE: 100,
+
+  /**
+   * Loads every job matching the filters, a page at a time. With `q` the jobs
+   * come from `/api/jobs/search`, best match first and with `highlights`;
+   * otherwise from `/api/jobs`, newest first.
+   *
+   * @param {URLSearchParams} params - Same filters as `/api/jobs`.
+   * @returns {Promise<Object[]>} Jobs as the API returns them.
+   */
+  async loadAll(params) {
+    const endpoint = params.get("q") ? "/api/jobs/search" : "/api/jobs";
+    const jobs = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const query = new URLSearchParams(params);
+      query.set("page", page);
+      query.set("pageSize", this.PAGE_SIZE);
+      const response = await fetch(`${endpoint}?${query}`);
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload.error || `Failed to load jobs (${response.status})`);
+      }
+      jobs.push(...payload.jobs);
+      totalPages = payload.totalPages;
+      page++;
+    } while (page <= totalPages);
+
+    return jobs;
+  },
+};
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Staff report of broken apply links for linkReport.html.
+ * Lists the jobs flagged by the link checker (`/api/jobs/links`). Each link
+ * can be checked again (`POST /api/jobs/:id/check-link`) or its job taken off
+ * the board (`POST /api/jobs/:id/deactivate` with reason "broken_link").
+ */
+
+/** What each link check status means, for the card. */
+const STATUS_LABELS = {
+  ok: "Working",
+  redirected: "Redirects to another site",
+  broken: "Broken",
+  unreachable: "Could not be reached",
+  blocked: "Blocked the checker",
+};
+
+/**
+ * Sends a staff action and returns the parsed response.
+ * Redirects to the login page if the session has expired.
+ * @param {string} url
+ * @param {Object} [body]
+ * @returns {Promise<{ok: boolean, result: Object}>}
+ */
+async function postAction(url, body = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (response.status === 401) {
+    window.location.href = "/login.html?next=" + encodeURIComponent(window.location.pathname);
+  }
+  const result = await response.json().catch(() => ({}));
+  return { ok: response.ok, result };
+}
+
+/**
+ * Describes a check result, e.g. "Broken (HTTP 404), 2 failed checks in a row".
+ * @param {Object} linkCheck - The job's `linkCheck`.
+ * @returns {string}
+ */
+function describeCheck(linkCheck) {
+  let text = STATUS_LABELS[linkCheck.status] || linkCheck.status;
+  if (linkCheck.httpStatus) text += ` (HTTP ${linkCheck.httpStatus})`;
+  else if (linkCheck.error) text += ` (${linkCheck.error})`;
+  if (linkCheck.failures > 1) text += `, ${linkCheck.failures} failed checks in a row`;
+  return text;
+}
+
+/**
+ * Fills in a card's check result, and where the link ends up if that differs.
+ * @param {HTMLElement} card
+ * @param {Object} linkCheck
+ */
+function showCheck(card, linkCheck) {
+  const resultEl = card.querySelector(".result");
+  resultEl.textContent = describeCheck(linkCheck)
+    + ` · checked ${new Date(linkCheck.checkedAt).toLocaleString("en-US")}`;
+  resultEl.classList.toggle("ok", !linkCheck.flagged);
+
+  const finalEl = card.querySelector(".final-url");
+  const moved = linkCheck.finalUrl && linkCheck.finalUrl !== linkCheck.url;
+  finalEl.hidden = !moved;
+  if (moved) {
+    const link = finalEl.querySelector("a");
+    link.href = linkCheck.finalUrl;
+    link.textContent = linkCheck.finalUrl;
+  }
+}
+
+/**
+ * Shows an error on a card.
+ * @param {HTMLElement} card
+ * @param {Object} result - Error response body.
+ */
+function showCardError(card, result) {
+  const errorEl = card.querySelector(".form-error");
+  errorEl.textContent = result.error || "Something went wrong. Please try again.";
+  errorEl.hidden = false;
+}
+
+/**
+ * Marks a card's job as off the board.
+ * @param {HTMLElement} card
+ * @param {Object} job - Job from `/api/jobs/links`.
+ */
+function showInactive(card, job) {
+  card.classList.add("inactive");
+  card.querySelector(".card-title").textContent = `${job.title} at ${job.employer} (deactivated)`;
+  card.querySelector(".deactivate-btn").remove();
+}
+
+/**
+ * Builds the card for one flagged job.
+ * @param {Object} job - Job from `/api/jobs/links`.
+ * @returns {HTMLElement}
+ */
+function renderCard(job) {
+  const card = document.getElementById("linkCardTemplate").content.firstElementChild.cloneNode(true);
+  card.querySelector(".card-title").textContent = `${job.title} at ${job.employer}`;
+
+  const historyLink = document.createElement("a");
+  historyLink.href = `/history.html?id=${job.id}`;
+  historyLink.textContent = "History";
+  card.querySelector(".meta").append(historyLink);
+
+  const applyLink = card.querySelector(".apply a");
+  applyLink.href = job.apply;
+  applyLink.textContent = job.apply;
+  showCheck(card, job.linkCheck);
+  if (!job.active) showInactive(card, job);
+
+  const errorEl = card.querySelector(".form-error");
+  const recheckBtn = card.querySelector(".recheck-btn");
+  recheckBtn.addEventListener("click", async () => {
+    errorEl.hidden = true;
+    recheckBtn.disabled = true;
+    recheckBtn.textContent = "Checking...";
+    const { ok, result } = await postAction(`/api/jobs/${job.id}/check-link`);
+    recheckBtn.disabled = false;
+    recheckBtn.textContent = "Recheck";
+    if (ok) showCheck(card, result.linkCheck);
+    else showCardError(card, result);
+  });
+
+  card.querySelector(".deactivate-btn")?.addEventListener("click", async () => {
+    if (!confirm(`Take ${job.title} at ${job.employer} off the board?`)) return;
+    errorEl.hidden = true;
+    const { ok, result } = await postAction(`/api/jobs/${job.id}/deactivate`, { reason: "broken_link" });
+    if (ok) showInactive(card, job);
+    else showCardError(card, result);
+  });
+
+  return card;
+}
+
+/**
+ * Loads and renders the report.
+ * @returns {Promise<void>}
+ */
+async function loadReport() {
+  const reportEl = document.getElementById("report");
+  const statusEl = document.getElementById("reportStatus");
+  reportEl.replaceChildren();
+  statusEl.textContent = "Loading...";
+
+  try {
+    const response = await fetch("/api/jobs/links");
+    if (response.status === 401) {
+      window.location.href = "/login.html?next=" + encodeURIComponent(window.location.pathname);
+      return;
+    }
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+
+    statusEl.textContent = result.jobs.length ? "" : "No broken apply links.";
+    reportEl.append(...result.jobs.map(renderCard));
+  } catch (error) {
+    console.error("Error loading the link report:", error);
+    statusEl.textContent = "Could not load the link report.";
+  }
+}
+
+document.addEventListener("DOMContentLoaded", loadReport);
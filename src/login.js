@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Login form for login.html, for staff and students.
+ * Posts the credentials to `/api/auth/login`, which sets the session cookie,
+ * then returns the user to the page they were trying to open (`?next=`).
+ */
+
+/**
+ * Returns the same-site path to go to after logging in: `?next=`, otherwise
+ * the job board for students and the submission form for staff.
+ * Only relative paths are honoured so the page cannot be used as an open redirect.
+ * @param {{role: string}} [user] - The signed-in user.
+ * @returns {string}
+ */
+function getNextPath(user) {
+  const next = new URLSearchParams(window.location.search).get("next");
+  if (next && next.startsWith("/") && !next.startsWith("//")) return next;
+  return user && user.role === "student" ? "/jobBoard.html" : "/jobSubmission.html";
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("loginForm");
+  const errorEl = document.getElementById("loginError");
+  // Keep ?next= when switching to the sign-up form
+  document.getElementById("registerLink").search = window.location.search;
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    errorEl.hidden = true;
+
+    const data = Object.fromEntries(new FormData(form).entries());
+
+    try {
+      const response = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(data),
+      });
+
+      const result = await response.json().catch(() => ({}));
+      if (response.ok) {
+        window.location.href = getNextPath(result.user);
+        return;
+      }
+
+      errorEl.textContent = result.error || "Unable to log in.";
+      errorEl.hidden = false;
+    } catch (error) {
+      console.error("Error logging in:", error);
+      errorEl.textContent = "An error occurred while logging in.";
+      errorEl.hidden = false;
+    }
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Staff review queue for moderation.html.
+ * Lists submissions from `/api/jobs/moderation`; each one can be edited in
+ * place and approved (`POST /api/jobs/:id/approve` with the edited fields)
+ * or rejected with a reason (`POST /api/jobs/:id/reject`).
+ */
+
+/**
+ * Turns a stored salary back into text for the form: what was entered if we
+ * have it, otherwise the formatted amount ("$70,000 - $90,000", "$25/hr").
+ * @param {Object} salary - The job's `'Salary Range'`.
+ * @returns {string}
+ */
+function salaryText(salary) {
+  if (salary && salary.text) return salary.text;
+  return Salary.formatSalary(Salary.normalizeSalary(salary));
+}
+
+/**
+ * Maps a job from the API onto the submission form's field names.
+ * @param {Object} job - Job from `/api/jobs/moderation`.
+ * @returns {Object<string, string>}
+ */
+function toFormValues(job) {
+  return {
+    employer: job.Employer || "",
+    jobTitle: job["Job Title"] || "",
+    pathway: job.Pathway || "",
+    language: (job.Language || []).join(", "),
+    salaryRange: salaryText(job["Salary Range"]),
+    contactPerson: job["Contact Person"] || "",
+    location: job.Location || "",
+    applyType: ApplyMethod.applyTypeOf(job) || "url",
+    apply: job.Apply || "",
+    applySubject: job.applySubject || "",
+    description: job.description || "",
+    responsibilities: job.responsibilities || "",
+    requirements: job.requirements || "",
+    benefits: job.benefits || ""
+  };
+}
+
+/**
+ * Sends a moderation action and returns the parsed response.
+ * Redirects to the login page if the session has expired.
+ * @param {string} url
+ * @param {Object} body
+ * @returns {Promise<{ok: boolean, result: Object}>}
+ */
+async function postAction(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  if (response.status === 401) {
+    window.location.href = "/login.html?next=" + encodeURIComponent(window.location.pathname);
+  }
+  const result = await response.json().catch(() => ({}));
+  return { ok: response.ok, result };
+}
+
+/**
+ * Shows an error on a job card, listing per-field validation messages if any.
+ * @param {HTMLFormElement} card
+ * @param {Object} result - Error response body.
+ */
+function showCardError(card, result) {
+  const errorEl = card.querySelector(".form-error");
+  errorEl.textContent = result.fields
+    ? Object.values(result.fields).join(" ")
+    : result.error || "Something went wrong. Please try again.";
+  errorEl.hidden = false;
+}
+
+/**
+ * Builds the card for one job.
+ * @param {Object} job - Job from `/api/jobs/moderation`.
+ * @param {string} status - The queue being shown.
+ * @returns {HTMLFormElement}
+ */
+function renderCard(job, status) {
+  const card = document.getElementById("jobCardTemplate").content.firstElementChild.cloneNode(true);
+  const submitter = job.submittedBy ? job.submittedBy.name || job.submittedBy.email : "unknown";
+  const meta = [`Submitted ${new Date(job.Date).toLocaleDateString("en-US")} by ${submitter}`];
+  if (job.reviewedBy) {
+    meta.push(`${status === "approved" ? "approved" : "rejected"} by ${job.reviewedBy.name || job.reviewedBy.email}`);
+  }
+  const metaEl = card.querySelector(".meta");
+  const historyLink = document.createElement("a");
+  historyLink.href = `/history.html?id=${job.id}`;
+  historyLink.textContent = "History";
+  metaEl.append(meta.join(", ") + " · ", historyLink);
+
+  if (job.rejectionReason) {
+    const rejectionEl = card.querySelector(".rejection");
+    rejectionEl.textContent = `Rejected: ${job.rejectionReason}`;
+    rejectionEl.hidden = false;
+  }
+
+  Object.entries(toFormValues(job)).forEach(([name, value]) => {
+    card.elements[name].value = value;
+    card.elements[name].disabled = status === "approved";
+  });
+
+  // The email subject only applies to email; hidden, it is disabled so it isn't sent
+  const subjectLabel = card.querySelector(".apply-subject");
+  const showSubject = () => {
+    subjectLabel.hidden = card.elements.applyType.value !== "email";
+    card.elements.applySubject.disabled = subjectLabel.hidden || status === "approved";
+  };
+  card.elements.applyType.addEventListener("change", showSubject);
+  showSubject();
+
+  if (status === "approved") card.querySelector(".actions").remove();
+  if (status === "rejected") card.querySelector(".reject-btn").remove();
+
+  card.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const edits = Object.fromEntries(new FormData(card).entries());
+    const { ok, result } = await postAction(`/api/jobs/${job.id}/approve`, edits);
+    if (ok) card.remove();
+    else showCardError(card, result);
+  });
+
+  card.querySelector(".reject-btn")?.addEventListener("click", async () => {
+    const reason = prompt("Why is this job being rejected?");
+    if (!reason || !reason.trim()) return;
+    const { ok, result } = await postAction(`/api/jobs/${job.id}/reject`, { reason });
+    if (ok) card.remove();
+    else showCardError(card, result);
+  });
+
+  return card;
+}
+
+/**
+ * Loads and renders the queue for the selected status.
+ * @returns {Promise<void>}
+ */
+async function loadQueue() {
+  const status = document.getElementById("statusFilter").value;
+  const queueEl = document.getElementById("queue");
+  const statusEl = document.getElementById("queueStatus");
+  queueEl.replaceChildren();
+  statusEl.textContent = "Loading...";
+
+  try {
+    const response = await fetch(`/api/jobs/moderation?status=${status}`);
+    if (response.status === 401) {
+      window.location.href = "/login.html?next=" + encodeURIComponent(window.location.pathname);
+      return;
+    }
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+
+    statusEl.textContent = result.jobs.length ? "" : "Nothing to review.";
+    queueEl.append(...result.jobs.map((job) => renderCard(job, status)));
+  } catch (error) {
+    console.error("Error loading the review queue:", error);
+    statusEl.textContent = "Could not load the review queue.";
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  document.getElementById("statusFilter").addEventListener("change", loadQueue);
+  loadQueue();
+});
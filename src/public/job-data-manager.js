@@ -1,113 +1,18 @@
-// Handles fetching, caching, displaying, and filtering job data
+// Handles fetching and displaying job data. Searching and filtering happen on
+// the server (/api/jobs, see lib/jobQuery.js); this page only sends the choices.
 
 const JobDataManager = {
-    // Config handlers
-    STORAGE_KEY: 'codeyou_job_data',
-    TIMESTAMP_KEY: 'codeyou_job_data_timestamp',
-    // 5 minutes in milliseconds
-    CACHE_DURATION: 5 * 60 * 1000,
     // Number of jobs to display per page
     JOBS_PER_PAGE: 600,
-    // Auto-hide dates that are >= 30 days old
-    AUTO_DEACTIVATE_DAYS: 30,
 
     // Data storage
-    fullData: null,
-    allHeaders: [],
-    allRows: [],
+    allHeaders: ['Date', 'Employer', 'Job Title', 'Pathway', 'Language', 'Salary Range', 'Contact Person', 'Location', 'Apply'],
+    // Rows for the jobs matching the current search and filters
     filteredRows: [],
-
-    // Normalize TRUE/FALSE from the sheet (handles strings, booleans, whitespace)
-    isTrue(val) {
-        if (val === true) return true;
-        if (typeof val === 'string') {
-            const s = val.trim().toLowerCase();
-            return s === 'true' || s === 'yes' || s === '1';
-        }
-        return false;
-    },
-
-    async fetchJobData() {
-        try {
-            const response = await fetch('/api/sheet');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-            console.log('Successfully fetched data from API');
-            console.log(`Total columns: ${data.values ? data.values.length : 0}`);
-            console.log(`Total rows: ${data.values && data.values[0] ? data.values[0].length - 1 : 0}`);
-            return data;
-        } catch (error) {
-            console.error('Error fetching job data from API:', error);
-            return null;
-        }
-    },
-
-    storeJobData(data) {
-        try {
-            sessionStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
-            sessionStorage.setItem(this.TIMESTAMP_KEY, Date.now().toString());
-            console.log('Job data cached successfully');
-        } catch (error) {
-            console.error('Error storing job data in sessionStorage:', error);
-        }
-    },
-
-    getCachedJobData() {
-        try {
-            const timestamp = sessionStorage.getItem(this.TIMESTAMP_KEY);
-            const data = sessionStorage.getItem(this.STORAGE_KEY);
-
-            if (!timestamp || !data) {
-                return null;
-            }
-
-            const age = Date.now() - parseInt(timestamp);
-            if (age > this.CACHE_DURATION) {
-                console.log('Cache expired, will fetch fresh data');
-                this.clearCache();
-                return null;
-            }
-
-            console.log(`Using cached data (${Math.round(age / 1000)} seconds old)`);
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Error retrieving cached data:', error);
-            return null;
-        }
-    },
-
-    clearCache() {
-        sessionStorage.removeItem(this.STORAGE_KEY);
-        sessionStorage.removeItem(this.TIMESTAMP_KEY);
-        console.log('Cache cleared');
-    },
-
-    extractHeadersAndData(data) {
-        const values = data.values || [];
-        const majorDimension = (data.majorDimension || 'ROWS').toUpperCase();
-
-        if (majorDimension === 'COLUMNS') {
-            const headers = values.map(col => col[0] || '');
-            const maxLength = Math.max(...values.map(col => col.length - 1));
-            const rows = [];
-
-            for (let i = 1; i <= maxLength; i++) {
-                const row = [];
-                for (let j = 0; j < values.length; j++) {
-                    row.push(values[j][i] || '');
-                }
-                rows.push(row);
-            }
-
-            return { headers, rows };
-        } else {
-            const headers = values[0] || [];
-            const rows = values.slice(1);
-            return { headers, rows };
-        }
-    },
+    searchTimer: null,
+    loadRequestId: 0,
+    // Salary bands from /api/jobs/facets, used to build the Pay Range filter
+    salaryBuckets: [],
 
     parseUSDate(dateStr) {
         if (!dateStr) return null;
@@ -128,32 +33,21 @@ const JobDataManager = {
     },
 
     async initHomePage() {
-        console.log('Homepage: Preloading job data in background...');
-        const cachedData = this.getCachedJobData();
-        if (cachedData) {
-            console.log('Valid cache found, skipping fetch');
-            this.updateHomepageBadge(cachedData);
-            return;
-        }
-        const data = await this.fetchJobData();
-        if (data) {
-            this.storeJobData(data);
-            this.updateHomepageBadge(data);
+        try {
+            // Only the total is needed
+            const response = await fetch('/api/jobs?pageSize=1');
+            const payload = await response.json();
+            if (!response.ok) {
+                throw new Error(payload.error || `HTTP error! status: ${response.status}`);
+            }
+            this.updateHomepageBadge(payload.total);
+        } catch (error) {
+            console.error('Error fetching job count from API:', error);
         }
     },
 
-    updateHomepageBadge(data) {
+    updateHomepageBadge(jobCount) {
         try {
-            const processedData = this.extractHeadersAndData(data);
-            const deactivateIndex = processedData.headers.indexOf('Deactivate?');
-
-            let activeJobs = processedData.rows;
-            if (deactivateIndex !== -1) {
-                activeJobs = activeJobs.filter(row => !this.isTrue(row[deactivateIndex]));
-            }
-
-            const jobCount = activeJobs.length;
-
             const jobLink = document.querySelector('a[href="/listings.html"]');
             if (jobLink && jobCount >= 0) {
                 const existingBadge = jobLink.querySelector('.job-count-badge');
@@ -171,39 +65,27 @@ const JobDataManager = {
     async initListingsPage() {
         console.log('Listings page: Loading job data...');
         this.showLoadingState();
-        let data = this.getCachedJobData();
-        if (!data) {
-            console.log('No cached data found, fetching fresh data...');
-            data = await this.fetchJobData();
-            if (data) {
-                this.storeJobData(data);
-            }
-        }
-        if (data) {
-            this.processAndDisplayData(data);
-        } else {
-            this.showErrorMessage();
-        }
+        this.setupFiltersAndSearch();
+        await this.loadJobs();
     },
 
-    processAndDisplayData(data) {
-        this.fullData = data;
-        const processedData = this.extractHeadersAndData(data);
-        this.allHeaders = processedData.headers;
-        this.allRows = processedData.rows;
-
-        // Filter out deactivated jobs based on sheet
-        const deactivateIndex = this.allHeaders.indexOf('Deactivate?');
-        if (deactivateIndex !== -1) {
-            this.allRows = this.allRows.filter(row => !this.isTrue(row[deactivateIndex]));
-            console.log(`Filtered out deactivated jobs. Active jobs: ${this.allRows.length}`);
+    // Loads the jobs matching the current search and filters (best match first
+    // while searching) and shows them. Only the newest request's jobs are shown.
+    async loadJobs() {
+        const requestId = ++this.loadRequestId;
+        try {
+            const jobs = await JobsApi.loadAll(this.buildFilterParams());
+            if (requestId !== this.loadRequestId) return;
+            this.filteredRows = jobs.map(job => this.jobToRow(job));
+        } catch (error) {
+            if (requestId !== this.loadRequestId) return;
+            console.error('Error fetching job data from API:', error);
+            this.showErrorMessage();
+            return;
         }
-
-        this.filteredRows = [...this.allRows];
-
         this.displayJobListings();
         this.updateStatistics();
-        this.setupFiltersAndSearch();
+        console.log(`Showing ${this.filteredRows.length} jobs.`);
     },
 
     displayJobListings() {
@@ -235,6 +117,10 @@ const JobDataManager = {
                     const td = document.createElement('td');
                     const cellValue = row[index] || '';
                     this.formatTableCell(td, header, cellValue);
+                    // Rows from the search API say which words matched
+                    if (row.highlights && row.highlights[header]) {
+                        this.setHighlightedText(td.querySelector('a') || td, cellValue, row.highlights[header]);
+                    }
                     tr.appendChild(td);
                 }
             });
@@ -263,7 +149,7 @@ const JobDataManager = {
                 break;
             case 'Salary Range':
                 td.className = 'salary';
-                td.textContent = value;
+                td.textContent = Salary.formatSalary(Salary.parseSalary(value));
                 break;
             case 'Location':
                 td.className = 'location';
@@ -283,6 +169,20 @@ const JobDataManager = {
         }
     },
 
+    // Fills an element with text, wrapping the [start, end) ranges in <mark>
+    setHighlightedText(el, text, ranges) {
+        el.textContent = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            el.append(text.slice(position, start));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            el.appendChild(mark);
+            position = end;
+        });
+        el.append(text.slice(position));
+    },
+
     getPathwayClass(pathway) {
         const pathwayLower = pathway.toLowerCase();
         if (pathwayLower.includes('web')) return 'pathway-web';
@@ -300,11 +200,9 @@ const JobDataManager = {
 
         const salaryIndex = this.allHeaders.indexOf('Salary Range');
         if (salaryIndex !== -1) {
-            const salaries = this.filteredRows.map(row => {
-                const salaryStr = row[salaryIndex] || '';
-                const match = salaryStr.match(/[\d,]+\.?\d*/);
-                return match ? parseFloat(match[0].replace(/,/g, '')) : 0;
-            }).filter(sal => sal > 0);
+            const salaries = this.filteredRows
+                .map(row => Salary.annualSalary(Salary.parseSalary(row[salaryIndex])))
+                .filter(sal => sal > 0);
 
             if (salaries.length > 0) {
                 const minSalary = Math.min(...salaries);
@@ -346,83 +244,79 @@ const JobDataManager = {
         const skillsFilter = document.getElementById('skillsFilter');
 
         if (searchInput) {
-            searchInput.addEventListener('input', () => this.applyFilters());
+            // Wait until typing pauses before asking the server
+            searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => {
+                    this.loadJobs();
+                    this.loadFilterOptions();
+                }, 250);
+            });
         }
 
         [pathwayFilter, locationFilter, payRangeFilter, skillsFilter].forEach(filter => {
             if (filter) {
-                filter.addEventListener('change', () => this.applyFilters());
+                filter.addEventListener('change', () => {
+                    this.loadJobs();
+                    this.loadFilterOptions();
+                });
             }
         });
-    },
 
-    applyFilters() {
-        const searchInput = document.getElementById('searchInput');
-        const pathwayFilter = document.getElementById('pathwayFilter');
-        const locationFilter = document.getElementById('locationFilter');
-        const payRangeFilter = document.getElementById('payRangeFilter');
-        const skillsFilter = document.getElementById('skillsFilter');
-
-        this.filteredRows = [...this.allRows];
-
-        if (searchInput && searchInput.value.trim()) {
-            const searchTerm = searchInput.value.toLowerCase();
-            this.filteredRows = this.filteredRows.filter(row => {
-                return row.some(cell =>
-                    cell.toString().toLowerCase().includes(searchTerm)
-                );
-            });
-        }
-
-        if (pathwayFilter && pathwayFilter.value) {
-            const pathwayIndex = this.allHeaders.indexOf('Pathway');
-            if (pathwayIndex !== -1) {
-                this.filteredRows = this.filteredRows.filter(row =>
-                    row[pathwayIndex].toLowerCase().includes(pathwayFilter.value.toLowerCase())
-                );
-            }
-        }
+        this.loadFilterOptions();
+    },
 
-        if (locationFilter && locationFilter.value) {
-            const locationIndex = this.allHeaders.indexOf('Location');
-            if (locationIndex !== -1) {
-                this.filteredRows = this.filteredRows.filter(row =>
-                    row[locationIndex].toLowerCase().includes(locationFilter.value.toLowerCase())
-                );
-            }
+    // Rebuilds the filter dropdowns from /api/jobs/facets with counts for the
+    // filters currently chosen; options that would match nothing are disabled
+    async loadFilterOptions() {
+        try {
+            const { facets } = await Facets.load(this.buildFilterParams());
+            this.salaryBuckets = facets.salary;
+            Facets.fillSelect(document.getElementById('pathwayFilter'), facets.pathway);
+            Facets.fillSelect(document.getElementById('locationFilter'), facets.location);
+            Facets.fillSelect(document.getElementById('payRangeFilter'), facets.salary);
+            Facets.fillSelect(document.getElementById('skillsFilter'), facets.languages);
+        } catch (error) {
+            console.error('Error loading filter options:', error);
         }
+    },
 
-        if (skillsFilter && skillsFilter.value) {
-            const languageIndex = this.allHeaders.indexOf('Language');
-            if (languageIndex !== -1) {
-                this.filteredRows = this.filteredRows.filter(row =>
-                    row[languageIndex].toLowerCase().includes(skillsFilter.value.toLowerCase())
-                );
-            }
-        }
+    // The current search and filters as /api/jobs query parameters
+    buildFilterParams() {
+        const value = id => {
+            const el = document.getElementById(id);
+            return el ? el.value.trim() : '';
+        };
+        const params = new URLSearchParams();
+        if (value('searchInput')) params.set('q', value('searchInput'));
+        if (value('pathwayFilter')) params.set('pathway', value('pathwayFilter'));
+        if (value('locationFilter')) params.set('location', value('locationFilter'));
+        if (value('skillsFilter')) params.set('languages', value('skillsFilter'));
+
+        const bucket = this.salaryBuckets.find(b => b.value === value('payRangeFilter'));
+        if (bucket && bucket.salaryMin != null) params.set('salaryMin', bucket.salaryMin);
+        if (bucket && bucket.salaryMax != null) params.set('salaryMax', bucket.salaryMax);
+        return params;
+    },
 
-        if (payRangeFilter && payRangeFilter.value) {
-            const salaryIndex = this.allHeaders.indexOf('Salary Range');
-            if (salaryIndex !== -1) {
-                const [min, max] = payRangeFilter.value.split('-').map(v => parseInt(v) || 0);
-                this.filteredRows = this.filteredRows.filter(row => {
-                    const salaryStr = row[salaryIndex] || '';
-                    const match = salaryStr.match(/[\d,]+\.?\d*/);
-                    const salary = match ? parseFloat(match[0].replace(/,/g, '')) : 0;
-
-                    if (payRangeFilter.value.includes('+')) {
-                        return salary >= min;
-                    } else if (max) {
-                        return salary >= min && salary <= max;
-                    }
-                    return true;
-                });
+    // Converts a job from the JSON API into a row in the `allHeaders` column order
+    jobToRow(job) {
+        const row = this.allHeaders.map(header => {
+            switch (header) {
+                case 'Date':
+                    return new Date(job.Date).toLocaleDateString('en-US');
+                case 'Language':
+                    return (job.Language || []).join(', ');
+                case 'Salary Range':
+                    return Salary.formatSalary(job['Salary Range']);
+                case 'Deactivate?':
+                    return job['Deactivate?'] ? 'TRUE' : 'FALSE';
+                default:
+                    return job[header] == null ? '' : String(job[header]);
             }
-        }
-
-        this.displayJobListings();
-        this.updateStatistics();
-        console.log(`Filters applied. Showing ${this.filteredRows.length} jobs.`);
+        });
+        row.highlights = job.highlights;
+        return row;
     },
 
     showLoadingState() {
@@ -459,8 +353,8 @@ const JobDataManager = {
 
     async refreshData() {
         console.log('Manually refreshing job data...');
-        this.clearCache();
-        await this.initListingsPage();
+        this.showLoadingState();
+        await this.loadJobs();
     }
 };
 
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Student sign-up form for register.html.
+ * Posts the new account to `/api/auth/register`, which signs the student in,
+ * then returns them to the page they came from (`?next=`) or the job board.
+ */
+
+/**
+ * Returns the same-site path to go to after signing up.
+ * Only relative paths are honoured so the page cannot be used as an open redirect.
+ * @returns {string}
+ */
+function getNextPath() {
+  const next = new URLSearchParams(window.location.search).get("next");
+  if (next && next.startsWith("/") && !next.startsWith("//")) return next;
+  return "/jobBoard.html";
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("registerForm");
+  const errorEl = document.getElementById("registerError");
+  // Keep ?next= when switching to the login form
+  document.getElementById("loginLink").search = window.location.search;
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    errorEl.hidden = true;
+
+    const data = Object.fromEntries(new FormData(form).entries());
+
+    try {
+      const response = await fetch("/api/auth/register", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(data),
+      });
+
+      if (response.ok) {
+        window.location.href = getNextPath();
+        return;
+      }
+
+      const result = await response.json().catch(() => ({}));
+      errorEl.textContent = result.error || "Unable to create your account.";
+      errorEl.hidden = false;
+    } catch (error) {
+      console.error("Error creating account:", error);
+      errorEl.textContent = "An error occurred while creating your account.";
+      errorEl.hidden = false;
+    }
+  });
+});
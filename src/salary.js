@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Salary parsing and formatting shared by the server and the pages.
+ *
+ * Understands the ways salaries are actually written on the sheet and the
+ * submission form:
+ *   "$70,000 - $90,000", "80k-95k", "$25/hr", "$22 - $28 an hour",
+ *   "up to $60,000", "$50,000+", "CAD 65,000", "DOE", "Not provided",
+ *   "$40,000/year plus 401k" (extras after the pay are ignored)
+ *
+ * and turns them into a structured value:
+ *   { text, disclosed, period, currency, min, max, avg, annualized }
+ * where `min`/`max`/`avg` are in the stated pay period and `annualized` is
+ * `avg` converted to a yearly figure (hourly x 2080), which is what charts,
+ * filters and sorting should use.
+ *
+ * Loaded with a <script> tag in the browser (as `window.Salary`) and with
+ * `require('../src/salary')` on the server.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Salary = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  /**
+   * Paid hours in a working year, used to annualize hourly pay.
+   * @type {number}
+   */
+  const HOURS_PER_YEAR = 2080;
+
+  /**
+   * Pay periods a salary can be stated in.
+   * @type {string[]}
+   */
+  const PAY_PERIODS = ["hourly", "annual"];
+
+  /**
+   * Without an explicit period, amounts below this are taken as hourly.
+   * @type {number}
+   */
+  const HOURLY_THRESHOLD = 500;
+
+  /**
+   * Wording that means the employer did not give a salary.
+   * @type {RegExp}
+   */
+  const NOT_DISCLOSED = /^(?:|-+|n\/?a|none|tbd|tba|doe|d\.o\.e\.?|not (?:provided|disclosed|listed|given|specified)|undisclosed|negotiable|competitive|depends on experience|commensurate with experience)$/i;
+
+  /**
+   * Currency symbols and codes that may appear in a salary.
+   * @type {Array<[RegExp, string]>}
+   */
+  const CURRENCIES = [
+    [/\bcad\b|c\$|ca\$/i, "CAD"],
+    [/\beur\b|€/i, "EUR"],
+    [/\bgbp\b|£/i, "GBP"],
+    [/\busd\b|us\$|\$/i, "USD"],
+  ];
+
+  /**
+   * Retirement plans ("401k", "403(b)"), whose numbers are not pay.
+   * @type {RegExp}
+   */
+  const RETIREMENT_PLANS = /(?<![$\d.,])\b(?:401|403|457)\s*\(?[kb]\)?/g;
+
+  /**
+   * Words that start a list of extras ("plus 401k", "+ $5k bonus") after the pay itself.
+   * @type {RegExp}
+   */
+  const EXTRAS = /\b(?:plus|bonus(?:es)?|benefits?|equity|stock|commissions?)\b|\+\s*(?=[a-z$\d])/;
+
+  /** @type {Object<string, string>} */
+  const CURRENCY_SYMBOLS = { USD: "$", CAD: "CA$", EUR: "€", GBP: "£" };
+
+  /**
+   * Detects the pay period from wording like "/hr", "per hour", "a year".
+   * @param {string} text - Lowercased salary text.
+   * @returns {string|null}
+   */
+  function detectPeriod(text) {
+    if (/\/\s*h(?:ou)?r|\bper\s+h(?:ou)?r|\ban?\s+h(?:ou)?r|\bhourly\b|\bhr\b/.test(text)) return "hourly";
+    if (/\/\s*y(?:ea)?r|\bper\s+(?:year|annum)|\ba\s+year\b|\bannual(?:ly)?\b|\byearly\b|\bp\.?a\.?\b|\bsalary\b/.test(text)) return "annual";
+    return null;
+  }
+
+  /**
+   * The part of a salary that states the pay: retirement plans and anything
+   * from `EXTRAS` on are left out, so "$40,000/year plus 401k" is "$40,000/year ".
+   * @param {string} text - Lowercased salary text.
+   * @returns {string}
+   */
+  function payText(text) {
+    return text.split(EXTRAS)[0].replace(RETIREMENT_PLANS, " ");
+  }
+
+  /**
+   * Reads the amounts in a salary, expanding "k" (thousands).
+   * "80-95k" is read as 80,000 - 95,000. Only the pay itself counts (see `payText`).
+   * @param {string} text - Lowercased salary text.
+   * @returns {number[]}
+   */
+  function readAmounts(text) {
+    const matches = [...payText(text).matchAll(/(\d[\d,]*(?:\.\d+)?)\s*(k\b)?/g)];
+    const amounts = matches.map((m) => ({
+      value: parseFloat(m[1].replace(/,/g, "")),
+      thousands: Boolean(m[2]),
+    }));
+    const anyThousands = amounts.some((a) => a.thousands);
+    return amounts
+      .filter((a) => !Number.isNaN(a.value))
+      .map((a) => (a.thousands || (anyThousands && a.value < 1000) ? a.value * 1000 : a.value));
+  }
+
+  /**
+   * Rounds to cents.
+   * @param {number|null} n
+   * @returns {number|null}
+   */
+  function round(n) {
+    return n == null ? null : Math.round(n * 100) / 100;
+  }
+
+  /**
+   * Parses salary text into a structured salary.
+   *
+   * @param {string} input - Salary as written, e.g. "$25/hr" or "80k-95k".
+   * @returns {{text: string, disclosed: boolean, period: string|null, currency: string|null,
+   *   min: number|null, max: number|null, avg: number|null, annualized: number|null}|null}
+   *   The salary, or `null` when the text has no amounts and is not a known
+   *   "not disclosed" phrase (i.e. it could not be understood).
+   * @example
+   * parseSalary("$25/hr");
+   * // { text: "$25/hr", disclosed: true, period: "hourly", currency: "USD",
+   * //   min: 25, max: 25, avg: 25, annualized: 52000 }
+   */
+  function parseSalary(input) {
+    const text = String(input == null ? "" : input).trim();
+    const lower = text.toLowerCase();
+
+    if (NOT_DISCLOSED.test(lower.replace(/[.!]+$/, ""))) {
+      return notDisclosed(text);
+    }
+
+    const amounts = readAmounts(lower).slice(0, 2);
+    if (!amounts.length) return null;
+
+    let min = null;
+    let max = null;
+    if (amounts.length === 2) {
+      [min, max] = amounts[0] <= amounts[1] ? amounts : [amounts[1], amounts[0]];
+    } else if (/\b(?:up\s+to|max(?:imum)?|under|less\s+than)\b/.test(lower)) {
+      max = amounts[0];
+    } else if (/\+|\b(?:from|starting|at\s+least|min(?:imum)?)\b/.test(payText(lower))) {
+      min = amounts[0];
+    } else {
+      min = max = amounts[0];
+    }
+
+    const avg = min != null && max != null ? (min + max) / 2 : min != null ? min : max;
+    const period = detectPeriod(lower) || (avg < HOURLY_THRESHOLD ? "hourly" : "annual");
+    const currency = (CURRENCIES.find(([pattern]) => pattern.test(lower)) || [null, "USD"])[1];
+
+    return {
+      text,
+      disclosed: true,
+      period,
+      currency,
+      min: round(min),
+      max: round(max),
+      avg: round(avg),
+      annualized: Math.round(period === "hourly" ? avg * HOURS_PER_YEAR : avg),
+    };
+  }
+
+  /**
+   * A salary the employer did not disclose.
+   * @param {string} [text=""] - What was written, e.g. "DOE".
+   * @returns {Object}
+   */
+  function notDisclosed(text) {
+    return {
+      text: text || "",
+      disclosed: false,
+      period: null,
+      currency: null,
+      min: null,
+      max: null,
+      avg: null,
+      annualized: null,
+    };
+  }
+
+  /**
+   * Formats a structured salary for display: "$70,000 - $90,000",
+   * "$25/hr", "Up to $60,000", "$50,000+", or "Not Disclosed".
+   * Salaries saved before pay periods existed (just min/max) are shown as annual.
+   *
+   * @param {Object|null} salary - Structured salary (or the older `{ min, max, avg }`).
+   * @returns {string}
+   */
+  function formatSalary(salary) {
+    if (!salary || salary.disclosed === false || (salary.min == null && salary.max == null)) {
+      return "Not Disclosed";
+    }
+    const symbol = CURRENCY_SYMBOLS[salary.currency] || "$";
+    const hourly = salary.period === "hourly";
+    const fmt = (n) =>
+      symbol + Number(n).toLocaleString("en-US", { maximumFractionDigits: hourly ? 2 : 0 });
+    const suffix = hourly ? "/hr" : "";
+
+    if (salary.min != null && salary.max != null && salary.max !== salary.min) {
+      return `${fmt(salary.min)} - ${fmt(salary.max)}${suffix}`;
+    }
+    if (salary.min == null) return `Up to ${fmt(salary.max)}${suffix}`;
+    if (salary.max == null) return `${fmt(salary.min)}+${suffix}`;
+    return `${fmt(salary.min)}${suffix}`;
+  }
+
+  /**
+   * Fills in the structured fields for salaries saved before they existed,
+   * which only have min/max/avg (always an annual USD amount or range, with
+   * `max` left empty for a single amount).
+   * @param {Object} [salary] - A job's stored `'Salary Range'`.
+   * @returns {Object} `{ min, max, avg, period, currency, disclosed, annualized, text }`
+   */
+  function normalizeSalary(salary) {
+    const stored = salary || {};
+    const legacy = !stored.period && stored.disclosed == null;
+    const min = stored.min != null ? stored.min : null;
+    const max = stored.max != null ? stored.max : legacy ? min : null;
+    const disclosed = stored.disclosed != null ? stored.disclosed : min != null || max != null;
+    const avg = stored.avg != null ? stored.avg : null;
+    return {
+      min,
+      max,
+      avg,
+      period: stored.period || (disclosed ? "annual" : null),
+      currency: stored.currency || (disclosed ? "USD" : null),
+      disclosed,
+      annualized: stored.annualized != null ? stored.annualized : disclosed ? avg : null,
+      text: stored.text || "",
+    };
+  }
+
+  /**
+   * The yearly figure to use for charts and filters. Falls back to `avg` for
+   * salaries saved before `annualized` existed.
+   * @param {Object|null} salary
+   * @returns {number|null}
+   */
+  function annualSalary(salary) {
+    if (!salary || salary.disclosed === false) return null;
+    if (salary.annualized != null) return salary.annualized;
+    return salary.avg != null ? salary.avg : null;
+  }
+
+  return {
+    HOURS_PER_YEAR,
+    PAY_PERIODS,
+    readAmounts,
+    parseSalary,
+    notDisclosed,
+    normalizeSalary,
+    formatSalary,
+    annualSalary,
+  };
+});
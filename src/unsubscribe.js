@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Unsubscribe page for job alert emails (unsubscribe.html).
+ * The email links here with `?token=`; the page shows which alert that is
+ * and removes it only when the button is pressed, so link scanners that open
+ * every URL in an email can't unsubscribe anyone.
+ */
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const form = document.getElementById("unsubscribeForm");
+  const detailsEl = document.getElementById("unsubscribeDetails");
+  const errorEl = document.getElementById("unsubscribeError");
+  const button = document.getElementById("unsubscribeBtn");
+  const token = new URLSearchParams(window.location.search).get("token");
+  const url = `/api/saved-searches/unsubscribe/${encodeURIComponent(token || "")}`;
+
+  /**
+   * Shows a message in place of the alert details.
+   * @param {string} message
+   */
+  function showError(message) {
+    detailsEl.hidden = true;
+    button.hidden = true;
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+  }
+
+  if (!token) {
+    showError("This unsubscribe link is incomplete. Use the link from your email.");
+    return;
+  }
+
+  try {
+    const response = await fetch(url);
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      showError(result.error || "Unable to find this job alert.");
+      return;
+    }
+    detailsEl.textContent = `Stop the ${result.frequency} emails to ${result.email} about "${result.label}"?`;
+    button.hidden = false;
+  } catch (error) {
+    console.error("Error loading job alert:", error);
+    showError("An error occurred while loading this job alert.");
+    return;
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    button.disabled = true;
+
+    try {
+      const response = await fetch(url, { method: "POST" });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        showError(result.error || "Unable to unsubscribe.");
+        return;
+      }
+      detailsEl.textContent = `You're unsubscribed from "${result.label}". You won't get any more emails about it.`;
+      button.hidden = true;
+    } catch (error) {
+      console.error("Error unsubscribing:", error);
+      errorEl.textContent = "An error occurred while unsubscribing. Please try again.";
+      errorEl.hidden = false;
+      button.disabled = false;
+    }
+  });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeEmployer, normalizeApply, titleSimilarity, matchDuplicates } = require('../lib/jobDuplicates');
+
+const POSTED = new Date('2025-05-01');
+
+/** Jobs already on the board. */
+const EXISTING = [
+  {
+    _id: 'acme',
+    Date: POSTED,
+    Employer: 'Acme Inc',
+    'Job Title': 'Senior Developer',
+    Location: 'Central_KY',
+    Apply: 'https://acme.com/jobs/1'
+  },
+  {
+    _id: 'beta',
+    Date: POSTED,
+    Employer: 'Beta',
+    'Job Title': 'Data Analyst',
+    Apply: 'jobs@beta.com'
+  }
+];
+
+test('normalizeEmployer drops punctuation and company suffixes', () => {
+  assert.equal(normalizeEmployer('Acme, Inc.'), 'acme');
+  assert.equal(normalizeEmployer('ACME inc'), 'acme');
+});
+
+test('normalizeApply ignores scheme, www, trailing slashes, fragments and utm parameters', () => {
+  assert.equal(normalizeApply('https://www.Acme.com/jobs/1/?utm_source=slack#apply'), 'acme.com/jobs/1');
+  assert.equal(normalizeApply('http://acme.com/jobs/1'), 'acme.com/jobs/1');
+  // Applicant tracking systems tell postings apart by the query string
+  assert.notEqual(normalizeApply('https://ats.com/job?id=1'), normalizeApply('https://ats.com/job?id=2'));
+  assert.equal(normalizeApply('mailto:Jobs@Acme.com'), 'jobs@acme.com');
+  assert.equal(normalizeApply(''), '');
+});
+
+test('titleSimilarity expands common abbreviations', () => {
+  assert.equal(titleSimilarity('Sr. Software Dev', 'Senior Software Developer'), 1);
+  assert.equal(titleSimilarity('Developer II', 'Developer 2'), 1);
+  assert.equal(titleSimilarity('Data Analyst', 'Web Developer'), 0);
+  assert.equal(titleSimilarity('', 'Developer'), 0);
+});
+
+test('matchDuplicates finds the same posting written differently', () => {
+  const [match, ...rest] = matchDuplicates({
+    Date: POSTED,
+    Employer: 'Acme, Inc.',
+    'Job Title': 'Sr. Developer',
+    Location: 'Central KY',
+    Apply: 'http://www.acme.com/jobs/1/'
+  }, EXISTING);
+
+  assert.equal(rest.length, 0);
+  assert.equal(match.id, 'acme');
+  assert.equal(match.score, 1);
+  assert.deepEqual(match.reasons, ['Same apply link', 'Same employer and title', 'Same location']);
+});
+
+test('matchDuplicates does not match on a shared apply email alone', () => {
+  assert.deepEqual(matchDuplicates({
+    Date: POSTED,
+    Employer: 'Gamma',
+    'Job Title': 'Data Analyst',
+    Apply: 'jobs@beta.com'
+  }, EXISTING), []);
+});
+
+test('matchDuplicates ignores postings far apart in time and the job itself', () => {
+  const later = { ...EXISTING[0], _id: 'later', Date: new Date('2026-01-01') };
+  assert.deepEqual(matchDuplicates(later, EXISTING), []);
+  assert.deepEqual(matchDuplicates(EXISTING[0], EXISTING), []);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { csvCell, streamCsv } = require('../lib/jobExport');
+
+/**
+ * Just enough of an Express response for `streamCsv`.
+ * @returns {EventEmitter & {body: string}}
+ */
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.body = '';
+  res.attachment = name => { res.fileName = name; };
+  res.type = type => { res.contentType = type; };
+  res.write = chunk => { res.body += chunk; return true; };
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+test('csvCell leaves plain text alone', () => {
+  assert.equal(csvCell('Acme'), 'Acme');
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(42), '42');
+});
+
+test('csvCell quotes commas, quotes and line breaks', () => {
+  assert.equal(csvCell('Python, SQL'), '"Python, SQL"');
+  assert.equal(csvCell('The "Best" Job'), '"The ""Best"" Job"');
+  assert.equal(csvCell('line one\nline two'), '"line one\nline two"');
+});
+
+test('csvCell guards cells a spreadsheet would run as a formula', () => {
+  assert.equal(csvCell('=HYPERLINK("http://evil")'), '"\'=HYPERLINK(""http://evil"")"');
+  assert.equal(csvCell('+1 555'), "'+1 555");
+  assert.equal(csvCell('-5'), "'-5");
+  assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvCell('\t=1'), "'\t=1");
+  assert.equal(csvCell('\r=1'), '"\'\r=1"');
+});
+
+test('csvCell writes dates as M/D/YYYY', () => {
+  assert.equal(csvCell(new Date(2025, 5, 23)), '6/23/2025');
+});
+
+test('streamCsv writes a header row and one escaped line per job', async () => {
+  const res = fakeResponse();
+  await streamCsv([{
+    Date: new Date(2025, 0, 2),
+    Employer: 'Acme, Inc.',
+    'Job Title': '=cmd',
+    Pathway: 'Web',
+    Language: ['JavaScript', 'SQL'],
+    'Salary Range': { disclosed: true, period: 'annual', currency: 'USD', min: 50000, max: 60000 },
+    Apply: 'https://acme.com/jobs/1'
+  }], res);
+
+  assert.ok(res.ended);
+  assert.match(res.fileName, /^codeyou-jobs-\d{4}-\d{2}-\d{2}\.csv$/);
+  const [header, row, end] = res.body.replace(/^\uFEFF/, '').split('\r\n');
+  assert.equal(header, 'Date,Employer,Job Title,Pathway,Language,Salary Range,Contact Person,Location,Apply');
+  assert.equal(row, '1/2/2025,"Acme, Inc.",\'=cmd,Web,"JavaScript, SQL","$50,000 - $60,000",,,https://acme.com/jobs/1');
+  assert.equal(end, '');
+});
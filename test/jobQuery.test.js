@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { QueryError, buildJobFilter, buildJobSort, buildPagination } = require('../lib/jobQuery');
+
+/**
+ * The conditions `buildJobFilter` added after the active and published ones.
+ * @param {Object} query
+ * @returns {Object[]}
+ */
+function extraConditions(query) {
+  const filter = buildJobFilter(query);
+  return filter.$and ? filter.$and.slice(2) : [];
+}
+
+test('buildJobFilter always keeps to active, published jobs', () => {
+  assert.deepEqual(buildJobFilter({}), {
+    $and: [{ 'Deactivate?': { $ne: true } }, { status: { $nin: ['pending', 'rejected'] } }]
+  });
+});
+
+test('buildJobFilter matches pathways exactly, ignoring case', () => {
+  const [condition] = extraConditions({ pathway: 'Web, Data' });
+  const [web, data] = condition.Pathway.$in;
+  assert.ok(web.test('web'));
+  assert.ok(!web.test('Web Design'));
+  assert.ok(data.test(' Data '));
+});
+
+test('buildJobFilter matches a location with spaces or underscores', () => {
+  const [condition] = extraConditions({ location: 'Central KY' });
+  const [regex] = condition.Location.$in;
+  assert.ok(regex.test('Central_KY'));
+  assert.ok(regex.test('central ky'));
+  assert.ok(!regex.test('Central KY Remote'));
+});
+
+test('buildJobFilter accepts languages or language', () => {
+  const [condition] = extraConditions({ language: 'Java' });
+  const [regex] = condition.Language.$in;
+  assert.ok(regex.test('java'));
+  assert.ok(!regex.test('JavaScript'));
+  assert.equal(extraConditions({ languages: 'Python,SQL' })[0].Language.$in.length, 2);
+});
+
+test('buildJobFilter bounds the annualized salary', () => {
+  assert.deepEqual(extraConditions({ salaryMin: '$50,000', salaryMax: '75000' }), [
+    { 'Salary Range.annualized': { $gte: 50000, $lte: 75000 } }
+  ]);
+  assert.throws(() => buildJobFilter({ salaryMin: '80000', salaryMax: '50000' }), QueryError);
+  assert.throws(() => buildJobFilter({ salaryMin: 'lots' }), QueryError);
+});
+
+test('buildJobFilter covers the whole last day of a date range', () => {
+  const [condition] = extraConditions({ from: '2025-01-01', to: '1/31/2025' });
+  assert.equal(condition.Date.$gte.getTime(), new Date(2025, 0, 1).getTime());
+  assert.equal(condition.Date.$lte.getTime(), new Date(2025, 0, 31, 23, 59, 59, 999).getTime());
+  assert.throws(() => buildJobFilter({ from: '2025-02-01', to: '2025-01-01' }), QueryError);
+  assert.throws(() => buildJobFilter({ from: 'someday' }), QueryError);
+});
+
+test('buildJobFilter matches q anywhere in the searched fields', () => {
+  const [condition] = extraConditions({ q: ' c++ ' });
+  assert.equal(condition.$or.length, 5);
+  const regex = condition.$or[0].Employer;
+  assert.ok(regex.test('Senior C++ Developer'));
+  assert.ok(!regex.test('C Developer'));
+});
+
+test('buildJobFilter keeps to or leaves out listed job ids', () => {
+  const id = '65a1b2c3d4e5f6a7b8c9d0e1';
+  const [only, except] = extraConditions({ ids: id, excludeIds: id });
+  assert.equal(String(only._id.$in[0]), id);
+  assert.equal(String(except._id.$nin[0]), id);
+  // An empty saved list shows no jobs rather than all of them
+  assert.deepEqual(extraConditions({ ids: '' }), [{ _id: { $in: [] } }]);
+  assert.throws(() => buildJobFilter({ ids: 'not-an-id' }), QueryError);
+});
+
+test('buildJobSort defaults to newest first with a stable tiebreaker', () => {
+  assert.deepEqual(buildJobSort({}), { Date: -1, _id: -1 });
+  assert.deepEqual(buildJobSort({ sort: 'salary' }), { 'Salary Range.annualized': 1, _id: 1 });
+  assert.throws(() => buildJobSort({ sort: 'color' }), QueryError);
+  assert.throws(() => buildJobSort({ dir: 'up' }), QueryError);
+});
+
+test('buildPagination checks page and pageSize', () => {
+  assert.deepEqual(buildPagination({ page: '3', pageSize: '10' }), { page: 3, pageSize: 10, skip: 20 });
+  assert.throws(() => buildPagination({ page: '0' }), QueryError);
+  assert.throws(() => buildPagination({ pageSize: '500' }), QueryError);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSalary, readAmounts, formatSalary } = require('../src/salary');
+
+test('parseSalary reads annual ranges', () => {
+  const salary = parseSalary('$70,000 - $90,000');
+  assert.equal(salary.disclosed, true);
+  assert.equal(salary.period, 'annual');
+  assert.equal(salary.currency, 'USD');
+  assert.equal(salary.min, 70000);
+  assert.equal(salary.max, 90000);
+  assert.equal(salary.annualized, 80000);
+});
+
+test('parseSalary reads hourly pay and annualizes it', () => {
+  const salary = parseSalary('$25/hr');
+  assert.equal(salary.period, 'hourly');
+  assert.equal(salary.min, 25);
+  assert.equal(salary.annualized, 52000);
+
+  assert.equal(parseSalary('$22 - $28 an hour').period, 'hourly');
+  // Small amounts with no period are taken as hourly
+  assert.equal(parseSalary('$30').period, 'hourly');
+});
+
+test('parseSalary expands k and sorts backwards ranges', () => {
+  const salary = parseSalary('80-95k');
+  assert.equal(salary.min, 80000);
+  assert.equal(salary.max, 95000);
+
+  const backwards = parseSalary('$90,000 - $70,000');
+  assert.equal(backwards.min, 70000);
+  assert.equal(backwards.max, 90000);
+});
+
+test('parseSalary reads open-ended amounts', () => {
+  const upTo = parseSalary('up to $60,000');
+  assert.equal(upTo.min, null);
+  assert.equal(upTo.max, 60000);
+
+  const plus = parseSalary('$50,000+');
+  assert.equal(plus.min, 50000);
+  assert.equal(plus.max, null);
+
+  assert.equal(parseSalary('60k+').min, 60000);
+});
+
+test('parseSalary reads other currencies', () => {
+  assert.equal(parseSalary('CAD 65,000').currency, 'CAD');
+  assert.equal(parseSalary('£40,000').currency, 'GBP');
+});
+
+test('parseSalary treats "not disclosed" wording as undisclosed', () => {
+  ['DOE', 'Not provided', 'n/a', '', 'Competitive'].forEach(text => {
+    const salary = parseSalary(text);
+    assert.equal(salary.disclosed, false, text);
+    assert.equal(salary.annualized, null, text);
+  });
+});
+
+test('parseSalary returns null for text it cannot read', () => {
+  assert.equal(parseSalary('great pay'), null);
+});
+
+test('parseSalary ignores 401k and other extras after the pay', () => {
+  const salary = parseSalary('$40,000/year plus 401k');
+  assert.equal(salary.min, 40000);
+  assert.equal(salary.max, 40000);
+
+  assert.equal(parseSalary('$40,000/year + 401k').max, 40000);
+  assert.equal(parseSalary('$60k plus $5k bonus').max, 60000);
+  assert.equal(parseSalary('$55,000 with 403b').max, 55000);
+
+  const range = parseSalary('$40,000 - $50,000 + 401(k) match');
+  assert.equal(range.min, 40000);
+  assert.equal(range.max, 50000);
+});
+
+test('readAmounts reads the amounts in order', () => {
+  assert.deepEqual(readAmounts('$70,000 - $90,000'), [70000, 90000]);
+  assert.deepEqual(readAmounts('80-95k'), [80000, 95000]);
+  assert.deepEqual(readAmounts('$22.50/hr'), [22.5]);
+  assert.deepEqual(readAmounts('$40,000/year plus 401k'), [40000]);
+  assert.deepEqual(readAmounts('doe'), []);
+});
+
+test('formatSalary writes salaries the way the pages show them', () => {
+  assert.equal(formatSalary(parseSalary('$70,000 - $90,000')), '$70,000 - $90,000');
+  assert.equal(formatSalary(parseSalary('$25/hr')), '$25/hr');
+  assert.equal(formatSalary(parseSalary('up to $60,000')), 'Up to $60,000');
+  assert.equal(formatSalary(parseSalary('$50,000+')), '$50,000+');
+  assert.equal(formatSalary(parseSalary('DOE')), 'Not Disclosed');
+});
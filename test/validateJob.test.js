@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getJobErrors, validateJob } = require('../lib/validateJob');
+
+/** A submission that passes every check. */
+const VALID_JOB = {
+  employer: 'Acme',
+  jobTitle: 'Junior Developer',
+  pathway: 'Web',
+  language: 'JavaScript, SQL',
+  salaryRange: '$50,000 - $60,000',
+  apply: 'https://acme.com/careers/123'
+};
+
+test('getJobErrors accepts a complete submission', () => {
+  assert.deepEqual(getJobErrors(VALID_JOB), {});
+});
+
+test('getJobErrors lists every missing required field', () => {
+  assert.deepEqual(Object.keys(getJobErrors({})).sort(), [
+    'apply', 'employer', 'jobTitle', 'language', 'pathway', 'salaryRange'
+  ]);
+  assert.equal(getJobErrors({ ...VALID_JOB, employer: '   ' }).employer, 'Employer is required');
+});
+
+test('getJobErrors only checks the fields sent when partial', () => {
+  assert.deepEqual(getJobErrors({ location: 'Remote' }, { partial: true }), {});
+  assert.equal(getJobErrors({ color: 'blue' }, { partial: true }).color, 'Unknown field');
+});
+
+test('getJobErrors rejects values that are not text', () => {
+  const errors = getJobErrors({ ...VALID_JOB, employer: {}, location: 5, language: ['Go', 1] });
+  assert.equal(errors.employer, 'Employer must be text');
+  assert.equal(errors.location, 'Location must be text');
+  assert.match(errors.language, /list of text/);
+  assert.deepEqual(getJobErrors({ ...VALID_JOB, language: ['Go', 'Rust'] }), {});
+});
+
+test('getJobErrors checks pathway, lengths and languages', () => {
+  assert.match(getJobErrors({ ...VALID_JOB, pathway: 'Cobol' }).pathway, /Pathway must be one of/);
+  assert.match(getJobErrors({ ...VALID_JOB, employer: 'x'.repeat(101) }).employer, /at most 100/);
+  assert.match(getJobErrors({ ...VALID_JOB, language: 'x'.repeat(41) }).language, /Each language/);
+  assert.equal(getJobErrors({ ...VALID_JOB, language: ' , ' }).language, 'Language is required');
+});
+
+test('getJobErrors checks salaries with the shared parser', () => {
+  assert.deepEqual(getJobErrors({ ...VALID_JOB, salaryRange: 'DOE' }), {});
+  assert.deepEqual(getJobErrors({ ...VALID_JOB, salaryRange: '$25/hr' }), {});
+  assert.deepEqual(getJobErrors({ ...VALID_JOB, salaryRange: '$40,000/year plus 401k' }), {});
+  assert.match(getJobErrors({ ...VALID_JOB, salaryRange: 'great pay' }).salaryRange, /Salary range must look like/);
+  assert.match(getJobErrors({ ...VALID_JOB, salaryRange: '$90,000 - $70,000' }).salaryRange, /lower amount first/);
+});
+
+test('getJobErrors checks apply against its type', () => {
+  assert.deepEqual(getJobErrors({ ...VALID_JOB, apply: 'jobs@acme.com' }), {});
+  assert.deepEqual(getJobErrors({ ...VALID_JOB, apply: 'Send your resume to Alli' }), {});
+  assert.match(getJobErrors({ ...VALID_JOB, applyType: 'url', apply: 'jobs@acme.com' }).apply, /web address/);
+  assert.match(getJobErrors({ ...VALID_JOB, applyType: 'instructions', apply: 'https://acme.com' }).apply, /choose/);
+  assert.match(getJobErrors({ ...VALID_JOB, applyType: 'fax' }).applyType, /Apply method must be one of/);
+});
+
+test('getJobErrors needs apply when the apply method changes', () => {
+  assert.match(getJobErrors({ applyType: 'email' }, { partial: true }).apply, /required when changing/);
+});
+
+test('validateJob throws a 400 listing the invalid fields', () => {
+  assert.doesNotThrow(() => validateJob(VALID_JOB));
+  assert.throws(() => validateJob({ ...VALID_JOB, pathway: 'Cobol' }), error => {
+    assert.equal(error.status, 400);
+    assert.equal(error.message, 'Validation failed');
+    assert.deepEqual(Object.keys(error.details.fields), ['pathway']);
+    return true;
+  });
+});